@@ -0,0 +1,220 @@
+const express = require('express');
+const cors = require('cors');
+const { applyCollectionValidators } = require('./validation');
+const { DEFAULT_CORS_ORIGINS } = require('./config');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { createRateLimits } = require('./middleware/rateLimit');
+const { requestContext } = require('./middleware/requestContext');
+const { notFound, errorHandler } = require('./middleware/errors');
+const { logger } = require('./lib/logger');
+const { pendingMigrations, runMigrations } = require('./migrations');
+const { createInventory } = require('./services/inventory');
+const { createCheckout } = require('./services/checkout');
+const { createCoupons } = require('./services/coupons');
+const { createReservations } = require('./services/reservations');
+const { createAuditLog } = require('./services/audit');
+const { createAccounts } = require('./services/accounts');
+const { createRatings } = require('./services/ratings');
+const { createRefunds } = require('./services/refunds');
+const { createNotifications } = require('./services/notifications');
+const { createWishlistAlerts } = require('./services/wishlistAlerts');
+const { createBookImport } = require('./services/bookImport');
+const { createConsoleTransport } = require('./services/mailer');
+const { ASSET_ROUTE, createStorageFromEnv, createPrivateStorageFromEnv } = require('./services/storage');
+const { createBookAssets } = require('./services/bookAssets');
+const { createDownloads } = require('./services/downloads');
+
+const usersRoutes = require('./routes/users');
+const booksRoutes = require('./routes/books');
+const ordersRoutes = require('./routes/orders');
+const cartRoutes = require('./routes/cart');
+const wishlistRoutes = require('./routes/wishlist');
+const reviewsRoutes = require('./routes/reviews');
+const paymentsRoutes = require('./routes/payments');
+const dashboardRoutes = require('./routes/dashboard');
+const couponsRoutes = require('./routes/coupons');
+const auditRoutes = require('./routes/audit');
+const exportsRoutes = require('./routes/exports');
+const rateLimitsRoutes = require('./routes/rateLimits');
+const downloadsRoutes = require('./routes/downloads');
+const healthRoutes = require('./routes/health');
+
+// Room for a few thousand books per POST /books/import
+const IMPORT_BODY_LIMIT = "10mb";
+
+// ======================================================
+// APP FACTORY
+// ======================================================
+// Builds the Express app around injected dependencies so it can run against
+// a real deployment or an in-memory database with stubbed Firebase and Stripe:
+//   db      - a MongoDB Db handle
+//   auth    - Firebase Admin auth (anything with verifyIdToken)
+//   stripe  - a Stripe client
+//   mailer  - optional mail transport (see services/mailer.js), console by default
+//   storage - optional asset storage (see services/storage.js), ASSET_STORAGE by default
+//   privateStorage - optional storage for paid ebooks, never served as it is; PRIVATE_ASSET_DIR by default
+//   corsOrigins - optional origins the browser client is served from (see config.js)
+//   stripeWebhookSecret - signing secret of the Stripe webhook endpoint (config.stripe.webhookSecret)
+//   downloadSigningSecret - optional key for ebook download links (config.downloads.signingSecret),
+//     random per process by default
+//   isReady - optional check that the DB connection is up
+function createApp({
+    db,
+    auth,
+    stripe,
+    mailer = createConsoleTransport(),
+    storage = createStorageFromEnv(),
+    privateStorage = createPrivateStorageFromEnv(),
+    corsOrigins = DEFAULT_CORS_ORIGINS,
+    stripeWebhookSecret = null,
+    downloadSigningSecret = null,
+    isReady = () => true,
+}) {
+    const ctx = {
+        db,
+        auth,
+        stripe,
+        mailer,
+        storage,
+        privateStorage,
+        stripeWebhookSecret,
+        downloadSigningSecret,
+        isReady,
+        usersCollection: db.collection("users"),
+        booksCollection: db.collection("books"),
+        ordersCollection: db.collection("orders"),
+        wishlistCollection: db.collection("wishlist"),
+        reviewsCollection: db.collection("reviews"),
+        paymentCollection: db.collection("payments"),
+        cartsCollection: db.collection("carts"),
+        notificationsCollection: db.collection("notifications"),
+        couponsCollection: db.collection("coupons"),
+        couponRedemptionsCollection: db.collection("couponRedemptions"),
+        auditLogCollection: db.collection("audit_log"),
+        rateLimitsCollection: db.collection("rate_limits"),
+        rateLimitAllowListCollection: db.collection("rate_limit_allowlist"),
+        downloadsCollection: db.collection("downloads"),
+    };
+    Object.assign(ctx, createAuthMiddleware(ctx));
+    Object.assign(ctx, createRateLimits(ctx));
+    Object.assign(ctx, createAuditLog(ctx));
+    Object.assign(ctx, createAccounts(ctx));
+    Object.assign(ctx, createInventory(ctx));
+    Object.assign(ctx, createCheckout(ctx));
+    Object.assign(ctx, createCoupons(ctx));
+    Object.assign(ctx, createReservations(ctx));
+    Object.assign(ctx, createRatings(ctx));
+    Object.assign(ctx, createNotifications(ctx));
+    Object.assign(ctx, createWishlistAlerts(ctx));
+    Object.assign(ctx, createBookImport(ctx));
+    Object.assign(ctx, createBookAssets(ctx));
+    Object.assign(ctx, createDownloads(ctx));
+    Object.assign(ctx, createRefunds(ctx));
+
+    const app = express();
+
+    // Behind a proxy or load balancer req.ip, which rate limits and the audit log
+    // use, is only the client's address when Express trusts the forwarding hops
+    if (process.env.TRUST_PROXY) app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+    // Middleware
+    app.use(requestContext);
+    app.use(cors({
+        origin: corsOrigins,
+        credentials: true
+    }));
+    // Probes must get an answer even when rate limited or while the DB is down
+    app.use(healthRoutes(ctx));
+    // Uploaded covers and samples, when the storage backend keeps them itself
+    if (storage.handler) app.use(ASSET_ROUTE, storage.handler);
+    // Simple middleware to ensure DB is ready before handling requests.
+    // It runs ahead of the global limit, whose store and allow list may live in that DB
+    app.use((req, res, next) => {
+        if (!isReady()) {
+            return res.status(503).send({ message: "Service temporarily unavailable. DB not ready.", requestId: req.id });
+        }
+        next();
+    });
+    // Stripe retries webhooks on its own schedule; limiting them would only lose events
+    const globalRateLimit = ctx.rateLimit("global");
+    app.use((req, res, next) => (req.path === "/stripe/webhook" ? next() : globalRateLimit(req, res, next)));
+
+    // Catalogue imports are far bigger than any other body; parsed here, the
+    // general JSON parser below leaves them alone
+    app.use("/books/import",
+        express.json({ limit: IMPORT_BODY_LIMIT }),
+        express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }));
+    // Keep the raw payload around so the Stripe webhook can verify its signature
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    app.use(usersRoutes(ctx));
+    app.use(booksRoutes(ctx));
+    app.use(ordersRoutes(ctx));
+    app.use(cartRoutes(ctx));
+    app.use(wishlistRoutes(ctx));
+    app.use(reviewsRoutes(ctx));
+    app.use(paymentsRoutes(ctx));
+    app.use(dashboardRoutes(ctx));
+    app.use(couponsRoutes(ctx));
+    app.use(auditRoutes(ctx));
+    app.use(exportsRoutes(ctx));
+    app.use(rateLimitsRoutes(ctx));
+    app.use(downloadsRoutes(ctx));
+
+    // ======================================================
+    // PING ROUTE
+    // ======================================================
+    // Only says the process is up; /health/ready also checks the dependencies
+    app.get("/ping", (req, res) => {
+        res.send("pong");
+    });
+
+    // ======================================================
+    // BASE API
+    // ======================================================
+    app.get("/", (req, res) => {
+        res.send("SwiftBook server is running");
+    });
+
+    // Registered last: unknown routes, then everything routes threw or rejected with
+    app.use(notFound);
+    app.use(errorHandler);
+
+    // Exposed for background jobs such as the reservation sweep
+    app.locals.ctx = ctx;
+
+    return app;
+}
+
+// TRUST_PROXY=<number of hops> | true | a comma-separated list of addresses or subnets
+function parseTrustProxy(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+    if (value === "true") return true;
+    return value.split(",").map(part => part.trim());
+}
+
+// ======================================================
+// MIGRATIONS & VALIDATORS
+// ======================================================
+// Indexes and data fixes are versioned migrations (see migrations/index.js).
+// They run here unless MIGRATE_ON_START=false, for deployments that run
+// `npm run migrate` as a release step instead; the server then only warns
+// about pending ones.
+async function prepareDatabase(db) {
+    if (process.env.MIGRATE_ON_START === "false") {
+        const pending = await pendingMigrations(db);
+        if (pending.length) logger.warn("Database migrations are pending", { pending: pending.map(migration => migration.name) });
+    } else {
+        await runMigrations(db);
+    }
+    await applyCollectionValidators(db).catch(err =>
+        // Needs the dbAdmin role; request bodies are still validated without it
+        logger.warn("Collection validator setup failed", { err: err.message })
+    );
+}
+
+module.exports = { createApp, prepareDatabase };
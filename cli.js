@@ -0,0 +1,65 @@
+require('dotenv').config();
+const fs = require('fs');
+const { decodeServiceAccount, loadConfig } = require('./config');
+const { createMongoClient } = require('./lib/mongo');
+const { migrationStatus, runMigrations } = require('./migrations');
+const { logger } = require('./lib/logger');
+
+// ======================================================
+// COMMAND LINE
+// ======================================================
+//   node cli.js migrate [up]            apply pending migrations   (npm run migrate)
+//   node cli.js migrate status          list migrations and when they were applied
+//   node cli.js encode-key [key file]   print a service account key as FB_SERVICE_KEY
+//   node cli.js check-config            validate the environment without starting
+const DEFAULT_KEY_FILE = "swiftbook-adminsdk.json";
+
+// Mistakes in the command line itself; reported without a stack trace
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+async function migrate(action = "up") {
+    if (!["up", "status"].includes(action)) throw usageError(`Unknown migrate action "${action}", use "up" or "status"`);
+    const config = loadConfig(process.env, { sections: ["mongodb"] });
+    const client = createMongoClient(config.mongodb.uri);
+    await client.connect();
+    try {
+        const db = client.db(config.mongodb.dbName);
+        if (action === "status") {
+            for (const { version, name, appliedAt } of await migrationStatus(db)) {
+                logger.info("Migration", { version, name, status: appliedAt ? "applied" : "pending", appliedAt });
+            }
+            return;
+        }
+        const applied = await runMigrations(db);
+        logger.info(applied.length ? "Migrations applied" : "No pending migrations", { applied });
+    } finally {
+        await client.close();
+    }
+}
+
+// Printed bare so it can be piped, e.g. into `vercel env add FB_SERVICE_KEY`
+function encodeKey(file = DEFAULT_KEY_FILE) {
+    const encoded = Buffer.from(fs.readFileSync(file, "utf8")).toString("base64");
+    const { error } = decodeServiceAccount(encoded);
+    if (error) throw usageError(`${file}: ${error.replace(/^FB_SERVICE_KEY /, "")}`);
+    process.stdout.write(encoded + "\n");
+}
+
+function checkConfig() {
+    const config = loadConfig();
+    logger.info("Configuration is valid", { profile: config.profile, corsOrigins: config.corsOrigins });
+}
+
+const COMMANDS = { migrate, "encode-key": encodeKey, "check-config": checkConfig };
+
+async function main([command, ...args]) {
+    if (!COMMANDS[command]) throw usageError(`Usage: node cli.js <${Object.keys(COMMANDS).join("|")}> [arguments]`);
+    await COMMANDS[command](...args);
+}
+
+main(process.argv.slice(2)).catch(err => {
+    logger.error(err.message, err.problems ? { problems: err.problems } : err.usage ? {} : { err });
+    process.exit(1);
+});
@@ -0,0 +1,189 @@
+const { RATE_LIMIT_POLICIES, policiesFromEnv, policyVariable } = require('./middleware/rateLimit');
+const { LOG_LEVELS } = require('./lib/logger');
+
+// ======================================================
+// CONFIGURATION
+// ======================================================
+// Reads and checks the whole environment once, at startup, so a missing or
+// mistyped variable stops the process with every problem listed instead of
+// failing on the first request that needs it. NODE_ENV picks the profile:
+//   production (default) - real credentials are required
+//   development          - local MongoDB, the Firebase Auth emulator and
+//                          Stripe test keys; the local client may call the API
+// Tuning variables (rate limits, cache TTLs, mail, storage...) stay with the
+// modules that use them and are only checked here.
+const PROFILES = ["production", "development", "test"];
+const DEFAULT_CORS_ORIGINS = ["https://swiftbook.web.app"];
+const DEV_CORS_ORIGINS = ["http://localhost:5173"];
+const DEFAULT_DB_NAME = "swiftbook_db";
+// Firebase accepts any project ID starting with "demo-" against the emulators, without a real project
+const DEV_FIREBASE_PROJECT_ID = "demo-swiftbook";
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+function isUrl(value, protocols = ["http:", "https:"]) {
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// FB_SERVICE_KEY is the service account JSON, base64-encoded (see `npm run encode-key`)
+function decodeServiceAccount(value) {
+    let account;
+    try {
+        account = JSON.parse(Buffer.from(value, "base64").toString("utf8"));
+    } catch {
+        return { error: "FB_SERVICE_KEY is not base64-encoded JSON; create it with `npm run encode-key -- <key file>`" };
+    }
+    const missing = ["project_id", "client_email", "private_key"].filter(field => !account[field]);
+    if (missing.length) return { error: `FB_SERVICE_KEY is not a service account key (missing ${missing.join(", ")})` };
+    return { account };
+}
+
+function mongoUri(env, profile, problems) {
+    if (env.MONGODB_URI) {
+        if (!isUrl(env.MONGODB_URI, ["mongodb:", "mongodb+srv:"])) problems.push("MONGODB_URI must be a mongodb:// or mongodb+srv:// URI");
+        return env.MONGODB_URI;
+    }
+    // Older deployments give the Atlas credentials and host separately
+    if (env.DB_USER || env.DB_PASS) {
+        if (!env.DB_USER || !env.DB_PASS || !env.MONGODB_HOST) {
+            problems.push("DB_USER, DB_PASS and MONGODB_HOST go together; or set MONGODB_URI instead");
+            return null;
+        }
+        const credentials = `${encodeURIComponent(env.DB_USER)}:${encodeURIComponent(env.DB_PASS)}`;
+        return `mongodb+srv://${credentials}@${env.MONGODB_HOST}/?retryWrites=true&w=majority`;
+    }
+    if (profile === "development") return "mongodb://127.0.0.1:27017";
+    problems.push("MONGODB_URI is required");
+    return null;
+}
+
+function firebaseConfig(env, profile, problems) {
+    const emulatorHost = env.FIREBASE_AUTH_EMULATOR_HOST || null;
+    if (emulatorHost) {
+        if (profile === "production") problems.push("FIREBASE_AUTH_EMULATOR_HOST must not be set in production");
+        if (!/^[\w.-]+:\d+$/.test(emulatorHost)) problems.push("FIREBASE_AUTH_EMULATOR_HOST must look like <host>:<port>, e.g. 127.0.0.1:9099");
+    }
+
+    let serviceAccount = null;
+    if (env.FB_SERVICE_KEY) {
+        const decoded = decodeServiceAccount(env.FB_SERVICE_KEY);
+        if (decoded.error) problems.push(decoded.error);
+        serviceAccount = decoded.account || null;
+    } else if (!emulatorHost) {
+        problems.push("FB_SERVICE_KEY is required unless FIREBASE_AUTH_EMULATOR_HOST points at the Auth emulator");
+    }
+
+    const projectId = env.FIREBASE_PROJECT_ID || serviceAccount?.project_id || DEV_FIREBASE_PROJECT_ID;
+    return { serviceAccount, projectId, authEmulatorHost: emulatorHost };
+}
+
+function stripeConfig(env, profile, problems) {
+    const secretKey = env.STRIPE_SECRET;
+    if (!secretKey) problems.push("STRIPE_SECRET is required");
+    else if (!/^(sk|rk)_(test|live)_\w+$/.test(secretKey)) problems.push("STRIPE_SECRET must be a Stripe secret or restricted key (sk_... or rk_...)");
+    else if (profile === "development" && !/^(sk|rk)_test_/.test(secretKey))
+        problems.push("STRIPE_SECRET must be a test key (sk_test_...) in development");
+
+    const webhookSecret = env.STRIPE_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+        // Local development can skip the webhook; checkouts then stay unpaid
+        if (profile !== "development") problems.push("STRIPE_WEBHOOK_SECRET is required");
+    } else if (!webhookSecret.startsWith("whsec_")) {
+        problems.push("STRIPE_WEBHOOK_SECRET must be a webhook signing secret (whsec_...)");
+    }
+    return { secretKey, webhookSecret };
+}
+
+// Checks for variables read elsewhere: [name, test, what it must be]
+const TUNING_VARIABLES = [
+    ["PORT", value => /^\d+$/.test(value) && Number(value) < 65536, "a port number"],
+    ["LOG_LEVEL", value => value in LOG_LEVELS, `one of ${Object.keys(LOG_LEVELS).join(", ")}`],
+    ["ROLE_CACHE_TTL_MS", value => /^\d+$/.test(value), "a number of milliseconds"],
+    ["RATE_LIMIT_ENABLED", value => ["true", "false"].includes(value), "true or false"],
+    ["RATE_LIMIT_STORE", value => ["memory", "mongo"].includes(value), "memory or mongo"],
+    ["MIGRATE_ON_START", value => ["true", "false"].includes(value), "true or false"],
+    ["RESERVATION_TIMEOUT_MINUTES", value => /^[1-9]\d*$/.test(value), "a positive number of minutes"],
+    ["LOW_STOCK_THRESHOLD", value => /^\d+$/.test(value), "a number"],
+    ["RETURN_WINDOW_DAYS", value => /^[1-9]\d*$/.test(value), "a positive number of days"],
+    ["MAIL_TRANSPORT", value => ["smtp", "file", "console"].includes(value), "smtp, file or console"],
+    ["ASSET_STORAGE", value => value === "disk", "disk"],
+    ["DOWNLOAD_LINK_TTL_SECONDS", value => /^[1-9]\d*$/.test(value), "a positive number of seconds"],
+    ["DOWNLOAD_LIMIT", value => /^[1-9]\d*$/.test(value), "a positive number"],
+];
+
+function checkTuning(env, problems) {
+    for (const [name, test, expected] of TUNING_VARIABLES) {
+        if (env[name] !== undefined && env[name] !== "" && !test(env[name])) problems.push(`${name} must be ${expected}, got "${env[name]}"`);
+    }
+    if (env.MAIL_TRANSPORT === "smtp" && !env.SMTP_URL && !env.SMTP_HOST) problems.push("MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST");
+    try {
+        policiesFromEnv(env);
+    } catch (err) {
+        problems.push(err.message);
+    }
+    // A misspelt policy name would otherwise be ignored without a word
+    const policyVariables = Object.keys(RATE_LIMIT_POLICIES).map(policyVariable);
+    for (const name of Object.keys(env)) {
+        if (/^RATE_LIMIT_/.test(name) && !["RATE_LIMIT_ENABLED", "RATE_LIMIT_STORE"].includes(name) && !policyVariables.includes(name))
+            problems.push(`${name} is not a rate limit policy; known ones: ${policyVariables.join(", ")}`);
+    }
+}
+
+// CORS_ORIGINS=<origin>,<origin>... replaces the deployed client; development also allows the local one
+function corsOrigins(env, profile, problems) {
+    if (!env.CORS_ORIGINS) return profile === "development" ? [...DEFAULT_CORS_ORIGINS, ...DEV_CORS_ORIGINS] : DEFAULT_CORS_ORIGINS;
+    const origins = env.CORS_ORIGINS.split(",").map(origin => origin.trim()).filter(Boolean);
+    for (const origin of origins) {
+        if (!isUrl(origin) || new URL(origin).origin !== origin) problems.push(`CORS_ORIGINS entry "${origin}" must be an origin like https://example.com`);
+    }
+    return origins;
+}
+
+// Every instance must sign download links with the same secret, or a link only
+// works on the instance that made it; outside production a random one will do
+function downloadsConfig(env, profile, problems) {
+    const secret = env.DOWNLOAD_SIGNING_SECRET;
+    if (secret && secret.length < 32) problems.push("DOWNLOAD_SIGNING_SECRET must be at least 32 characters long");
+    else if (!secret && profile === "production") problems.push("DOWNLOAD_SIGNING_SECRET is required, e.g. the output of `openssl rand -hex 32`");
+    return { signingSecret: secret || null };
+}
+
+// `sections` limits the credential checks to what the caller uses: the
+// migration CLI only needs MongoDB. Throws a ConfigError listing every problem.
+function loadConfig(env = process.env, { sections = ["mongodb", "firebase", "stripe", "downloads"] } = {}) {
+    const problems = [];
+    const profile = env.NODE_ENV || "production";
+    if (!PROFILES.includes(profile)) problems.push(`NODE_ENV must be one of ${PROFILES.join(", ")}, got "${profile}"`);
+
+    checkTuning(env, problems);
+    // Stripe redirects and email links point at the client
+    if (!env.SITE_DOMAIN) {
+        if (profile !== "test") problems.push("SITE_DOMAIN is required, e.g. https://swiftbook.web.app");
+    } else if (!isUrl(env.SITE_DOMAIN)) {
+        problems.push(`SITE_DOMAIN must be an http(s) URL, got "${env.SITE_DOMAIN}"`);
+    }
+    const config = {
+        profile,
+        port: Number(env.PORT) || 3000,
+        corsOrigins: corsOrigins(env, profile, problems),
+    };
+    if (sections.includes("mongodb")) config.mongodb = { uri: mongoUri(env, profile, problems), dbName: env.MONGODB_DB || DEFAULT_DB_NAME };
+    if (sections.includes("firebase")) config.firebase = firebaseConfig(env, profile, problems);
+    if (sections.includes("stripe")) config.stripe = stripeConfig(env, profile, problems);
+    if (sections.includes("downloads")) config.downloads = downloadsConfig(env, profile, problems);
+
+    if (problems.length) throw new ConfigError(problems);
+    return config;
+}
+
+module.exports = { DEFAULT_CORS_ORIGINS, ConfigError, decodeServiceAccount, loadConfig };
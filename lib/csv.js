@@ -0,0 +1,82 @@
+// ======================================================
+// CSV (RFC 4180)
+// ======================================================
+// Fields are comma separated; fields containing commas, quotes or line
+// breaks are wrapped in double quotes, with quotes inside doubled.
+
+// Spreadsheets run cells starting with these as formulas. Exported text that
+// would start with one gets a leading ' (so does text that already starts with
+// quotes before one), which parsing takes off again: exports import unchanged.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'+[=+\-@\t\r]/;
+
+function unguardField(text) {
+    return GUARDED_FORMULA.test(text) ? text.slice(1) : text;
+}
+
+// Parses CSV text into one object per row, keyed by the header row.
+// Returns { rows } or { error } for text that is not valid CSV.
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel writes a byte order mark
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') field += char;
+            else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else quoted = false;
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) return { error: "Unterminated quoted field" };
+    if (field !== "" || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(fields => fields.length > 1 || fields[0] !== "");
+    if (!nonEmpty.length) return { rows: [] };
+
+    const [header, ...data] = nonEmpty;
+    const columns = header.map(name => name.trim());
+    const rows = data.map(fields => {
+        const row = {};
+        columns.forEach((column, index) => {
+            if (column) row[column] = unguardField(fields[index] ?? "");
+        });
+        return row;
+    });
+    return { rows };
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, including the line break
+function csvLine(values) {
+    return values.map(csvField).join(",") + "\r\n";
+}
+
+module.exports = { parseCsv, csvLine };
@@ -0,0 +1,10 @@
+// Errors thrown from services carry the HTTP status the route should answer with.
+// `details` are merged into the error response body (see middleware/errors.js).
+function httpError(status, message, details) {
+    const err = new Error(message);
+    err.status = status;
+    if (details) err.details = details;
+    return err;
+}
+
+module.exports = { httpError };
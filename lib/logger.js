@@ -0,0 +1,43 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ======================================================
+// STRUCTURED LOGGING
+// ======================================================
+// Writes one JSON object per line: { time, level, msg, ...fields }, errors and
+// warnings to stderr, the rest to stdout. Lines logged while a request is being
+// handled, from routes or services alike, also carry its requestId (see
+// middleware/requestContext.js). LOG_LEVEL=debug|info|warn|error|silent, default info.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const logContext = new AsyncLocalStorage();
+
+// Errors do not survive JSON.stringify; keep what helps to find the cause
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    return { name: err.name, message: err.message, ...(err.code !== undefined && { code: err.code }), stack: err.stack };
+}
+
+function write(level, msg, fields) {
+    // Read on every call so tests and operators can change it without a restart
+    const threshold = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
+    if (LOG_LEVELS[level] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...logContext.getStore(), ...fields };
+    if (entry.err) entry.err = serializeError(entry.err);
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + "\n");
+}
+
+const logger = {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+};
+
+// Runs `fn` with `fields` added to every line logged from it, including async work it starts
+function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+module.exports = { LOG_LEVELS, logger, withLogContext };
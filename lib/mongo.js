@@ -0,0 +1,20 @@
+const { MongoClient, ServerApiVersion } = require('mongodb');
+
+// ======================================================
+// MONGODB CONNECTION
+// ======================================================
+// Shared by the server and the CLI; the URI comes from config.js
+function createMongoClient(uri) {
+    return new MongoClient(uri, {
+        serverApi: {
+            version: ServerApiVersion.v1,
+            strict: true,
+            deprecationErrors: true,
+        },
+        maxPoolSize: 20,
+        connectTimeoutMS: 10000,
+        socketTimeoutMS: 360000,
+    });
+}
+
+module.exports = { createMongoClient };
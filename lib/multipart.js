@@ -0,0 +1,49 @@
+const busboy = require('busboy');
+const { httpError } = require('./http');
+
+// ======================================================
+// MULTIPART UPLOADS
+// ======================================================
+// Reads the single file sent in `field` of a multipart/form-data request into
+// memory. Other fields and files are skipped. Rejects with an httpError:
+// 415 for other content types, 413 past `maxBytes`, 400 when the file is missing.
+function readUpload(req, { field = "file", maxBytes }) {
+    return new Promise((resolve, reject) => {
+        if (!req.is("multipart/form-data"))
+            return reject(httpError(415, "Send the file as multipart/form-data"));
+
+        let parser;
+        try {
+            parser = busboy({ headers: req.headers, limits: { fileSize: maxBytes, files: 5, fields: 20 } });
+        } catch {
+            return reject(httpError(400, "Malformed multipart request"));
+        }
+
+        let upload = null;
+        let tooLarge = false;
+
+        parser.on("file", (name, stream, info) => {
+            if (name !== field || upload) return stream.resume();
+
+            const chunks = [];
+            upload = { filename: info.filename, mimeType: info.mimeType, buffer: null };
+            stream.on("data", chunk => chunks.push(chunk));
+            stream.on("limit", () => {
+                tooLarge = true;
+            });
+            stream.on("end", () => {
+                upload.buffer = Buffer.concat(chunks);
+            });
+        });
+        parser.on("error", () => reject(httpError(400, "Malformed multipart request")));
+        parser.on("close", () => {
+            if (tooLarge) return reject(httpError(413, `The file must be at most ${Math.floor(maxBytes / (1024 * 1024))} MB`));
+            if (!upload || !upload.buffer?.length) return reject(httpError(400, `No file was sent in "${field}"`));
+            resolve(upload);
+        });
+
+        req.pipe(parser);
+    });
+}
+
+module.exports = { readUpload };
@@ -0,0 +1,24 @@
+// Payment states that count as a completed purchase
+const PAID_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+// Cart orders carry an items array; older single-book orders only have bookId
+function orderItems(order) {
+    if (Array.isArray(order.items) && order.items.length) return order.items;
+    return [{ bookId: order.bookId, bookTitle: order.bookTitle, quantity: order.quantity }];
+}
+
+// Matches single-book orders as well as cart orders with an items array
+function orderContainsBook(bookId) {
+    return { $or: [{ bookId }, { "items.bookId": bookId }] };
+}
+
+function statusHistoryEntry(status, from, req, role) {
+    return {
+        status,
+        from,
+        actor: { uid: req.decoded_uid, email: req.decoded_email, role },
+        at: new Date(),
+    };
+}
+
+module.exports = { PAID_PAYMENT_STATUSES, orderItems, orderContainsBook, statusHistoryEntry };
@@ -0,0 +1,51 @@
+// ======================================================
+// ROLES & PERMISSIONS
+// ======================================================
+// The one place that says what each role may do. Routes ask for a
+// permission (requirePermission in middleware/auth.js), never for a role,
+// so adding a role means adding an entry to ROLE_PERMISSIONS.
+const PERMISSIONS = {
+    "books:manage": "Create, list and edit their own books",
+    "books:delete": "Delete books",
+    "orders:manage": "See and progress orders for their own books, decide returns",
+    "orders:delete": "Delete orders",
+    "payments:refund": "Refund payments for their own books",
+    "reviews:moderate": "Hide and approve reviews on their own books",
+    "reviews:delete": "Delete anyone's review",
+    "analytics:read": "Sales and rating analytics for their own books",
+    "analytics:store": "Store-wide statistics and revenue per librarian",
+    "coupons:manage": "Create, edit and delete coupons",
+    "users:manage": "List users, change roles, deactivate and erase accounts",
+    "audit:read": "Read the audit log",
+    "reports:export": "Export all orders and payments",
+    "rate_limits:manage": "See rate limits and manage their allow list",
+    // Lifts the "their own books" limit from every permission above
+    "store:all": "Act on every book in the store, not only their own",
+};
+
+const LIBRARIAN_PERMISSIONS = [
+    "books:manage",
+    "orders:manage",
+    "payments:refund",
+    "reviews:moderate",
+    "analytics:read",
+];
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    librarian: LIBRARIAN_PERMISSIONS,
+    admin: Object.keys(PERMISSIONS),
+};
+
+// Role names in the order they are listed, e.g. for validation enums
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsOf(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function roleHas(role, permission) {
+    return permissionsOf(role).includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsOf, roleHas };
@@ -0,0 +1,103 @@
+const { isActive } = require('../services/accounts');
+const { roleHas } = require('../lib/permissions');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// TOKEN VERIFY & PERMISSION CHECK MIDDLEWARES
+// ======================================================
+// `auth` is anything with Firebase Admin's verifyIdToken, so tests can pass a stub.
+// Tokens are checked for revocation too, so deactivating or erasing a user
+// (which revokes their sessions) locks them out at once, not when the token expires.
+//
+// Roles come from MongoDB through a short per-email cache. Routes that change
+// a role or an account's status call invalidateRole, so the change applies at
+// once on this instance and within ROLE_CACHE_TTL_MS on the others. The
+// Firebase `role` claim is only for clients: it stays in an ID token for up to
+// an hour, so trusting it would let a demoted or deactivated admin keep their rights.
+const DEFAULT_ROLE_CACHE_TTL_MS = 30 * 1000;
+const ROLE_CACHE_MAX = 5000;
+// What verifyIdToken throws with checkRevoked for signed-out, disabled and deleted users
+const REVOKED_TOKEN_CODES = ["auth/id-token-revoked", "auth/user-disabled", "auth/user-not-found"];
+
+function createAuthMiddleware({ auth, usersCollection, booksCollection }) {
+    const roleCacheTtl = process.env.ROLE_CACHE_TTL_MS !== undefined
+        ? Number(process.env.ROLE_CACHE_TTL_MS)
+        : DEFAULT_ROLE_CACHE_TTL_MS;
+    const roleCache = new Map();
+
+    const verifyFBToken = async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader) return res.status(401).send({ message: "Unauthorized" });
+
+        const token = authHeader.split(" ")[1];
+
+        let decoded;
+        try {
+            decoded = await auth.verifyIdToken(token, true);
+        } catch (err) {
+            logger.warn("Token rejected", { err: err.message, code: err.code });
+            if (REVOKED_TOKEN_CODES.includes(err.code))
+                return res.status(401).send({ message: "Session ended, please sign in again" });
+            return res.status(401).send({ message: "Invalid Token" });
+        }
+        req.decoded_email = decoded.email;
+        req.decoded_uid = decoded.uid;
+        next();
+    };
+
+    // Unknown and deactivated accounts are plain users
+    async function roleOf(email) {
+        const cached = roleCache.get(email);
+        if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+        const user = await usersCollection.findOne({ email }, { projection: { role: 1, status: 1 } });
+        const role = user && isActive(user) ? user.role || "user" : "user";
+        if (roleCacheTtl > 0) {
+            // Map keeps insertion order, so the first key is the oldest entry
+            if (roleCache.size >= ROLE_CACHE_MAX) roleCache.delete(roleCache.keys().next().value);
+            roleCache.set(email, { role, expiresAt: Date.now() + roleCacheTtl });
+        }
+        return role;
+    }
+
+    function invalidateRole(email) {
+        roleCache.delete(email);
+    }
+
+    // Role-dependent checks inside routes; sets req.user_role like requirePermission
+    async function can(req, permission) {
+        req.user_role = req.user_role || await roleOf(req.decoded_email);
+        return roleHas(req.user_role, permission);
+    }
+
+    // Use after verifyFBToken. Permissions are listed in lib/permissions.js.
+    function requirePermission(permission) {
+        return async (req, res, next) => {
+            if (!await can(req, permission)) return res.status(403).send({ message: "Forbidden" });
+            next();
+        };
+    }
+
+    // Librarians only manage their own books; "store:all" sees the whole store.
+    // Use after requirePermission or can, which set req.user_role.
+    function ownedBooksFilter(req) {
+        return roleHas(req.user_role, "store:all") ? {} : { librarianEmail: req.decoded_email };
+    }
+
+    async function ownedBookIds(req) {
+        const books = await booksCollection.find(ownedBooksFilter(req)).project({ _id: 1 }).toArray();
+        return books.map(book => book._id.toString());
+    }
+
+    return {
+        verifyFBToken,
+        requirePermission,
+        can,
+        roleOf,
+        invalidateRole,
+        ownedBooksFilter,
+        ownedBookIds,
+    };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,34 @@
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// ERROR RESPONSES
+// ======================================================
+// Routes answer expected failures themselves and throw (or reject) for the
+// rest; Express 5 forwards both here. Every error response has the same body:
+//   { message, requestId, ...details }
+// where `status` and `details` come from httpError (lib/http.js) or the body
+// parsers. Anything else is a 500 whose cause is logged, never sent.
+function notFound(req, res) {
+    res.status(404).send({ message: `Cannot ${req.method} ${req.path}`, requestId: req.id });
+}
+
+// Express recognises error handlers by their four arguments
+function errorHandler(err, req, res, next) {
+    // Only `status` counts: clients such as Stripe's put their own upstream statusCode on errors
+    const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+    const request = { method: req.method, path: req.path };
+
+    // Headers are out once a response streams; all that is left is to cut it short
+    if (res.headersSent) {
+        logger.error("Error after the response started", { ...request, err });
+        return res.destroy(err);
+    }
+
+    if (status >= 500) {
+        logger.error("Unhandled error", { ...request, err });
+        return res.status(status).send({ message: "Internal server error", requestId: req.id });
+    }
+    res.status(status).send({ message: err.message, requestId: req.id, ...err.details });
+}
+
+module.exports = { notFound, errorHandler };
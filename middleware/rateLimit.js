@@ -0,0 +1,158 @@
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// RATE LIMITS
+// ======================================================
+// Fixed windows aligned on multiples of the window length, counted per policy
+// and client: the uid for signed-in policies (`by: "uid"`, used after
+// verifyFBToken), the IP otherwise. Counters live in memory, or with
+// RATE_LIMIT_STORE=mongo in the `rate_limits` collection so every instance
+// shares them. Clients on the admin-managed allow list are never limited.
+// Over the limit, requests get 429 with Retry-After and RateLimit-* headers.
+const RATE_LIMIT_POLICIES = {
+    // Every request except the Stripe webhook; a backstop against floods and scraping
+    global: { max: 600, windowSeconds: 60, by: "ip" },
+    // POST /users
+    signup: { max: 5, windowSeconds: 60 * 60, by: "ip" },
+    // Stripe checkout sessions and orders
+    checkout: { max: 10, windowSeconds: 10 * 60, by: "uid" },
+    // Unauthenticated catalogue and review reads
+    publicRead: { max: 120, windowSeconds: 60, by: "ip" },
+    // GET /users/:email/role
+    roleLookup: { max: 30, windowSeconds: 60, by: "uid" },
+};
+
+// How long the allow list is served from memory before it is read again
+const ALLOW_LIST_TTL_MS = 30 * 1000;
+
+// "publicRead" -> "RATE_LIMIT_PUBLIC_READ"
+function policyVariable(name) {
+    return `RATE_LIMIT_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+}
+
+// RATE_LIMIT_<POLICY>=<max>/<windowSeconds> overrides a policy, e.g. RATE_LIMIT_PUBLIC_READ=300/60
+function policiesFromEnv(env) {
+    const policies = {};
+    for (const [name, policy] of Object.entries(RATE_LIMIT_POLICIES)) {
+        const variable = policyVariable(name);
+        if (!env[variable]) {
+            policies[name] = policy;
+            continue;
+        }
+        const match = /^(\d+)\/(\d+)$/.exec(env[variable]);
+        if (!match || !Number(match[2])) throw new Error(`${variable} must look like <max>/<windowSeconds>`);
+        policies[name] = { ...policy, max: Number(match[1]), windowSeconds: Number(match[2]) };
+    }
+    return policies;
+}
+
+function windowOf(windowMs) {
+    const start = Math.floor(Date.now() / windowMs) * windowMs;
+    return { start, resetAt: start + windowMs };
+}
+
+// A store is anything with `hit(key, windowMs)` resolving to { count, resetAt }
+function createMemoryStore() {
+    const counters = new Map();
+    let hits = 0;
+
+    return {
+        name: "memory",
+        async hit(key, windowMs) {
+            const { start, resetAt } = windowOf(windowMs);
+            // Drop finished windows now and then instead of on a timer
+            if (++hits % 1000 === 0) {
+                const now = Date.now();
+                for (const [id, counter] of counters) if (counter.resetAt <= now) counters.delete(id);
+            }
+
+            const id = `${key}:${start}`;
+            const counter = counters.get(id) || { count: 0, resetAt };
+            counter.count += 1;
+            counters.set(id, counter);
+            return { count: counter.count, resetAt };
+        },
+    };
+}
+
+// The TTL index on expiresAt (see migrations/002-baseline-indexes.js) removes finished windows
+function createMongoStore(collection) {
+    return {
+        name: "mongo",
+        async hit(key, windowMs) {
+            const { start, resetAt } = windowOf(windowMs);
+            const counter = await collection.findOneAndUpdate(
+                { _id: `${key}:${start}` },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+                { upsert: true, returnDocument: "after" }
+            );
+            return { count: counter.count, resetAt };
+        },
+    };
+}
+
+function createRateLimits({ rateLimitsCollection, rateLimitAllowListCollection }) {
+    const enabled = process.env.RATE_LIMIT_ENABLED !== "false";
+    const policies = policiesFromEnv(process.env);
+    const store = process.env.RATE_LIMIT_STORE === "mongo" ? createMongoStore(rateLimitsCollection) : createMemoryStore();
+    let allowList = null;
+
+    async function loadAllowList() {
+        if (allowList && allowList.expiresAt > Date.now()) return allowList;
+        const entries = await rateLimitAllowListCollection.find({}, { projection: { type: 1, value: 1 } }).toArray();
+        allowList = {
+            ips: new Set(entries.filter(entry => entry.type === "ip").map(entry => entry.value)),
+            emails: new Set(entries.filter(entry => entry.type === "email").map(entry => entry.value)),
+            expiresAt: Date.now() + ALLOW_LIST_TTL_MS,
+        };
+        return allowList;
+    }
+
+    // Called after the allow list changes so this instance applies it at once
+    function invalidateAllowList() {
+        allowList = null;
+    }
+
+    async function isAllowListed(req) {
+        const { ips, emails } = await loadAllowList();
+        return ips.has(req.ip) || (Boolean(req.decoded_email) && emails.has(req.decoded_email.toLowerCase()));
+    }
+
+    function rateLimit(name) {
+        const policy = policies[name];
+        if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+        const windowMs = policy.windowSeconds * 1000;
+
+        return async (req, res, next) => {
+            if (!enabled) return next();
+            try {
+                if (await isAllowListed(req)) return next();
+
+                const client = policy.by === "uid" && req.decoded_uid ? `uid:${req.decoded_uid}` : `ip:${req.ip}`;
+                const { count, resetAt } = await store.hit(`${name}:${client}`, windowMs);
+                const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+                res.set({
+                    "RateLimit-Limit": String(policy.max),
+                    "RateLimit-Remaining": String(Math.max(policy.max - count, 0)),
+                    "RateLimit-Reset": String(resetSeconds),
+                });
+                if (count > policy.max) {
+                    res.set("Retry-After", String(resetSeconds));
+                    return res.status(429).send({ message: "Too many requests, please try again later" });
+                }
+            } catch (err) {
+                // A failing counter store must not take the API down with it
+                logger.error("Rate limit store error", { policy: name, err });
+            }
+            next();
+        };
+    }
+
+    function rateLimitSettings() {
+        return { enabled, store: store.name, policies };
+    }
+
+    return { rateLimit, invalidateAllowList, rateLimitSettings };
+}
+
+module.exports = { RATE_LIMIT_POLICIES, policyVariable, policiesFromEnv, createMemoryStore, createMongoStore, createRateLimits };
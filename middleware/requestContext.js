@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { logger, withLogContext } = require('../lib/logger');
+
+// ======================================================
+// REQUEST IDS & ACCESS LOG
+// ======================================================
+// Every request gets an ID: the caller's X-Request-Id when it looks sane (so an
+// ID from the edge or a client retry can be followed through), a new UUID
+// otherwise. It is sent back in the X-Request-Id header and in error bodies,
+// and tagged on every log line written while the request is handled. One
+// access log line is written per finished request.
+const REQUEST_ID_HEADER = "X-Request-Id";
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            // The path only: query strings can hold emails and tokens
+            path: req.originalUrl.split("?")[0],
+            status: res.statusCode,
+            durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+            ip: req.ip,
+        };
+        if (req.decoded_uid) fields.uid = req.decoded_uid;
+        logger.info("request", fields);
+    });
+
+    withLogContext({ requestId: req.id }, next);
+}
+
+module.exports = { REQUEST_ID_HEADER, requestContext };
@@ -0,0 +1,25 @@
+// Wishlist items used to be keyed by `userEmail`. Moves them onto
+// `customerEmail` and keeps only the oldest item for each customer and book,
+// so the unique wishlist index (see 002) can be built.
+module.exports = {
+    version: 1,
+    name: "wishlist-customer-email",
+    async up(db) {
+        const wishlist = db.collection("wishlist");
+        await wishlist.updateMany(
+            { customerEmail: { $exists: false }, userEmail: { $exists: true } },
+            [{ $set: { customerEmail: "$userEmail" } }, { $unset: "userEmail" }]
+        );
+        // Items that had both fields keep customerEmail
+        await wishlist.updateMany({ userEmail: { $exists: true } }, { $unset: { userEmail: "" } });
+
+        const duplicates = await wishlist.aggregate([
+            { $sort: { _id: 1 } },
+            { $group: { _id: { customerEmail: "$customerEmail", bookId: "$bookId" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } },
+        ]).toArray();
+
+        const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+        if (extraIds.length) await wishlist.deleteMany({ _id: { $in: extraIds } });
+    },
+};
@@ -0,0 +1,53 @@
+// The indexes that were created on every startup before migrations existed.
+// createIndex is a no-op for an index that already exists with the same
+// definition, so deployments that had them are unaffected.
+module.exports = {
+    version: 2,
+    name: "baseline-indexes",
+    async up(db) {
+        // Backs the `q` search on the book listing routes
+        await db.collection("books").createIndex(
+            { title: "text", author: "text", description: "text" },
+            { name: "books_text_search", weights: { title: 10, author: 5, description: 1 } }
+        );
+
+        // Backs the notification outbox sweep
+        await db.collection("notifications").createIndex(
+            { status: 1, nextAttemptAt: 1 },
+            { name: "notifications_outbox" }
+        );
+
+        // Backs the review moderation queue
+        await db.collection("reviews").createIndex(
+            { moderationStatus: 1, reportCount: -1 },
+            { name: "reviews_moderation", partialFilterExpression: { moderationStatus: { $exists: true } } }
+        );
+
+        // One wishlist item per customer and book
+        await db.collection("wishlist").createIndex(
+            { customerEmail: 1, bookId: 1 },
+            { name: "wishlist_customer_book", unique: true }
+        );
+
+        // Coupon codes are looked up case-insensitively by storing them upper-cased
+        await db.collection("coupons").createIndex({ code: 1 }, { name: "coupons_code", unique: true });
+        await db.collection("couponRedemptions").createIndex({ orderId: 1, status: 1 }, { name: "couponRedemptions_order" });
+
+        // Backs the audit log filters, newest first
+        const auditLog = db.collection("audit_log");
+        await auditLog.createIndex({ at: -1 }, { name: "audit_log_at" });
+        await auditLog.createIndex({ "actor.email": 1, at: -1 }, { name: "audit_log_actor" });
+        await auditLog.createIndex({ "target.type": 1, "target.id": 1, at: -1 }, { name: "audit_log_target" });
+        await auditLog.createIndex({ action: 1, at: -1 }, { name: "audit_log_action" });
+
+        // Shared rate limit counters expire with their window; allow list entries are unique
+        await db.collection("rate_limits").createIndex({ expiresAt: 1 }, { name: "rate_limits_ttl", expireAfterSeconds: 0 });
+        await db.collection("rate_limit_allowlist").createIndex({ type: 1, value: 1 }, { name: "rate_limit_allowlist_entry", unique: true });
+
+        // Dashboard aggregations
+        await db.collection("payments").createIndex({ paidAt: 1 }, { name: "payments_paidAt" });
+        await db.collection("wishlist").createIndex({ createdAt: 1, bookId: 1 }, { name: "wishlist_createdAt_bookId" });
+        await db.collection("orders").createIndex({ customerEmail: 1, paymentStatus: 1 }, { name: "orders_customer_payment" });
+        await db.collection("reviews").createIndex({ bookId: 1, rating: 1 }, { name: "reviews_bookId_rating" });
+    },
+};
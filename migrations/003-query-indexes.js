@@ -0,0 +1,23 @@
+// Indexes for the lookups that used to scan their whole collection
+module.exports = {
+    version: 3,
+    name: "query-indexes",
+    async up(db) {
+        // A customer's payments, newest first
+        await db.collection("payments").createIndex({ customerEmail: 1, paidAt: -1 }, { name: "payments_customer" });
+        // A customer's reviews (account erasure, review counts)
+        await db.collection("reviews").createIndex({ userEmail: 1 }, { name: "reviews_user" });
+        await db.collection("carts").createIndex({ customerEmail: 1 }, { name: "carts_customer" });
+        // Librarians' own books, and the ISBN match of the book import
+        await db.collection("books").createIndex({ librarianEmail: 1, status: 1 }, { name: "books_librarian" });
+        await db.collection("books").createIndex(
+            { isbn: 1 },
+            { name: "books_isbn", partialFilterExpression: { isbn: { $type: "string" } } }
+        );
+        // Backs the reservation sweep; only orders still holding stock are indexed
+        await db.collection("orders").createIndex(
+            { reservedUntil: 1 },
+            { name: "orders_reservations", partialFilterExpression: { stockReserved: true } }
+        );
+    },
+};
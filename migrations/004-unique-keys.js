@@ -0,0 +1,59 @@
+const { createRatings } = require('../services/ratings');
+
+// Unique indexes behind the checks the routes make before inserting, so two
+// concurrent requests can no longer both pass them:
+//   payments.transactionId   - one payment per Stripe payment intent
+//   reviews bookId+userEmail - one review per customer and book
+//   users.email              - one account per email
+// Duplicate payments and reviews left by earlier races are removed, keeping
+// the oldest. Duplicate users are not merged automatically: the migration
+// stops and lists them, and runs again once they have been cleaned up.
+
+// Groups of _ids sharing `keys`, oldest first, for every value held more than once
+async function duplicateGroups(collection, keys, match = {}) {
+    const groupId = Object.fromEntries(keys.map(key => [key, `$${key}`]));
+    return collection.aggregate([
+        { $match: match },
+        { $sort: { _id: 1 } },
+        { $group: { _id: groupId, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+    ], { allowDiskUse: true }).toArray();
+}
+
+async function removeDuplicates(collection, groups) {
+    const extraIds = groups.flatMap(group => group.ids.slice(1));
+    if (extraIds.length) await collection.deleteMany({ _id: { $in: extraIds } });
+}
+
+module.exports = {
+    version: 4,
+    name: "unique-keys",
+    async up(db) {
+        const users = db.collection("users");
+        const userDuplicates = await duplicateGroups(users, ["email"], { email: { $type: "string" } });
+        if (userDuplicates.length) {
+            const emails = userDuplicates.map(group => group._id.email);
+            throw new Error(`Merge or remove the duplicate users before migrating: ${emails.join(", ")}`);
+        }
+
+        const payments = db.collection("payments");
+        const transactionMatch = { transactionId: { $type: "string" } };
+        await removeDuplicates(payments, await duplicateGroups(payments, ["transactionId"], transactionMatch));
+        await payments.createIndex(
+            { transactionId: 1 },
+            { name: "payments_transaction", unique: true, partialFilterExpression: transactionMatch }
+        );
+
+        const reviews = db.collection("reviews");
+        const reviewDuplicates = await duplicateGroups(reviews, ["bookId", "userEmail"]);
+        await removeDuplicates(reviews, reviewDuplicates);
+        const { refreshBookRating } = createRatings({ booksCollection: db.collection("books"), reviewsCollection: reviews });
+        for (const bookId of new Set(reviewDuplicates.map(group => group._id.bookId))) await refreshBookRating(bookId);
+        await reviews.createIndex({ bookId: 1, userEmail: 1 }, { name: "reviews_book_user", unique: true });
+
+        await users.createIndex(
+            { email: 1 },
+            { name: "users_email", unique: true, partialFilterExpression: { email: { $type: "string" } } }
+        );
+    },
+};
@@ -0,0 +1,12 @@
+// The download log of paid ebooks (see services/downloads.js)
+module.exports = {
+    version: 5,
+    name: "downloads",
+    async up(db) {
+        // A link counts once, however often it is fetched to resume
+        await db.collection("downloads").createIndex({ linkId: 1 }, { name: "downloads_link", unique: true });
+        await db.collection("downloads").createIndex({ orderId: 1, at: -1 }, { name: "downloads_order" });
+        // Account erasure
+        await db.collection("downloads").createIndex({ customerEmail: 1 }, { name: "downloads_customer" });
+    },
+};
@@ -0,0 +1,17 @@
+// Indexes for the lookups by book and by payment that 003 left scanning
+module.exports = {
+    version: 6,
+    name: "book-and-payment-lookups",
+    async up(db) {
+        // orderContainsBook matches either field: librarians' order lists, the
+        // sold check before a book is deleted, the wishlist conversion analytics
+        const orders = db.collection("orders");
+        await orders.createIndex({ bookId: 1 }, { name: "orders_book" });
+        await orders.createIndex({ "items.bookId": 1 }, { name: "orders_items_book" });
+        // Refund webhooks and refund updates find the order by its payment
+        await orders.createIndex({ transactionId: 1 }, { name: "orders_transaction" });
+
+        // Wishlist alerts look up everyone who saved a book
+        await db.collection("wishlist").createIndex({ bookId: 1 }, { name: "wishlist_book" });
+    },
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// DATABASE MIGRATIONS
+// ======================================================
+// Each migration is a module exporting { version, name, up(db) }, listed in
+// MIGRATIONS in version order. Applied versions are recorded in the
+// `migrations` collection as { _id: version, name, appliedAt, durationMs },
+// so every migration runs once per database. New ones go at the end with the
+// next version; an applied migration is never edited, a new one fixes it.
+//
+// Runs at startup (see prepareDatabase) and from `npm run migrate`. A lock
+// document keeps instances starting together from running the same migration
+// twice: the others wait for it, then find nothing left to do.
+const MIGRATIONS = [
+    require('./001-wishlist-customer-email'),
+    require('./002-baseline-indexes'),
+    require('./003-query-indexes'),
+    require('./004-unique-keys'),
+    require('./005-downloads'),
+    require('./006-book-and-payment-lookups'),
+];
+
+const MIGRATIONS_COLLECTION = "migrations";
+const LOCK_ID = "lock";
+// A lock older than this belongs to a process that died mid-run and is taken over
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function acquireLock(collection, owner) {
+    const deadline = Date.now() + LOCK_TTL_MS + LOCK_POLL_MS;
+    for (;;) {
+        await collection.deleteOne({ _id: LOCK_ID, expiresAt: { $lt: new Date() } });
+        try {
+            await collection.insertOne({ _id: LOCK_ID, owner, lockedAt: new Date(), expiresAt: new Date(Date.now() + LOCK_TTL_MS) });
+            return;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+        if (Date.now() > deadline) throw new Error("Timed out waiting for the migration lock");
+        await sleep(LOCK_POLL_MS);
+    }
+}
+
+async function appliedMigrations(db) {
+    const applied = await db.collection(MIGRATIONS_COLLECTION).find({ _id: { $type: "number" } }).toArray();
+    return new Map(applied.map(record => [record._id, record]));
+}
+
+// Every known migration with `appliedAt` (null while pending), in version order
+async function migrationStatus(db, migrations = MIGRATIONS) {
+    const applied = await appliedMigrations(db);
+    return migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version)?.appliedAt || null }));
+}
+
+async function pendingMigrations(db, migrations = MIGRATIONS) {
+    const applied = await appliedMigrations(db);
+    return migrations.filter(migration => !applied.has(migration.version));
+}
+
+// Applies the pending migrations in order and resolves to their names. A
+// failing migration is not recorded and stops the run, so it is retried next time.
+async function runMigrations(db, migrations = MIGRATIONS) {
+    const collection = db.collection(MIGRATIONS_COLLECTION);
+    const owner = crypto.randomUUID();
+    await acquireLock(collection, owner);
+
+    try {
+        const pending = await pendingMigrations(db, migrations);
+        for (const migration of pending) {
+            const startedAt = Date.now();
+            logger.info("Applying migration", { version: migration.version, name: migration.name });
+            await migration.up(db);
+            await collection.insertOne({
+                _id: migration.version,
+                name: migration.name,
+                appliedAt: new Date(),
+                durationMs: Date.now() - startedAt,
+            });
+        }
+        return pending.map(migration => migration.name);
+    } finally {
+        await collection.deleteOne({ _id: LOCK_ID, owner });
+    }
+}
+
+module.exports = { MIGRATIONS, migrationStatus, pendingMigrations, runMigrations };
@@ -0,0 +1,58 @@
+const express = require('express');
+
+// ======================================================
+// AUDIT LOG API (admin, read-only)
+// ======================================================
+const AUDIT_PAGE_DEFAULT = 50;
+const AUDIT_PAGE_MAX = 200;
+
+// ?actor=&action=&targetType=&targetId=&from=&to= into a Mongo filter, or { error }
+function auditFilter(query) {
+    const filter = {};
+    if (query.actor) filter["actor.email"] = String(query.actor);
+    if (query.action) filter.action = String(query.action);
+    if (query.targetType) filter["target.type"] = String(query.targetType);
+    if (query.targetId) filter["target.id"] = String(query.targetId);
+
+    if (query.from || query.to) {
+        filter.at = {};
+        for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+            if (!query[param]) continue;
+            const date = new Date(query[param]);
+            if (Number.isNaN(date.getTime())) return { error: `${param} must be a valid date` };
+            filter.at[operator] = date;
+        }
+    }
+    return { filter };
+}
+
+module.exports = function auditRoutes(ctx) {
+    const {
+        auditLogCollection,
+        verifyFBToken,
+        requirePermission,
+    } = ctx;
+    const router = express.Router();
+
+    router.get('/audit-log', verifyFBToken, requirePermission("audit:read"), async (req, res) => {
+        const { filter, error } = auditFilter(req.query);
+        if (error) return res.status(400).send({ message: error });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || AUDIT_PAGE_DEFAULT, 1), AUDIT_PAGE_MAX);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [items, total] = await Promise.all([
+            auditLogCollection
+                .find(filter)
+                .sort({ at: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .toArray(),
+            auditLogCollection.countDocuments(filter),
+        ]);
+
+        res.send({ items, total, limit, page, totalPages: Math.ceil(total / limit) });
+    });
+
+    return router;
+};
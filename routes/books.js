@@ -0,0 +1,283 @@
+const express = require('express');
+const { ObjectId, BSON } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+const { httpError } = require('../lib/http');
+const { parseCsv } = require('../lib/csv');
+const { readUpload } = require('../lib/multipart');
+const { normalizeIsbn } = require('../services/bookImport');
+const { orderContainsBook } = require('../lib/orders');
+const { COVER_MAX_BYTES, SAMPLE_MAX_BYTES, EBOOK_MAX_BYTES } = require('../services/bookAssets');
+
+// ======================================================
+// BOOK API
+// ======================================================
+const BOOK_PAGE_DEFAULT = 20;
+const BOOK_PAGE_MAX = 100;
+const BOOK_SORT_FIELDS = { price: "price", createdAt: "createdAt", rating: "averageRating" };
+// Storage keys and the ebook's file name are internal; the public routes leave them out
+const PUBLIC_BOOK_PROJECTION = { "cover.keys": 0, "sample.keys": 0, "ebook.keys": 0, "ebook.fileName": 0 };
+
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Cursors are opaque to clients: the last item's sort value and _id, EJSON so dates survive
+function encodeCursor(book, sortField) {
+    const payload = { v: book[sortField] ?? null, id: book._id };
+    return Buffer.from(BSON.EJSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { v, id } = BSON.EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!(id instanceof ObjectId)) return null;
+        return { v, id };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = function booksRoutes(ctx) {
+    const {
+        booksCollection,
+        ordersCollection,
+        verifyFBToken,
+        rateLimit,
+        requirePermission,
+        ownedBooksFilter,
+        sendWishlistAlerts,
+        auditedInsertOne,
+        auditedUpdateOne,
+        auditedDeleteOne,
+        importBooks,
+        storeCover,
+        storeSample,
+        storeEbook,
+        replacedKeys,
+        removeFiles,
+        removeEbookFiles,
+        deleteBookAssets,
+    } = ctx;
+    const router = express.Router();
+
+    // Shared by the public and staff listings. Query params:
+    // page | cursor, limit, sort (price, createdAt, rating; prefix "-" for descending),
+    // category, author, language, minPrice, maxPrice and q (text search).
+    async function findBooksPage(query, baseFilter = {}, projection = null) {
+        const limit = Math.min(Math.max(parseInt(query.limit) || BOOK_PAGE_DEFAULT, 1), BOOK_PAGE_MAX);
+        const page = Math.max(parseInt(query.page) || 1, 1);
+
+        const filter = { ...baseFilter };
+        if (query.category) filter.category = query.category;
+        if (query.language) filter.language = query.language;
+        if (query.author) filter.author = { $regex: escapeRegex(query.author), $options: "i" };
+
+        if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+            const min = Number(query.minPrice);
+            const max = Number(query.maxPrice);
+            if ((query.minPrice !== undefined && !Number.isFinite(min)) || (query.maxPrice !== undefined && !Number.isFinite(max)))
+                throw httpError(400, "minPrice and maxPrice must be numbers");
+            filter.price = {};
+            if (query.minPrice !== undefined) filter.price.$gte = min;
+            if (query.maxPrice !== undefined) filter.price.$lte = max;
+        }
+
+        const q = typeof query.q === "string" ? query.q.trim() : "";
+        if (q) filter.$text = { $search: q };
+
+        const sortParam = query.sort ? String(query.sort) : "";
+        let sort;
+        let sortField = "_id";
+        let direction = -1;
+        if (sortParam) {
+            direction = sortParam.startsWith("-") ? -1 : 1;
+            sortField = BOOK_SORT_FIELDS[sortParam.replace(/^-/, "")];
+            if (!sortField) throw httpError(400, `sort must be one of ${Object.keys(BOOK_SORT_FIELDS).join(", ")}`);
+            sort = { [sortField]: direction, _id: direction };
+        } else if (q) {
+            sort = { score: { $meta: "textScore" } };
+        } else {
+            sort = { _id: -1 };
+        }
+
+        const total = await booksCollection.countDocuments(filter);
+
+        let cursorFilter = null;
+        if (query.cursor) {
+            if (!sortParam && q) throw httpError(400, "cursor paging needs an explicit sort when searching");
+            const cursor = decodeCursor(query.cursor);
+            if (!cursor) throw httpError(400, "Invalid cursor");
+
+            const op = direction === 1 ? "$gt" : "$lt";
+            cursorFilter = sortField === "_id"
+                ? { _id: { [op]: cursor.id } }
+                : { $or: [{ [sortField]: { [op]: cursor.v } }, { [sortField]: cursor.v, _id: { [op]: cursor.id } }] };
+        }
+
+        const find = booksCollection
+            .find(cursorFilter ? { $and: [filter, cursorFilter] } : filter)
+            .sort(sort)
+            .limit(limit);
+        if (q && !sortParam) find.project({ ...projection, score: { $meta: "textScore" } });
+        else if (projection) find.project(projection);
+        if (!cursorFilter) find.skip((page - 1) * limit);
+
+        const items = await find.toArray();
+        const hasMore = cursorFilter ? items.length === limit : page * limit < total;
+
+        return {
+            items,
+            total,
+            limit,
+            page: cursorFilter ? null : page,
+            totalPages: Math.ceil(total / limit),
+            nextCursor: hasMore && items.length && !(q && !sortParam)
+                ? encodeCursor(items[items.length - 1], sortField)
+                : null,
+        };
+    }
+
+    router.post('/books', verifyFBToken, requirePermission("books:manage"), validateBody(schemas.book), async (req, res) => {
+        if (req.body.isbn) req.body.isbn = normalizeIsbn(req.body.isbn);
+        const { result } = await auditedInsertOne(req, "book.created", booksCollection, {
+            ...req.body,
+            librarianEmail: req.decoded_email,
+            createdAt: new Date(),
+        });
+        res.send(result);
+    });
+
+    // Body: a CSV file (text/csv) with a header row, or a JSON array of books.
+    // ?dryRun=true only reports what would be created, updated or rejected.
+    router.post('/books/import', verifyFBToken, requirePermission("books:manage"), async (req, res) => {
+        let rows = req.body;
+        if (typeof req.body === "string") {
+            const parsed = parseCsv(req.body);
+            if (parsed.error) return res.status(400).send({ message: parsed.error });
+            rows = parsed.rows;
+        }
+        if (!Array.isArray(rows))
+            return res.status(400).send({ message: "Send a CSV file (text/csv) or a JSON array of books" });
+
+        const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+        res.send(await importBooks(req, rows, { dryRun }));
+    });
+
+    router.get('/books', verifyFBToken, requirePermission("books:manage"), async (req, res) => {
+        // Librarians see their own books, admins all of them; `status` narrows further
+        const baseFilter = ownedBooksFilter(req);
+        if (req.query.status) baseFilter.status = req.query.status;
+        res.send(await findBooksPage(req.query, baseFilter));
+    });
+
+    router.get('/books/published', rateLimit("publicRead"), async (req, res) => {
+        res.send(await findBooksPage(req.query, { status: "published" }, PUBLIC_BOOK_PROJECTION));
+    });
+
+    router.get('/books/published/:id', rateLimit("publicRead"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        const result = await booksCollection.findOne(
+            { _id: new ObjectId(req.params.id), status: "published" },
+            { projection: PUBLIC_BOOK_PROJECTION }
+        );
+        if (!result) return res.status(404).send({ message: "Book not found" });
+        res.send(result);
+    });
+
+    router.put('/books/:id', verifyFBToken, requirePermission("books:manage"), validateBody(schemas.book, { partial: true }), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        if (req.body.isbn) req.body.isbn = normalizeIsbn(req.body.isbn);
+
+        const { result, before, after } = await auditedUpdateOne(
+            req,
+            "book.updated",
+            booksCollection,
+            { _id: new ObjectId(req.params.id), ...ownedBooksFilter(req) },
+            { $set: req.body }
+        );
+        if (!result.matchedCount) return res.status(404).send({ message: "Book not found" });
+
+        await sendWishlistAlerts(before, after);
+        res.send(result);
+    });
+
+    router.delete('/books/:id', verifyFBToken, requirePermission("books:delete"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        const _id = new ObjectId(req.params.id);
+
+        // Buyers download through the book, so its ebook has to stay while they can
+        const book = await booksCollection.findOne({ _id }, { projection: { ebook: 1 } });
+        if (book?.ebook) {
+            const sold = await ordersCollection.countDocuments({
+                ...orderContainsBook(req.params.id),
+                paymentStatus: "paid",
+                status: { $nin: ["cancelled", "returned"] },
+            }, { limit: 1 });
+            if (sold) return res.status(409).send({ message: "Paid orders can still download this book's ebook; unpublish it instead" });
+        }
+
+        const { result, before } = await auditedDeleteOne(req, "book.deleted", booksCollection, { _id });
+        if (before) await deleteBookAssets(before);
+        res.send(result);
+    });
+
+    // ======================================================
+    // COVERS, SAMPLES & EBOOKS
+    // ======================================================
+    // Staff upload one file per request as multipart/form-data in the field
+    // "file". A new upload replaces the previous one of its kind. Ebooks are
+    // kept private and only reach buyers through download links.
+    const ASSET_KINDS = {
+        cover: { maxBytes: COVER_MAX_BYTES, store: storeCover, remove: removeFiles },
+        sample: { maxBytes: SAMPLE_MAX_BYTES, store: storeSample, remove: removeFiles },
+        ebook: { maxBytes: EBOOK_MAX_BYTES, store: storeEbook, remove: removeEbookFiles },
+    };
+
+    for (const [kind, { maxBytes, store, remove }] of Object.entries(ASSET_KINDS)) {
+        router.post(`/books/:id/${kind}`, verifyFBToken, requirePermission("books:manage"), async (req, res) => {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+            const filter = { _id: new ObjectId(req.params.id), ...ownedBooksFilter(req) };
+            const book = await booksCollection.findOne(filter, { projection: { _id: 1 } });
+            if (!book) return res.status(404).send({ message: "Book not found" });
+
+            const upload = await readUpload(req, { maxBytes });
+            const asset = await store(book._id, upload.buffer, upload);
+            const update = { [kind]: asset };
+            if (kind === "cover") update.image = asset.urls.large;
+
+            const { result, before } = await auditedUpdateOne(req, `book.${kind}_uploaded`, booksCollection, filter, { $set: update });
+            if (!result.matchedCount) {
+                await remove(asset.keys);
+                return res.status(404).send({ message: "Book not found" });
+            }
+            await remove(replacedKeys(before[kind], asset));
+            res.send(asset);
+        });
+
+        router.delete(`/books/:id/${kind}`, verifyFBToken, requirePermission("books:manage"), async (req, res) => {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+            const filter = { _id: new ObjectId(req.params.id), ...ownedBooksFilter(req) };
+            const book = await booksCollection.findOne(filter, { projection: { image: 1, [kind]: 1 } });
+            if (!book) return res.status(404).send({ message: "Book not found" });
+            if (!book[kind]) return res.status(404).send({ message: `The book has no ${kind}` });
+
+            // `image` only goes too when it still shows the uploaded cover
+            const unset = { [kind]: "" };
+            if (kind === "cover" && book.image === book.cover.urls?.large) unset.image = "";
+
+            const { before } = await auditedUpdateOne(
+                req,
+                `book.${kind}_removed`,
+                booksCollection,
+                { ...filter, [kind]: { $exists: true } },
+                { $unset: unset }
+            );
+            if (before) await remove(before[kind].keys);
+            res.send({ success: true });
+        });
+    }
+
+    return router;
+};
@@ -0,0 +1,143 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { statusHistoryEntry } = require('../lib/orders');
+const { reservationDeadline } = require('../services/inventory');
+
+// ======================================================
+// CART API
+// ======================================================
+const MAX_CART_QUANTITY = 99;
+
+function parseCartQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CART_QUANTITY) return null;
+    return quantity;
+}
+
+module.exports = function cartRoutes(ctx) {
+    const {
+        booksCollection,
+        ordersCollection,
+        cartsCollection,
+        verifyFBToken,
+        rateLimit,
+        reserveStock,
+        releaseStock,
+        createCheckoutSession,
+        applyCoupon,
+        releaseCoupon,
+        notifyCustomer,
+    } = ctx;
+    const router = express.Router();
+
+    async function getCart(email) {
+        const cart = await cartsCollection.findOne({ customerEmail: email });
+        return cart || { customerEmail: email, items: [] };
+    }
+
+    router.get('/cart', verifyFBToken, async (req, res) => {
+        res.send(await getCart(req.decoded_email));
+    });
+
+    router.post('/cart/items', verifyFBToken, async (req, res) => {
+        const { bookId } = req.body;
+        const quantity = parseCartQuantity(req.body.quantity ?? 1);
+        if (!ObjectId.isValid(bookId)) return res.status(400).send({ message: "Invalid bookId" });
+        if (!quantity) return res.status(400).send({ message: `Quantity must be between 1 and ${MAX_CART_QUANTITY}` });
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), status: "published" });
+        if (!book) return res.status(404).send({ message: "Book not found" });
+
+        const email = req.decoded_email;
+        const now = new Date();
+
+        // Bump the quantity if the book is already in the cart, otherwise push a new line
+        const bumped = await cartsCollection.updateOne(
+            { customerEmail: email, "items.bookId": bookId },
+            { $inc: { "items.$.quantity": quantity }, $set: { updatedAt: now } }
+        );
+        if (!bumped.matchedCount) {
+            await cartsCollection.updateOne(
+                { customerEmail: email },
+                {
+                    $push: { items: { bookId, bookTitle: book.title, quantity, addedAt: now } },
+                    $set: { updatedAt: now },
+                    $setOnInsert: { customerEmail: email, createdAt: now }
+                },
+                { upsert: true }
+            );
+        }
+
+        res.send(await getCart(email));
+    });
+
+    router.patch('/cart/items/:bookId', verifyFBToken, async (req, res) => {
+        const quantity = parseCartQuantity(req.body.quantity);
+        if (!quantity) return res.status(400).send({ message: `Quantity must be between 1 and ${MAX_CART_QUANTITY}` });
+
+        const result = await cartsCollection.updateOne(
+            { customerEmail: req.decoded_email, "items.bookId": req.params.bookId },
+            { $set: { "items.$.quantity": quantity, updatedAt: new Date() } }
+        );
+        if (!result.matchedCount) return res.status(404).send({ message: "Item not in cart" });
+
+        res.send(await getCart(req.decoded_email));
+    });
+
+    router.delete('/cart/items/:bookId', verifyFBToken, async (req, res) => {
+        await cartsCollection.updateOne(
+            { customerEmail: req.decoded_email },
+            { $pull: { items: { bookId: req.params.bookId } }, $set: { updatedAt: new Date() } }
+        );
+        res.send(await getCart(req.decoded_email));
+    });
+
+    router.delete('/cart', verifyFBToken, async (req, res) => {
+        const result = await cartsCollection.deleteOne({ customerEmail: req.decoded_email });
+        res.send(result);
+    });
+
+    // Turns the whole cart into one order and one Stripe session
+    router.post('/cart/checkout', verifyFBToken, rateLimit("checkout"), async (req, res) => {
+        const email = req.decoded_email;
+        const cart = await cartsCollection.findOne({ customerEmail: email });
+        if (!cart || !cart.items?.length) return res.status(400).send({ message: "Cart is empty" });
+
+        const order = {
+            _id: new ObjectId(),
+            customerEmail: email,
+            ...(req.body?.customerName && { customerName: req.body.customerName }),
+            items: cart.items.map(({ bookId, bookTitle, quantity }) => ({ bookId, bookTitle, quantity })),
+            createdAt: new Date(),
+            status: "pending",
+            paymentStatus: "unpaid",
+            statusHistory: [statusHistoryEntry("pending", null, req, "customer")],
+        };
+        order.reservedItems = await reserveStock(order.items);
+        order.stockReserved = true;
+        order.reservedUntil = reservationDeadline(order.createdAt);
+
+        const { insertedId } = await ordersCollection.insertOne(order);
+
+        let session;
+        try {
+            if (req.body?.couponCode) {
+                await applyCoupon(order, req.body.couponCode);
+                await ordersCollection.updateOne({ _id: insertedId }, { $set: { coupon: order.coupon } });
+            }
+            session = await createCheckoutSession(order);
+        } catch (err) {
+            // Leave the cart intact so the customer can simply try again
+            await releaseStock(insertedId);
+            await releaseCoupon(insertedId);
+            await ordersCollection.deleteOne({ _id: insertedId });
+            throw err;
+        }
+
+        await cartsCollection.deleteOne({ customerEmail: email });
+        await notifyCustomer("order.placed", order);
+        res.send({ orderId: insertedId, url: session.url });
+    });
+
+    return router;
+};
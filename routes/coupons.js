@@ -0,0 +1,107 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+const { normalizeCode } = require('../services/coupons');
+
+// ======================================================
+// COUPONS API (admin)
+// ======================================================
+// Customers redeem codes through `couponCode` on POST /orders,
+// POST /create-checkout-session and POST /cart/checkout.
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+function checkTerms(coupon) {
+    if (coupon.type === "percentage" && coupon.value > 100) return "A percentage coupon cannot take off more than 100";
+    return null;
+}
+
+module.exports = function couponsRoutes(ctx) {
+    const {
+        couponsCollection,
+        couponRedemptionsCollection,
+        verifyFBToken,
+        requirePermission,
+        auditedInsertOne,
+        auditedUpdateOne,
+        auditedDeleteOne,
+    } = ctx;
+    const router = express.Router();
+
+    router.post('/coupons', verifyFBToken, requirePermission("coupons:manage"), validateBody(schemas.coupon), async (req, res) => {
+        try {
+            const coupon = { ...req.body, code: normalizeCode(req.body.code) };
+            if (!CODE_PATTERN.test(coupon.code))
+                return res.status(400).send({ message: "Codes are 3 to 40 letters, digits, - or _" });
+            const invalid = checkTerms(coupon);
+            if (invalid) return res.status(400).send({ message: invalid });
+
+            if (await couponsCollection.findOne({ code: coupon.code }, { projection: { _id: 1 } }))
+                return res.status(409).send({ message: "A coupon with this code already exists" });
+
+            Object.assign(coupon, {
+                active: coupon.active ?? true,
+                redemptionCount: 0,
+                customers: [],
+                createdBy: req.decoded_email,
+                createdAt: new Date(),
+            });
+            const { result } = await auditedInsertOne(req, "coupon.created", couponsCollection, coupon);
+            res.send(result);
+        } catch (err) {
+            // The unique index catches two admins creating the same code at once
+            if (err.code === 11000) return res.status(409).send({ message: "A coupon with this code already exists" });
+            throw err;
+        }
+    });
+
+    router.get('/coupons', verifyFBToken, requirePermission("coupons:manage"), async (req, res) => {
+        const result = await couponsCollection.find().sort({ createdAt: -1 }).toArray();
+        res.send(result);
+    });
+
+    router.get('/coupons/:id', verifyFBToken, requirePermission("coupons:manage"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+        const coupon = await couponsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!coupon) return res.status(404).send({ message: "Coupon not found" });
+
+        const redemptions = await couponRedemptionsCollection
+            .find({ couponId: req.params.id })
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.send({ ...coupon, redemptions });
+    });
+
+    // The code stays fixed once created; orders and redemptions refer to it
+    router.patch('/coupons/:id', verifyFBToken, requirePermission("coupons:manage"), validateBody(schemas.coupon, { partial: true }), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        if (req.body.code !== undefined) return res.status(400).send({ message: "The code cannot be changed" });
+
+        const _id = new ObjectId(req.params.id);
+        const coupon = await couponsCollection.findOne({ _id });
+        if (!coupon) return res.status(404).send({ message: "Coupon not found" });
+
+        const invalid = checkTerms({ ...coupon, ...req.body });
+        if (invalid) return res.status(400).send({ message: invalid });
+
+        const { result } = await auditedUpdateOne(
+            req,
+            "coupon.updated",
+            couponsCollection,
+            { _id },
+            { $set: { ...req.body, updatedAt: new Date() } }
+        );
+        res.send(result);
+    });
+
+    // Orders keep a copy of the terms, so deleting only stops new redemptions
+    router.delete('/coupons/:id', verifyFBToken, requirePermission("coupons:manage"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+        const { result } = await auditedDeleteOne(req, "coupon.deleted", couponsCollection, { _id: new ObjectId(req.params.id) });
+        if (!result.deletedCount) return res.status(404).send({ message: "Coupon not found" });
+        res.send(result);
+    });
+
+    return router;
+};
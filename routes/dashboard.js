@@ -0,0 +1,177 @@
+const express = require('express');
+const analytics = require('../services/analytics');
+const { orderContainsBook } = require('../lib/orders');
+const { LOW_STOCK_THRESHOLD } = require('../services/inventory');
+const { roleHas } = require('../lib/permissions');
+
+// ======================================================
+// DASHBOARD API
+// ======================================================
+module.exports = function dashboardRoutes(ctx) {
+    const {
+        usersCollection,
+        booksCollection,
+        ordersCollection,
+        wishlistCollection,
+        reviewsCollection,
+        paymentCollection,
+        couponRedemptionsCollection,
+        verifyFBToken,
+        requirePermission,
+        ownedBooksFilter,
+        ownedBookIds,
+    } = ctx;
+    const router = express.Router();
+
+    router.get("/admin-stats", verifyFBToken, requirePermission("analytics:store"), async (req, res) => {
+        const [usersCount, booksCount, ordersCount, wishlistCount, reviewsCount, paymentsCount, coupons] =
+            await Promise.all([
+                usersCollection.countDocuments(),
+                booksCollection.countDocuments(),
+                ordersCollection.countDocuments(),
+                wishlistCollection.countDocuments(),
+                reviewsCollection.countDocuments(),
+                paymentCollection.countDocuments(),
+                couponRedemptionsCollection.aggregate(analytics.couponUsage()).toArray(),
+            ]);
+        res.send({
+            usersCount,
+            booksCount,
+            ordersCount,
+            wishlistCount,
+            reviewsCount,
+            paymentsCount,
+            couponRedemptionsCount: coupons.reduce((sum, coupon) => sum + coupon.redemptions, 0),
+            couponDiscountTotal: Math.round(coupons.reduce((sum, coupon) => sum + coupon.discountTotal, 0) * 100) / 100,
+            coupons,
+        });
+    });
+
+    router.get("/librarian-stats", verifyFBToken, requirePermission("analytics:read"), async (req, res) => {
+        // Scoped to the caller's own books unless they are an admin
+        const booksFilter = ownedBooksFilter(req);
+        const bookIds = roleHas(req.user_role, "store:all") ? null : await ownedBookIds(req);
+        const ordersFilter = bookIds ? orderContainsBook({ $in: bookIds }) : {};
+        const perBookFilter = bookIds ? { bookId: { $in: bookIds } } : {};
+
+        const [
+            booksCount,
+            pendingOrders,
+            paidOrders,
+            reviewsCount,
+            wishlistCount,
+            lowStock,
+        ] = await Promise.all([
+            booksCollection.countDocuments(booksFilter),
+            ordersCollection.countDocuments({ ...ordersFilter, paymentStatus: "unpaid" }),
+            ordersCollection.countDocuments({ ...ordersFilter, paymentStatus: "paid" }),
+            reviewsCollection.countDocuments(perBookFilter),
+            wishlistCollection.countDocuments(perBookFilter),
+            booksCollection
+                .find({ ...booksFilter, stock: { $lte: LOW_STOCK_THRESHOLD } })
+                .project({ title: 1, author: 1, stock: 1 })
+                .sort({ stock: 1 })
+                .toArray(),
+        ]);
+
+        res.send({
+            booksCount,
+            pendingOrders,
+            paidOrders,
+            reviewsCount,
+            wishlistCount,
+            lowStock,
+        });
+    });
+
+    router.get("/user-stats/:email", verifyFBToken, async (req, res) => {
+        const email = req.params.email;
+
+        if (email !== req.decoded_email) {
+            return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const [
+            orders,
+            wishlist,
+            reviews,
+            payments
+        ] = await Promise.all([
+            ordersCollection.countDocuments({ customerEmail: email }),
+            wishlistCollection.countDocuments({ customerEmail: email }),
+            reviewsCollection.countDocuments({ userEmail: email }),
+            paymentCollection.countDocuments({ customerEmail: email }),
+        ]);
+
+        res.send({
+            orders,
+            wishlist,
+            reviews,
+            payments,
+        });
+
+    });
+
+
+    // ======================================================
+    // ANALYTICS API
+    // ======================================================
+    // Time-series and ranking data for the dashboard charts. Librarians get
+    // numbers for their own books only; admins see the whole store.
+    async function analyticsScope(req) {
+        return roleHas(req.user_role, "store:all") ? null : await ownedBookIds(req);
+    }
+
+    router.get("/analytics/revenue", verifyFBToken, requirePermission("analytics:read"), async (req, res) => {
+        const range = analytics.parseRange(req.query);
+        if (range.error) return res.status(400).send({ message: range.error });
+
+        const series = await paymentCollection
+            .aggregate(analytics.revenueOverTime(range, await analyticsScope(req)))
+            .toArray();
+        res.send({ from: range.from, to: range.to, interval: range.interval, series });
+    });
+
+    router.get("/analytics/revenue-by-librarian", verifyFBToken, requirePermission("analytics:store"), async (req, res) => {
+        const range = analytics.parseRange(req.query);
+        if (range.error) return res.status(400).send({ message: range.error });
+
+        const librarians = await paymentCollection.aggregate(analytics.revenueByLibrarian(range)).toArray();
+        res.send({ from: range.from, to: range.to, librarians });
+    });
+
+    router.get("/analytics/top-books", verifyFBToken, requirePermission("analytics:read"), async (req, res) => {
+        const range = analytics.parseRange(req.query);
+        if (range.error) return res.status(400).send({ message: range.error });
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+        const books = await paymentCollection
+            .aggregate(analytics.topSellingBooks(range, await analyticsScope(req), limit))
+            .toArray();
+        res.send({ from: range.from, to: range.to, books });
+    });
+
+    router.get("/analytics/wishlist-conversion", verifyFBToken, requirePermission("analytics:read"), async (req, res) => {
+        const range = analytics.parseRange(req.query);
+        if (range.error) return res.status(400).send({ message: range.error });
+
+        const [result] = await wishlistCollection
+            .aggregate(analytics.wishlistConversion(range, await analyticsScope(req)))
+            .toArray();
+        res.send({
+            from: range.from,
+            to: range.to,
+            ...(result || { wishlisted: 0, purchased: 0, conversionRate: 0 }),
+        });
+    });
+
+    router.get("/analytics/ratings", verifyFBToken, requirePermission("analytics:read"), async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const books = await reviewsCollection
+            .aggregate(analytics.averageRatings(await analyticsScope(req), limit))
+            .toArray();
+        res.send({ books });
+    });
+
+    return router;
+};
@@ -0,0 +1,107 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../lib/logger');
+const { orderItems } = require('../lib/orders');
+const { DOWNLOAD_ROUTE } = require('../services/downloads');
+
+// ======================================================
+// DOWNLOAD API
+// ======================================================
+// Buyers of a paid order ask for a signed link per ebook, then fetch the
+// file from it without further authentication (see services/downloads.js).
+module.exports = function downloadsRoutes(ctx) {
+    const {
+        ordersCollection,
+        privateStorage,
+        verifyFBToken,
+        downloadableEbook,
+        createDownloadLink,
+        verifyDownloadToken,
+        recordDownload,
+        downloadSummary,
+    } = ctx;
+    const router = express.Router();
+
+    // Looks up the buyer's order by the :id param, answering 400/403/404 itself when it can't
+    async function findOwnOrder(req, res) {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).send({ message: "Invalid ID" });
+            return null;
+        }
+        const order = await ordersCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!order) {
+            res.status(404).send({ message: "Order not found" });
+            return null;
+        }
+        if (order.customerEmail !== req.decoded_email) {
+            res.status(403).send({ message: "Forbidden" });
+            return null;
+        }
+        return order;
+    }
+
+    // Downloads used and left per book of the order
+    router.get("/orders/:id/downloads", verifyFBToken, async (req, res) => {
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+        res.send(downloadSummary(order));
+    });
+
+    // Body: { bookId }, which may be left out for single-book orders
+    router.post("/orders/:id/downloads", verifyFBToken, async (req, res) => {
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+
+        const items = orderItems(order);
+        const bookId = typeof req.body?.bookId === "string" ? req.body.bookId : items.length === 1 ? items[0].bookId : null;
+        if (!bookId) return res.status(400).send({ message: "bookId is required for orders with several books" });
+
+        const link = await createDownloadLink(order, bookId, `${req.protocol}://${req.get("host")}`);
+        res.send(link);
+    });
+
+    // The link is the credential. GET and HEAD both come here; only a GET
+    // counts as a download, and only the first one per link.
+    router.get(`${DOWNLOAD_ROUTE}/:token`, async (req, res) => {
+        const claims = verifyDownloadToken(req.params.token);
+        const order = ObjectId.isValid(claims.order) ? await ordersCollection.findOne({ _id: new ObjectId(claims.order) }) : null;
+        if (!order) return res.status(404).send({ message: "Order not found" });
+        const ebook = await downloadableEbook(order, claims.book);
+
+        const file = await privateStorage.stat(ebook.keys[0]);
+        if (!file) {
+            logger.error("Ebook file is missing from storage", { bookId: claims.book, key: ebook.keys[0] });
+            return res.status(404).send({ message: "This book has no ebook to download" });
+        }
+
+        res.set({ "Accept-Ranges": "bytes", "Cache-Control": "private, no-store" });
+        const ranges = req.headers.range ? req.range(file.size) : undefined;
+        if (ranges === -1) {
+            res.set("Content-Range", `bytes */${file.size}`);
+            return res.status(416).send({ message: "Range not satisfiable" });
+        }
+        if (req.method !== "HEAD") await recordDownload(req, claims, order);
+
+        let start = 0;
+        let end = file.size - 1;
+        // Several ranges would need a multipart response; the whole file is sent instead
+        if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206).set("Content-Range", `bytes ${start}-${end}/${file.size}`);
+        }
+        res.attachment(ebook.fileName);
+        res.type(ebook.contentType);
+        res.set("Content-Length", String(end - start + 1));
+        if (req.method === "HEAD") return res.end();
+
+        try {
+            await pipeline(privateStorage.createReadStream(ebook.keys[0], { start, end }), res);
+        } catch (err) {
+            // The client going away mid-download is not an error
+            if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+        }
+    });
+
+    return router;
+};
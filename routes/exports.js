@@ -0,0 +1,143 @@
+const express = require('express');
+const { csvLine } = require('../lib/csv');
+const { orderItems } = require('../lib/orders');
+const { roleHas } = require('../lib/permissions');
+
+// ======================================================
+// EXPORTS (CSV / NDJSON)
+// ======================================================
+// ?format=csv (default) writes the columns below with a header row;
+// ?format=ndjson writes every document as one JSON line. Rows are streamed
+// from the cursor, so exports of any size stay out of memory. Headers are out
+// once streaming starts, so a failure past that point cuts the download short.
+const EXPORT_FORMATS = {
+    csv: { type: "text/csv", extension: "csv" },
+    ndjson: { type: "application/x-ndjson", extension: "ndjson" },
+};
+
+const BOOK_COLUMNS = [
+    "_id", "isbn", "title", "author", "category", "language", "price", "stock", "status",
+    "description", "image", "librarianEmail", "averageRating", "reviewCount", "createdAt",
+];
+
+const ORDER_COLUMNS = [
+    "_id", "createdAt", "customerEmail", "status", "paymentStatus",
+    // "<bookId> x<quantity>" per item, separated by "; "
+    { header: "items", value: order => orderItems(order).map(item => `${item.bookId} x${item.quantity || 1}`).join("; ") },
+    "subtotal", "discount",
+    { header: "couponCode", value: order => order.coupon?.code },
+    "transactionId",
+];
+
+const PAYMENT_COLUMNS = [
+    "_id", "paidAt", "customerEmail", "transactionId", "orderId", "bookId",
+    "amount", "currency", "paymentStatus", "refundedAmount", "couponCode", "discount",
+];
+
+// ?from=&to= on `field` into a filter, or { error }
+function dateRangeFilter(query, field) {
+    if (!query.from && !query.to) return {};
+    const range = {};
+    for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) return { error: `${param} must be a valid date` };
+        range[operator] = date;
+    }
+    return { [field]: range };
+}
+
+// Copies the listed ?params into the filter as exact matches
+function pickFilters(query, params) {
+    const filter = {};
+    for (const param of params) {
+        if (query[param]) filter[param] = String(query[param]);
+    }
+    return filter;
+}
+
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off("drain", done);
+            res.off("close", done);
+            resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+    });
+}
+
+async function streamExport(res, cursor, { format, columns, name }) {
+    const { type, extension } = EXPORT_FORMATS[format];
+    const fields = columns.map(column => typeof column === "string" ? { header: column, value: doc => doc[column] } : column);
+    const date = new Date().toISOString().slice(0, 10);
+
+    // attachment() guesses a type from the extension, so the type goes second
+    res.attachment(`${name}-${date}.${extension}`);
+    res.type(type);
+    if (format === "csv") res.write(csvLine(fields.map(field => field.header)));
+
+    for await (const doc of cursor) {
+        if (res.destroyed) break; // the client went away
+        const chunk = format === "csv" ? csvLine(fields.map(field => field.value(doc))) : JSON.stringify(doc) + "\n";
+        if (!res.write(chunk)) await waitForDrain(res);
+    }
+    res.end();
+}
+
+module.exports = function exportsRoutes(ctx) {
+    const {
+        booksCollection,
+        ordersCollection,
+        paymentCollection,
+        verifyFBToken,
+        requirePermission,
+        ownedBooksFilter,
+    } = ctx;
+    const router = express.Router();
+
+    // Checks ?format and builds the filter, answering 400 itself when either is invalid
+    function exportRequest(req, res, filter, dateField) {
+        const format = req.query.format || "csv";
+        if (!EXPORT_FORMATS[format]) {
+            res.status(400).send({ message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+            return null;
+        }
+        const range = dateRangeFilter(req.query, dateField);
+        if (range.error) {
+            res.status(400).send({ message: range.error });
+            return null;
+        }
+        return { format, filter: { ...filter, ...range } };
+    }
+
+    // Librarians export their own books; ?status, ?category, ?language, ?from, ?to (createdAt)
+    router.get('/export/books', verifyFBToken, requirePermission("books:manage"), async (req, res) => {
+        const filter = { ...pickFilters(req.query, ["status", "category", "language"]), ...ownedBooksFilter(req) };
+        if (req.query.librarianEmail && roleHas(req.user_role, "store:all")) filter.librarianEmail = String(req.query.librarianEmail);
+
+        const request = exportRequest(req, res, filter, "createdAt");
+        if (!request) return;
+        const cursor = booksCollection.find(request.filter).sort({ _id: 1 });
+        await streamExport(res, cursor, { format: request.format, columns: BOOK_COLUMNS, name: "books" });
+    });
+
+    // ?status, ?paymentStatus, ?customerEmail, ?from, ?to (createdAt)
+    router.get('/export/orders', verifyFBToken, requirePermission("reports:export"), async (req, res) => {
+        const request = exportRequest(req, res, pickFilters(req.query, ["status", "paymentStatus", "customerEmail"]), "createdAt");
+        if (!request) return;
+        const cursor = ordersCollection.find(request.filter).sort({ createdAt: 1, _id: 1 });
+        await streamExport(res, cursor, { format: request.format, columns: ORDER_COLUMNS, name: "orders" });
+    });
+
+    // ?paymentStatus, ?customerEmail, ?currency, ?from, ?to (paidAt)
+    router.get('/export/payments', verifyFBToken, requirePermission("reports:export"), async (req, res) => {
+        const request = exportRequest(req, res, pickFilters(req.query, ["paymentStatus", "customerEmail", "currency"]), "paidAt");
+        if (!request) return;
+        const cursor = paymentCollection.find(request.filter).sort({ paidAt: 1, _id: 1 });
+        await streamExport(res, cursor, { format: request.format, columns: PAYMENT_COLUMNS, name: "payments" });
+    });
+
+    return router;
+};
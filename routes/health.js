@@ -0,0 +1,84 @@
+const express = require('express');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// HEALTH CHECKS
+// ======================================================
+// GET /health/live  - the process is up and serving requests; always 200.
+// GET /health/ready - whether the dependencies answer:
+//   mongodb  - required: without it nothing works, so the endpoint answers 503
+//   firebase - sign-in and every signed-in route
+//   stripe   - checkout, payment status and refunds
+// A Firebase or Stripe outage leaves the catalogue browsable, so it answers
+// 200 with status "degraded" instead. Mounted ahead of the rate limits and the
+// DB-ready gate so probes always get an answer.
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+// Firebase and Stripe results are reused this long, so frequent probes don't spend their quotas
+const EXTERNAL_CHECK_CACHE_MS = 15 * 1000;
+// Firebase answers auth/user-not-found for this uid, which proves it is reachable
+const PROBE_UID = "swiftbook-health-check";
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves to { status: "up" | "down", latencyMs }; the reason a check failed is logged, not returned
+async function runCheck(name, check) {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(check), HEALTH_CHECK_TIMEOUT_MS);
+        return { status: "up", latencyMs: Date.now() - startedAt };
+    } catch (err) {
+        logger.warn("Health check failed", { check: name, err: err.message });
+        return { status: "down", latencyMs: Date.now() - startedAt };
+    }
+}
+
+function cachedCheck(name, check) {
+    let cached = null;
+    return async () => {
+        if (cached && cached.expiresAt > Date.now()) return cached.result;
+        const result = await runCheck(name, check);
+        cached = { result, expiresAt: Date.now() + EXTERNAL_CHECK_CACHE_MS };
+        return result;
+    };
+}
+
+module.exports = function healthRoutes(ctx) {
+    const { db, auth, stripe, isReady } = ctx;
+    const router = express.Router();
+
+    const checkMongo = () => runCheck("mongodb", async () => {
+        if (!isReady()) throw new Error("Not connected");
+        await db.command({ ping: 1 });
+    });
+    const checkFirebase = cachedCheck("firebase", async () => {
+        try {
+            await auth.getUser(PROBE_UID);
+        } catch (err) {
+            if (err.code !== "auth/user-not-found") throw err;
+        }
+    });
+    const checkStripe = cachedCheck("stripe", () => stripe.balance.retrieve());
+
+    router.get('/health/live', (req, res) => {
+        res.send({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get('/health/ready', async (req, res) => {
+        const [mongodb, firebase, stripeCheck] = await Promise.all([checkMongo(), checkFirebase(), checkStripe()]);
+        const checks = { mongodb, firebase, stripe: stripeCheck };
+
+        let status = "ok";
+        if (mongodb.status !== "up") status = "down";
+        else if (Object.values(checks).some(check => check.status !== "up")) status = "degraded";
+
+        res.status(status === "down" ? 503 : 200).send({ status, checks });
+    });
+
+    return router;
+};
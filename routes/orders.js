@@ -0,0 +1,312 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+const { PAID_PAYMENT_STATUSES, orderItems, orderContainsBook, statusHistoryEntry } = require('../lib/orders');
+const { reservationDeadline } = require('../services/inventory');
+const { refundableAmount } = require('../services/refunds');
+const { roleHas } = require('../lib/permissions');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// ORDER API
+// ======================================================
+// Who may move an order from one status to the next. "customer" is the
+// buyer, "librarian" staff who own one of the ordered books and "admin"
+// staff with the "store:all" permission.
+const ORDER_TRANSITIONS = {
+    pending: {
+        confirmed: ["librarian", "admin"],
+        cancelled: ["customer", "librarian", "admin"],
+    },
+    confirmed: {
+        shipped: ["librarian", "admin"],
+        cancelled: ["librarian", "admin"],
+    },
+    shipped: {
+        delivered: ["librarian", "admin"],
+    },
+    delivered: {
+        returned: ["librarian", "admin"],
+    },
+    cancelled: {},
+    returned: {},
+};
+
+// Statuses that put the order's copies back into stock
+const RESTOCKING_STATUSES = ["cancelled", "returned"];
+
+// How long after delivery a customer may ask to send an order back
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 30;
+const RETURN_ACTIONS = ["approve", "reject"];
+
+module.exports = function ordersRoutes(ctx) {
+    const {
+        booksCollection,
+        ordersCollection,
+        paymentCollection,
+        verifyFBToken,
+        rateLimit,
+        requirePermission,
+        roleOf,
+        ownedBookIds,
+        reserveStock,
+        restock,
+        releaseStock,
+        returnStock,
+        issueRefund,
+        expireCheckoutSession,
+        applyCoupon,
+        releaseCoupon,
+        notifyCustomer,
+        recordAudit,
+        auditedDeleteOne,
+    } = ctx;
+    const router = express.Router();
+
+    router.post('/orders', verifyFBToken, rateLimit("checkout"), validateBody(schemas.order), async (req, res) => {
+        const { couponCode, ...order } = req.body;
+        order._id = new ObjectId();
+        order.customerEmail = req.decoded_email;
+        order.createdAt = new Date();
+        order.status = "pending";
+        order.paymentStatus = "unpaid";
+        order.statusHistory = [statusHistoryEntry("pending", null, req, "customer")];
+
+        order.reservedItems = await reserveStock(orderItems(order));
+        order.stockReserved = true;
+        order.reservedUntil = reservationDeadline(order.createdAt);
+
+        let result;
+        try {
+            if (couponCode) await applyCoupon(order, couponCode);
+            result = await ordersCollection.insertOne(order);
+        } catch (err) {
+            await restock(order.reservedItems);
+            await releaseCoupon(order._id);
+            throw err;
+        }
+
+        await notifyCustomer("order.placed", order);
+        res.send(result);
+    });
+
+    router.get('/orders/:email', verifyFBToken, async (req, res) => {
+        if (req.params.email !== req.decoded_email)
+            return res.status(403).send({ message: "Forbidden" });
+
+        const result = await ordersCollection.find({ customerEmail: req.params.email }).toArray();
+        res.send(result);
+    });
+
+    router.get('/orders', verifyFBToken, requirePermission("orders:manage"), async (req, res) => {
+        const filter = roleHas(req.user_role, "store:all") ? {} : orderContainsBook({ $in: await ownedBookIds(req) });
+        const result = await ordersCollection.find(filter).toArray();
+        res.send(result);
+    });
+
+    // Customers cancel through PATCH /orders/:id; hard deletes are an admin clean-up tool
+    router.delete('/orders/:id', verifyFBToken, requirePermission("orders:delete"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        const _id = new ObjectId(req.params.id);
+        // Copies of paid or delivered orders were sold and do not go back on the shelf
+        await releaseStock(_id, { paymentStatus: "unpaid", status: { $ne: "delivered" } });
+        await releaseCoupon(_id);
+        const { result } = await auditedDeleteOne(req, "order.deleted", ordersCollection, { _id });
+        res.send(result);
+    });
+
+    router.get("/orders/librarian/:email", verifyFBToken, requirePermission("orders:manage"), async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded_email && !roleHas(req.user_role, "store:all"))
+            return res.status(403).send({ message: "Forbidden" });
+
+        const books = await booksCollection.find({ librarianEmail: email }).project({ _id: 1 }).toArray();
+
+        const bookIds = books.map(book => book._id.toString());
+        const orders = await ordersCollection.find(orderContainsBook({ $in: bookIds })).toArray();
+
+        res.send(orders);
+    });
+
+    async function orderActorRoles(order, email) {
+        const roles = [];
+        if (order.customerEmail === email) roles.push("customer");
+
+        const userRole = await roleOf(email);
+        const managesOrders = roleHas(userRole, "orders:manage");
+        if (managesOrders && roleHas(userRole, "store:all")) roles.push("admin");
+
+        if (managesOrders && !roles.includes("admin")) {
+            const bookIds = orderItems(order)
+                .filter(item => ObjectId.isValid(item.bookId))
+                .map(item => new ObjectId(item.bookId));
+            const owned = await booksCollection.countDocuments({ _id: { $in: bookIds }, librarianEmail: email });
+            if (owned) roles.push("librarian");
+        }
+
+        return { roles, userRole };
+    }
+
+    // Refunds what is left of the order's payment. The status change stands even
+    // if Stripe refuses; staff can retry from the refunds endpoint.
+    async function refundOrder(order, req, reason) {
+        const payment = order.transactionId
+            ? await paymentCollection.findOne({ transactionId: order.transactionId })
+            : null;
+        if (!payment || refundableAmount(payment) <= 0) return { refund: null };
+        try {
+            return { refund: await issueRefund(payment, { reason, requestedBy: req.decoded_email }) };
+        } catch (err) {
+            logger.warn("Order refund failed", { orderId: order._id, err });
+            return { refund: null, refundError: err.message };
+        }
+    }
+
+    router.patch("/orders/:id", verifyFBToken, async (req, res) => {
+        const { status } = req.body;
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        if (!ORDER_TRANSITIONS[status]) return res.status(400).send({ message: "Unknown order status" });
+
+        const _id = new ObjectId(req.params.id);
+        const order = await ordersCollection.findOne({ _id });
+        if (!order) return res.status(404).send({ message: "Order not found" });
+
+        const from = order.status || "pending";
+        const { roles, userRole } = await orderActorRoles(order, req.decoded_email);
+        if (!roles.length) return res.status(403).send({ message: "Forbidden" });
+
+        const allowedRoles = ORDER_TRANSITIONS[from]?.[status];
+        if (!allowedRoles) return res.status(409).send({ message: `Cannot change order from ${from} to ${status}` });
+        if (!allowedRoles.some(role => roles.includes(role)))
+            return res.status(403).send({ message: `Not allowed to change order from ${from} to ${status}` });
+
+        // Matching on the old status stops two concurrent updates from both applying,
+        // and on the payment status a payment landing meanwhile from going unrefunded
+        const result = await ordersCollection.updateOne(
+            { _id, status: order.status, paymentStatus: order.paymentStatus ?? null },
+            {
+                $set: { status, updatedAt: new Date() },
+                $push: { statusHistory: statusHistoryEntry(status, from, req, userRole) }
+            }
+        );
+        if (!result.modifiedCount) return res.status(409).send({ message: "Order was changed by someone else" });
+
+        // A customer cancelling their own order is not a privileged change
+        if (userRole !== "user") {
+            await recordAudit(req, {
+                action: "order.status_changed",
+                target: { type: "orders", id: _id },
+                before: { status: from },
+                after: { status },
+            });
+        }
+
+        if (RESTOCKING_STATUSES.includes(status)) await returnStock(_id);
+        // Only still-reserved uses come back; a paid order keeps its coupon
+        if (status === "cancelled") await releaseCoupon(_id);
+        await notifyCustomer("order.status_changed", { ...order, status });
+
+        // A cancelled order can no longer be paid, and whatever was paid goes back
+        let refund = {};
+        if (status === "cancelled") {
+            if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) refund = await refundOrder(order, req, "requested_by_customer");
+            else await expireCheckoutSession(order);
+        }
+
+        res.send({ success: true, status, ...refund });
+    });
+
+
+    // ======================================================
+    // RETURNS
+    // ======================================================
+    router.post("/orders/:id/return-request", verifyFBToken, async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+        if (!reason) return res.status(400).send({ message: "A reason is required" });
+
+        const _id = new ObjectId(req.params.id);
+        const order = await ordersCollection.findOne({ _id });
+        if (!order) return res.status(404).send({ message: "Order not found" });
+        if (order.customerEmail !== req.decoded_email) return res.status(403).send({ message: "Forbidden" });
+        if (order.status !== "delivered") return res.status(409).send({ message: "Only delivered orders can be returned" });
+        if (order.returnRequest) return res.status(409).send({ message: "A return was already requested for this order" });
+
+        const delivered = (order.statusHistory || []).filter(entry => entry.status === "delivered").pop();
+        const deliveredAt = delivered ? delivered.at : order.updatedAt;
+        if (deliveredAt && Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+            return res.status(409).send({ message: `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery` });
+
+        const returnRequest = { status: "requested", reason, requestedAt: new Date() };
+        const result = await ordersCollection.updateOne(
+            { _id, status: "delivered", returnRequest: { $exists: false } },
+            { $set: { returnRequest } }
+        );
+        if (!result.modifiedCount) return res.status(409).send({ message: "Order was changed by someone else" });
+
+        res.send({ success: true, returnRequest });
+    });
+
+    router.get("/return-requests", verifyFBToken, requirePermission("orders:manage"), async (req, res) => {
+        const filter = { "returnRequest.status": req.query.status ? String(req.query.status) : "requested" };
+        if (!roleHas(req.user_role, "store:all")) Object.assign(filter, orderContainsBook({ $in: await ownedBookIds(req) }));
+
+        const result = await ordersCollection.find(filter).sort({ "returnRequest.requestedAt": 1 }).toArray();
+        res.send(result);
+    });
+
+    // Approving marks the order returned, restocks it and refunds whatever is left of the payment
+    router.patch("/orders/:id/return-request", verifyFBToken, async (req, res) => {
+        const { action, note } = req.body || {};
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+        if (!RETURN_ACTIONS.includes(action))
+            return res.status(400).send({ message: `action must be one of ${RETURN_ACTIONS.join(", ")}` });
+
+        const _id = new ObjectId(req.params.id);
+        const order = await ordersCollection.findOne({ _id });
+        if (!order) return res.status(404).send({ message: "Order not found" });
+
+        const { roles, userRole } = await orderActorRoles(order, req.decoded_email);
+        if (!roles.includes("librarian") && !roles.includes("admin"))
+            return res.status(403).send({ message: "Forbidden" });
+        if (order.returnRequest?.status !== "requested")
+            return res.status(409).send({ message: "No open return request for this order" });
+
+        const decision = {
+            "returnRequest.status": action === "approve" ? "approved" : "rejected",
+            "returnRequest.decidedBy": req.decoded_email,
+            "returnRequest.decidedAt": new Date(),
+        };
+        if (typeof note === "string" && note.trim()) decision["returnRequest.note"] = note.trim().slice(0, 500);
+
+        const auditDecision = after => recordAudit(req, {
+            action: `order.return_${decision["returnRequest.status"]}`,
+            target: { type: "orders", id: _id },
+            before: { status: order.status, returnStatus: "requested" },
+            after: { ...after, returnStatus: decision["returnRequest.status"] },
+        });
+
+        if (action === "reject") {
+            await ordersCollection.updateOne({ _id, "returnRequest.status": "requested" }, { $set: decision });
+            await auditDecision({ status: order.status });
+            return res.send({ success: true, status: order.status });
+        }
+
+        const result = await ordersCollection.updateOne(
+            { _id, status: "delivered", "returnRequest.status": "requested" },
+            {
+                $set: { ...decision, status: "returned", updatedAt: new Date() },
+                $push: { statusHistory: statusHistoryEntry("returned", "delivered", req, userRole) }
+            }
+        );
+        if (!result.modifiedCount) return res.status(409).send({ message: "Order was changed by someone else" });
+        await auditDecision({ status: "returned" });
+        await returnStock(_id);
+        await notifyCustomer("order.status_changed", { ...order, status: "returned" });
+
+        const refund = await refundOrder(order, req, "requested_by_customer");
+        res.send({ success: true, status: "returned", ...refund });
+    });
+
+    return router;
+};
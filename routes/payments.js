@@ -0,0 +1,302 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { orderItems } = require('../lib/orders');
+const { normalizeCode } = require('../services/coupons');
+const { refundableAmount, notBelowRefundedAmount } = require('../services/refunds');
+const { roleHas } = require('../lib/permissions');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// PAYMENT API
+// ======================================================
+// Sessions created before checkout was order-linked only carry bookId + email
+function orderFilterFromMetadata(metadata = {}) {
+    if (metadata.orderId && ObjectId.isValid(metadata.orderId))
+        return { _id: new ObjectId(metadata.orderId) };
+    if (metadata.bookId && metadata.customerEmail)
+        return { bookId: metadata.bookId, customerEmail: metadata.customerEmail };
+    return null;
+}
+
+module.exports = function paymentsRoutes(ctx) {
+    const {
+        stripe,
+        stripeWebhookSecret,
+        ordersCollection,
+        paymentCollection,
+        verifyFBToken,
+        rateLimit,
+        requirePermission,
+        ownedBookIds,
+        releaseLapsedReservation,
+        createCheckoutSession,
+        applyCoupon,
+        reclaimCoupon,
+        releaseCoupon,
+        confirmCoupon,
+        issueRefund,
+        recordAudit,
+        notifyCustomer,
+        notifySale,
+    } = ctx;
+    const router = express.Router();
+
+    router.post('/create-checkout-session', verifyFBToken, rateLimit("checkout"), async (req, res) => {
+        const { orderId, couponCode } = req.body || {};
+        if (!orderId || !ObjectId.isValid(orderId))
+            return res.status(400).send({ message: "A valid orderId is required" });
+
+        const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+        if (!order) return res.status(404).send({ message: "Order not found" });
+        if (order.customerEmail !== req.decoded_email)
+            return res.status(403).send({ message: "Forbidden" });
+        if (order.paymentStatus === "paid")
+            return res.status(409).send({ message: "Order is already paid" });
+        if (order.status === "cancelled")
+            return res.status(409).send({ message: "Order is cancelled" });
+
+        if (couponCode) {
+            if (order.coupon && order.coupon.code !== normalizeCode(couponCode))
+                return res.status(409).send({ message: `Coupon ${order.coupon.code} is already applied to this order` });
+            if (!order.coupon) {
+                await applyCoupon(order, couponCode);
+                const result = await ordersCollection.updateOne(
+                    { _id: order._id, coupon: { $exists: false } },
+                    { $set: { coupon: order.coupon } }
+                );
+                if (!result.modifiedCount) {
+                    await releaseCoupon(order._id);
+                    return res.status(409).send({ message: "Order was changed by someone else" });
+                }
+            }
+        }
+
+        // A lapsed reservation gave the coupon use back; a checkout that fails gives it back again
+        const reclaimed = await reclaimCoupon(order);
+        let session;
+        try {
+            session = await createCheckoutSession(order);
+        } catch (err) {
+            if (reclaimed) await releaseCoupon(order._id);
+            throw err;
+        }
+        res.send({ url: session.url });
+    });
+
+    // Read-only status check for the success page. Payments are recorded by the
+    // Stripe webhook, so closing the tab before this call no longer loses them.
+    const getPaymentStatus = async (req, res) => {
+        const sessionId = req.query.session_id;
+        if (!sessionId) return res.status(400).send({ message: "Missing session_id" });
+
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        if (session.customer_email !== req.decoded_email)
+            return res.status(403).send({ message: "Forbidden" });
+
+        const payment = session.payment_intent
+            ? await paymentCollection.findOne({ transactionId: session.payment_intent })
+            : null;
+
+        res.send({
+            success: session.payment_status === "paid",
+            paymentStatus: payment ? payment.paymentStatus : session.payment_status,
+            recorded: !!payment,
+            paymentInfo: payment,
+            transactionId: session.payment_intent
+        });
+    };
+
+    router.get("/payment-success", verifyFBToken, getPaymentStatus);
+    // Kept for clients that still PATCH after the redirect; it no longer writes anything
+    router.patch("/payment-success", verifyFBToken, getPaymentStatus);
+
+    router.get('/payments', verifyFBToken, async (req, res) => {
+        const email = req.query.email;
+        if (email !== req.decoded_email) return res.status(403).send({ message: "Forbidden" });
+
+        const payments = await paymentCollection.find({ customerEmail: email }).sort({ paidAt: -1 }).toArray();
+        res.send(payments);
+    });
+
+    // ======================================================
+    // REFUNDS
+    // ======================================================
+    // Admins refund any payment; librarians only payments where every book is one of theirs
+    router.post('/payments/:transactionId/refunds', verifyFBToken, requirePermission("payments:refund"), async (req, res) => {
+        const payment = await paymentCollection.findOne({ transactionId: req.params.transactionId });
+        if (!payment) return res.status(404).send({ message: "Payment not found" });
+
+        if (!roleHas(req.user_role, "store:all")) {
+            const owned = await ownedBookIds(req);
+            const bookIds = payment.lineItems ? payment.lineItems.map(line => line.bookId) : [payment.bookId];
+            if (!bookIds.every(bookId => owned.includes(bookId)))
+                return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const { amount, reason } = req.body || {};
+        const refund = await issueRefund(payment, { amount, reason, requestedBy: req.decoded_email });
+        await recordAudit(req, {
+            action: "payment.refunded",
+            target: { type: "payments", id: payment._id },
+            before: { paymentStatus: payment.paymentStatus, refundedAmount: payment.refundedAmount || 0 },
+            after: { paymentStatus: refund.paymentStatus, refundedAmount: refund.refundedAmount, refundId: refund.refundId },
+        });
+        res.send(refund);
+    });
+
+
+    // ======================================================
+    // STRIPE WEBHOOK
+    // ======================================================
+    // Every handler below is safe to run more than once: Stripe retries
+    // deliveries and may send the same event twice.
+    async function handleCheckoutCompleted(session) {
+        if (session.payment_status !== "paid") return;
+
+        const metadata = { ...session.metadata };
+        const { orderId, bookId } = metadata;
+        const customerEmail = session.customer_email || session.customer_details?.email;
+        metadata.customerEmail = metadata.customerEmail || customerEmail;
+
+        const order = orderId && ObjectId.isValid(orderId)
+            ? await ordersCollection.findOne({ _id: new ObjectId(orderId) })
+            : null;
+        const items = order ? orderItems(order) : [];
+
+        const payment = {
+            sessionId: session.id,
+            customerEmail,
+            transactionId: session.payment_intent,
+            amount: session.amount_total / 100,
+            currency: session.currency,
+            paymentStatus: "paid",
+            paidAt: new Date(),
+        };
+        if (orderId) payment.orderId = orderId;
+        if (bookId) payment.bookId = bookId;
+        if (items.length === 1 && items[0].bookTitle) payment.bookTitle = items[0].bookTitle;
+        if (order?.lineItems) payment.lineItems = order.lineItems;
+        if (order?.coupon) Object.assign(payment, { couponCode: order.coupon.code, discount: order.discount });
+
+        await paymentCollection.updateOne(
+            { transactionId: session.payment_intent },
+            { $setOnInsert: payment },
+            { upsert: true }
+        );
+
+        const filter = orderFilterFromMetadata(metadata);
+        if (!filter) return;
+
+        // Only the delivery that actually marks the order paid sends the emails, and
+        // only the order's current session can: older ones were replaced by a new checkout
+        const paidOrder = await ordersCollection.findOneAndUpdate(
+            { ...filter, ...(order && { checkoutSessionId: session.id }), paymentStatus: { $ne: "paid" }, status: { $ne: "cancelled" } },
+            { $set: { paymentStatus: "paid", transactionId: session.payment_intent, paidAt: new Date() } },
+            { returnDocument: "after" }
+        );
+        if (paidOrder) {
+            // Its reserved copies are sold now. Every release checks for an unpaid order
+            // in its own update, so none can slip in between these two writes.
+            await ordersCollection.updateOne(
+                { _id: paidOrder._id, stockReserved: true },
+                { $set: { stockReserved: false, stockSold: true } }
+            );
+            if (paidOrder.coupon) await confirmCoupon(paidOrder);
+            await notifyCustomer("order.paid", paidOrder, { amount: payment.amount, currency: payment.currency });
+            await notifySale(paidOrder);
+            return;
+        }
+
+        // Any other payment is money the order does not take: it was cancelled meanwhile
+        // (its copies are back on sale), or it was paid already or through a replaced
+        // session. A failed refund answers 500 and is retried with the redelivery.
+        const current = order && await ordersCollection.findOne({ _id: order._id });
+        if (!current) return;
+        if (current.transactionId === session.payment_intent && current.status !== "cancelled") return;
+        if (current.status === "cancelled") {
+            await ordersCollection.updateOne(
+                { _id: current._id, transactionId: null },
+                { $set: { transactionId: session.payment_intent, paidAt: new Date() } }
+            );
+        }
+        const stored = await paymentCollection.findOne({ transactionId: session.payment_intent });
+        if (refundableAmount(stored) > 0) {
+            logger.warn("Refunding a payment the order does not take", { orderId: current._id, transactionId: session.payment_intent });
+            const reason = current.status === "cancelled" ? "requested_by_customer" : "duplicate";
+            await issueRefund(stored, { reason, requestedBy: "stripe-webhook" });
+        }
+    }
+
+    async function handleCheckoutExpired(session) {
+        const filter = orderFilterFromMetadata({
+            customerEmail: session.customer_email || session.customer_details?.email,
+            ...session.metadata,
+        });
+        if (!filter) return;
+
+        // The order stays payable; copies and coupon use are given back until the next checkout.
+        // Only its current session counts: an older one expiring must not free copies a newer one holds.
+        const order = await ordersCollection.findOneAndUpdate(
+            { ...filter, checkoutSessionId: session.id, paymentStatus: "unpaid" },
+            { $set: { lastCheckoutExpiredAt: new Date(session.expires_at * 1000) } }
+        );
+        if (order) await releaseLapsedReservation(order._id);
+    }
+
+    async function handleChargeRefunded(charge) {
+        const paymentStatus = charge.refunded ? "refunded" : "partially_refunded";
+        const refundedAmount = charge.amount_refunded / 100;
+
+        const payment = await paymentCollection.findOneAndUpdate(
+            { transactionId: charge.payment_intent, ...notBelowRefundedAmount(refundedAmount) },
+            { $set: { paymentStatus, refundedAmount, refundedAt: new Date() } }
+        );
+        if (!payment) return;
+
+        await ordersCollection.updateOne(
+            { transactionId: charge.payment_intent },
+            { $set: { paymentStatus } }
+        );
+    }
+
+    async function handlePaymentFailed(paymentIntent) {
+        const filter = orderFilterFromMetadata(paymentIntent.metadata);
+        if (!filter) return;
+        const reason = paymentIntent.last_payment_error?.message || "Payment failed";
+
+        await ordersCollection.updateOne({ ...filter, paymentStatus: "unpaid" }, {
+            $set: { lastPaymentError: reason, lastPaymentErrorAt: new Date() }
+        });
+    }
+
+    const stripeEventHandlers = {
+        "checkout.session.completed": handleCheckoutCompleted,
+        "checkout.session.async_payment_succeeded": handleCheckoutCompleted,
+        "checkout.session.expired": handleCheckoutExpired,
+        "charge.refunded": handleChargeRefunded,
+        "payment_intent.payment_failed": handlePaymentFailed,
+    };
+
+    router.post('/stripe/webhook', async (req, res) => {
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(
+                req.rawBody,
+                req.headers['stripe-signature'],
+                stripeWebhookSecret
+            );
+        } catch (err) {
+            logger.warn("Stripe webhook signature rejected", { err: err.message });
+            return res.status(400).send({ message: "Invalid signature" });
+        }
+
+        const handler = stripeEventHandlers[event.type];
+        if (!handler) return res.send({ received: true, ignored: true });
+
+        // A failing handler answers 500, which makes Stripe retry the delivery later
+        await handler(event.data.object);
+        res.send({ received: true });
+    });
+
+    return router;
+};
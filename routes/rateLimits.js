@@ -0,0 +1,63 @@
+const express = require('express');
+const net = require('net');
+const { ObjectId } = require('mongodb');
+const { EMAIL_PATTERN, schemas, validateBody } = require('../validation');
+
+// ======================================================
+// RATE LIMIT SETTINGS (admin)
+// ======================================================
+// Policies come from middleware/rateLimit.js and RATE_LIMIT_* variables;
+// the allow list of IPs and signed-in emails that skip them is kept here.
+module.exports = function rateLimitsRoutes(ctx) {
+    const {
+        rateLimitAllowListCollection,
+        verifyFBToken,
+        requirePermission,
+        rateLimitSettings,
+        invalidateAllowList,
+        auditedInsertOne,
+        auditedDeleteOne,
+    } = ctx;
+    const router = express.Router();
+
+    router.get('/rate-limits', verifyFBToken, requirePermission("rate_limits:manage"), async (req, res) => {
+        const allowList = await rateLimitAllowListCollection.find().sort({ createdAt: -1 }).toArray();
+        res.send({ ...rateLimitSettings(), allowList });
+    });
+
+    router.post('/rate-limits/allow-list', verifyFBToken, requirePermission("rate_limits:manage"), validateBody(schemas.rateLimitAllowEntry), async (req, res) => {
+        try {
+            const entry = req.body;
+            if (entry.type === "ip" && !net.isIP(entry.value)) return res.status(400).send({ message: "value must be an IP address" });
+            if (entry.type === "email") {
+                entry.value = entry.value.toLowerCase();
+                if (!new RegExp(EMAIL_PATTERN).test(entry.value)) return res.status(400).send({ message: "value must be an email address" });
+            }
+
+            if (await rateLimitAllowListCollection.findOne({ type: entry.type, value: entry.value }, { projection: { _id: 1 } }))
+                return res.status(409).send({ message: "This entry is already on the allow list" });
+
+            const { result } = await auditedInsertOne(req, "rate_limit.allow_listed", rateLimitAllowListCollection, {
+                ...entry,
+                createdBy: req.decoded_email,
+                createdAt: new Date(),
+            });
+            invalidateAllowList();
+            res.send(result);
+        } catch (err) {
+            if (err.code === 11000) return res.status(409).send({ message: "This entry is already on the allow list" });
+            throw err;
+        }
+    });
+
+    router.delete('/rate-limits/allow-list/:id', verifyFBToken, requirePermission("rate_limits:manage"), async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+        const { result } = await auditedDeleteOne(req, "rate_limit.allow_list_removed", rateLimitAllowListCollection, { _id: new ObjectId(req.params.id) });
+        if (!result.deletedCount) return res.status(404).send({ message: "Entry not found" });
+        invalidateAllowList();
+        res.send(result);
+    });
+
+    return router;
+};
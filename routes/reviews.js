@@ -0,0 +1,263 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+const { PAID_PAYMENT_STATUSES, orderContainsBook } = require('../lib/orders');
+const { VISIBLE_REVIEW } = require('../services/ratings');
+const { roleHas } = require('../lib/permissions');
+
+// ======================================================
+// REVIEWS API
+// ======================================================
+const REVIEW_PAGE_DEFAULT = 10;
+const REVIEW_PAGE_MAX = 50;
+const REVIEW_SORTS = {
+    newest: { date: -1, _id: -1 },
+    oldest: { date: 1, _id: 1 },
+    highest: { rating: -1, date: -1 },
+    lowest: { rating: 1, date: -1 },
+    helpful: { helpfulCount: -1, date: -1 },
+};
+const MODERATION_ACTIONS = {
+    hide: { status: "hidden", moderationStatus: "hidden" },
+    approve: { status: "visible", moderationStatus: "approved" },
+};
+
+module.exports = function reviewsRoutes(ctx) {
+    const {
+        ordersCollection,
+        reviewsCollection,
+        verifyFBToken,
+        rateLimit,
+        requirePermission,
+        can,
+        ownedBookIds,
+        refreshBookRating,
+        auditedUpdateOne,
+    } = ctx;
+    const router = express.Router();
+
+    // Only paid orders count as a purchase; a pending order is not enough to review
+    function findPaidOrder(bookId, email) {
+        return ordersCollection.findOne({
+            ...orderContainsBook(bookId),
+            customerEmail: email,
+            paymentStatus: { $in: PAID_PAYMENT_STATUSES }
+        });
+    }
+
+    // Looks up a review by the :id param, answering 400/404 itself when it can't
+    async function findReview(req, res) {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).send({ message: "Invalid ID" });
+            return null;
+        }
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!review) res.status(404).send({ message: "Review not found" });
+        return review;
+    }
+
+    // Admins moderate every review, librarians only those on their own books
+    async function canModerate(req, review) {
+        if (roleHas(req.user_role, "store:all")) return true;
+        return (await ownedBookIds(req)).includes(review.bookId);
+    }
+
+    router.post('/reviews', verifyFBToken, validateBody(schemas.review), async (req, res) => {
+        const { bookId } = req.body;
+        const userEmail = req.decoded_email;
+
+        const hasPurchased = await findPaidOrder(bookId, userEmail);
+        if (!hasPurchased) {
+            return res.status(403).send({ message: "You must purchase this book to review" });
+        }
+
+        const alreadyReviewed = await reviewsCollection.findOne({
+            bookId: bookId,
+            userEmail: userEmail
+        });
+
+        if (alreadyReviewed) {
+            return res.status(400).send({ message: "You already reviewed this book" });
+        }
+
+        // Only the fields the client sent: an undefined one would be stored as null,
+        // which the collection validator rejects
+        const review = {
+            ...req.body,
+            userEmail,
+            status: "visible",
+            helpfulCount: 0,
+            helpfulVoters: [],
+            reportCount: 0,
+            reports: [],
+            date: new Date()
+        };
+
+        let result;
+        try {
+            result = await reviewsCollection.insertOne(review);
+        } catch (err) {
+            // The unique index settles two submissions racing past the check above
+            if (err.code === 11000) return res.status(400).send({ message: "You already reviewed this book" });
+            throw err;
+        }
+        await refreshBookRating(bookId);
+        res.send(result);
+    });
+
+    // Registered before /reviews/:bookId so "moderation" is not read as a book id
+    router.get('/reviews/moderation', verifyFBToken, requirePermission("reviews:moderate"), async (req, res) => {
+        // Reported reviews waiting for a decision by default; ?status=hidden lists hidden ones
+        const moderationStatus = req.query.status === "hidden" ? "hidden" : "pending";
+        const filter = { moderationStatus };
+        if (!roleHas(req.user_role, "store:all")) filter.bookId = { $in: await ownedBookIds(req) };
+
+        const reviews = await reviewsCollection
+            .find(filter)
+            .sort({ reportCount: -1, date: -1 })
+            .toArray();
+        res.send(reviews);
+    });
+
+    router.get('/reviews/:bookId', rateLimit("publicRead"), async (req, res) => {
+        const { bookId } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || REVIEW_PAGE_DEFAULT, 1), REVIEW_PAGE_MAX);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const sortParam = req.query.sort ? String(req.query.sort) : "newest";
+        const sort = REVIEW_SORTS[sortParam];
+        if (!sort) return res.status(400).send({ message: `sort must be one of ${Object.keys(REVIEW_SORTS).join(", ")}` });
+
+        const filter = { bookId, ...VISIBLE_REVIEW };
+        const [items, total] = await Promise.all([
+            reviewsCollection
+                .find(filter)
+                .project({ helpfulVoters: 0, reports: 0 })
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .toArray(),
+            reviewsCollection.countDocuments(filter),
+        ]);
+
+        res.send({ items, total, limit, page, totalPages: Math.ceil(total / limit) });
+    });
+
+    router.get('/reviews/can/:bookId/:email', verifyFBToken, async (req, res) => {
+        const { bookId, email } = req.params;
+        if (email !== req.decoded_email) return res.status(403).send({ message: "Forbidden" });
+
+        const order = await findPaidOrder(bookId, email);
+
+        const review = await reviewsCollection.findOne({
+            bookId,
+            userEmail: email
+        });
+
+        res.send({
+            canReview: !!order && !review
+        });
+    });
+
+    router.patch('/reviews/:id', verifyFBToken, validateBody(schemas.review, { partial: true }), async (req, res) => {
+        const review = await findReview(req, res);
+        if (!review) return;
+        if (review.userEmail !== req.decoded_email) return res.status(403).send({ message: "Forbidden" });
+
+        const changes = {};
+        if (req.body.rating !== undefined) changes.rating = req.body.rating;
+        if (req.body.comment !== undefined) changes.comment = req.body.comment;
+        if (!Object.keys(changes).length)
+            return res.status(400).send({ message: "Only rating and comment can be changed" });
+
+        await reviewsCollection.updateOne(
+            { _id: review._id },
+            { $set: { ...changes, updatedAt: new Date() } }
+        );
+        await refreshBookRating(review.bookId);
+        res.send({ success: true });
+    });
+
+    router.delete('/reviews/:id', verifyFBToken, async (req, res) => {
+        const review = await findReview(req, res);
+        if (!review) return;
+
+        if (review.userEmail !== req.decoded_email) {
+            if (!await can(req, "reviews:delete")) return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const result = await reviewsCollection.deleteOne({ _id: review._id });
+        await refreshBookRating(review.bookId);
+        res.send(result);
+    });
+
+    // Each reader counts once; the guards on helpfulVoters make repeat votes no-ops
+    router.post('/reviews/:id/helpful', verifyFBToken, async (req, res) => {
+        const review = await findReview(req, res);
+        if (!review) return;
+        if (review.userEmail === req.decoded_email)
+            return res.status(400).send({ message: "You cannot vote on your own review" });
+
+        await reviewsCollection.updateOne(
+            { _id: review._id, helpfulVoters: { $ne: req.decoded_email } },
+            { $push: { helpfulVoters: req.decoded_email }, $inc: { helpfulCount: 1 } }
+        );
+        const { helpfulCount } = await reviewsCollection.findOne({ _id: review._id }, { projection: { helpfulCount: 1 } });
+        res.send({ helpfulCount });
+    });
+
+    router.delete('/reviews/:id/helpful', verifyFBToken, async (req, res) => {
+        const review = await findReview(req, res);
+        if (!review) return;
+
+        await reviewsCollection.updateOne(
+            { _id: review._id, helpfulVoters: req.decoded_email },
+            { $pull: { helpfulVoters: req.decoded_email }, $inc: { helpfulCount: -1 } }
+        );
+        const { helpfulCount } = await reviewsCollection.findOne({ _id: review._id }, { projection: { helpfulCount: 1 } });
+        res.send({ helpfulCount });
+    });
+
+    // A report puts the review in the moderation queue; it stays visible until staff hide it
+    router.post('/reviews/:id/report', verifyFBToken, async (req, res) => {
+        const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+        if (!reason) return res.status(400).send({ message: "A reason is required" });
+
+        const review = await findReview(req, res);
+        if (!review) return;
+
+        const result = await reviewsCollection.updateOne(
+            { _id: review._id, "reports.email": { $ne: req.decoded_email } },
+            {
+                $push: { reports: { email: req.decoded_email, reason, at: new Date() } },
+                $inc: { reportCount: 1 },
+                $set: { moderationStatus: review.moderationStatus === "hidden" ? "hidden" : "pending" }
+            }
+        );
+        if (!result.matchedCount) return res.status(409).send({ message: "You already reported this review" });
+
+        res.send({ success: true });
+    });
+
+    router.patch('/reviews/:id/moderation', verifyFBToken, requirePermission("reviews:moderate"), async (req, res) => {
+        const { action } = req.body || {};
+        const changes = MODERATION_ACTIONS[action];
+        if (!changes) return res.status(400).send({ message: `action must be one of ${Object.keys(MODERATION_ACTIONS).join(", ")}` });
+
+        const review = await findReview(req, res);
+        if (!review) return;
+        if (!(await canModerate(req, review))) return res.status(403).send({ message: "Forbidden" });
+
+        await auditedUpdateOne(req, `review.${action === "hide" ? "hidden" : "approved"}`, reviewsCollection, { _id: review._id }, {
+            $set: {
+                ...changes,
+                moderatedBy: req.decoded_email,
+                moderatedAt: new Date()
+            }
+        });
+        await refreshBookRating(review.bookId);
+        res.send({ success: true, status: changes.status });
+    });
+
+    return router;
+};
@@ -0,0 +1,197 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+const { DEFAULT_NOTIFICATION_PREFERENCES } = require('../services/notifications');
+const { ROLES, permissionsOf } = require('../lib/permissions');
+
+// ======================================================
+// USERS API
+// ======================================================
+module.exports = function usersRoutes(ctx) {
+    const {
+        usersCollection,
+        verifyFBToken,
+        rateLimit,
+        requirePermission,
+        can,
+        roleOf,
+        invalidateRole,
+        notify,
+        recordAudit,
+        auditedUpdateOne,
+        assertNotLastAdmin,
+        assertAdminsLeft,
+        syncRoleClaims,
+        setLoginDisabled,
+        eraseUser,
+    } = ctx;
+    const router = express.Router();
+
+    // Looks up the user in :id, answering 400/404 itself when it can't
+    async function findUser(req, res) {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).send({ message: "Invalid ID" });
+            return null;
+        }
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!user) res.status(404).send({ message: "User not found" });
+        return user;
+    }
+
+    router.post('/users', rateLimit("signup"), validateBody(schemas.user), async (req, res) => {
+        const user = req.body;
+        user.role = "user";
+        user.createdAt = new Date();
+
+        const exists = await usersCollection.findOne({ email: user.email });
+        if (exists) return res.send({ message: "user exists" });
+
+        try {
+            const result = await usersCollection.insertOne(user);
+            res.send(result);
+        } catch (err) {
+            // The unique email index settles two sign-ups racing past the check above
+            if (err.code === 11000) return res.send({ message: "user exists" });
+            throw err;
+        }
+    });
+
+    router.get('/users', verifyFBToken, requirePermission("users:manage"), async (req, res) => {
+        const result = await usersCollection.find().toArray();
+        res.send(result);
+    });
+
+    // Callers only learn their own role, with what it allows them to do
+    router.get('/users/:email/role', verifyFBToken, rateLimit("roleLookup"), async (req, res) => {
+        if (req.params.email !== req.decoded_email) return res.status(403).send({ message: "Forbidden" });
+
+        const role = await roleOf(req.decoded_email);
+        res.send({ role, permissions: permissionsOf(role) });
+    });
+
+    router.get('/users/notification-preferences', verifyFBToken, async (req, res) => {
+        const user = await usersCollection.findOne(
+            { email: req.decoded_email },
+            { projection: { notificationPreferences: 1 } }
+        );
+        res.send({ ...DEFAULT_NOTIFICATION_PREFERENCES, ...user?.notificationPreferences });
+    });
+
+    router.patch('/users/notification-preferences', verifyFBToken, validateBody(schemas.notificationPreferences, { partial: true }), async (req, res) => {
+        const changes = {};
+        for (const [category, enabled] of Object.entries(req.body)) {
+            changes[`notificationPreferences.${category}`] = enabled;
+        }
+
+        const user = await usersCollection.findOneAndUpdate(
+            { email: req.decoded_email },
+            { $set: changes },
+            { returnDocument: "after", projection: { notificationPreferences: 1 } }
+        );
+        if (!user) return res.status(404).send({ message: "User not found" });
+
+        res.send({ ...DEFAULT_NOTIFICATION_PREFERENCES, ...user.notificationPreferences });
+    });
+
+    router.patch('/users/role/:id', verifyFBToken, requirePermission("users:manage"), async (req, res) => {
+        const { role } = req.body || {};
+        if (!ROLES.includes(role)) return res.status(400).send({ message: `role must be one of ${ROLES.join(", ")}` });
+
+        const user = await findUser(req, res);
+        if (!user) return;
+        if (user.status === "erased") return res.status(409).send({ message: "This user was erased" });
+        await assertNotLastAdmin(user, role);
+
+        const { result, after } = await auditedUpdateOne(
+            req,
+            "user.role_changed",
+            usersCollection,
+            { _id: user._id },
+            { $set: { role } }
+        );
+
+        let claimsSynced = false;
+        if (result.modifiedCount) {
+            invalidateRole(after.email);
+            await assertAdminsLeft(() => auditedUpdateOne(
+                req,
+                "user.role_changed",
+                usersCollection,
+                { _id: user._id, role },
+                { $set: { role: user.role } }
+            ));
+            claimsSynced = await syncRoleClaims(after);
+            await notify("user.role_changed", after.email, { role });
+        }
+        res.send({ ...result, claimsSynced });
+    });
+
+    // Soft delete: the account, its orders and reviews stay, but the user can no longer sign in
+    router.delete('/users/:id', verifyFBToken, requirePermission("users:manage"), async (req, res) => {
+        const user = await findUser(req, res);
+        if (!user) return;
+        if (user.status === "erased") return res.status(409).send({ message: "This user was erased" });
+        await assertNotLastAdmin(user);
+
+        await setLoginDisabled(user, true);
+        const { result } = await auditedUpdateOne(
+            req,
+            "user.deactivated",
+            usersCollection,
+            { _id: user._id },
+            { $set: { status: "deactivated", deactivatedAt: new Date(), deactivatedBy: req.decoded_email } }
+        );
+        invalidateRole(user.email);
+        await assertAdminsLeft(async () => {
+            await auditedUpdateOne(
+                req,
+                "user.reactivated",
+                usersCollection,
+                { _id: user._id, status: "deactivated" },
+                { $set: { status: "active" }, $unset: { deactivatedAt: "", deactivatedBy: "" } }
+            );
+            await setLoginDisabled(user, false);
+        });
+        res.send(result);
+    });
+
+    router.post('/users/:id/reactivate', verifyFBToken, requirePermission("users:manage"), async (req, res) => {
+        const user = await findUser(req, res);
+        if (!user) return;
+        if (user.status !== "deactivated") return res.status(409).send({ message: "User is not deactivated" });
+
+        await setLoginDisabled(user, false);
+        const { result } = await auditedUpdateOne(
+            req,
+            "user.reactivated",
+            usersCollection,
+            { _id: user._id, status: "deactivated" },
+            { $set: { status: "active" }, $unset: { deactivatedAt: "", deactivatedBy: "" } }
+        );
+        invalidateRole(user.email);
+        res.send(result);
+    });
+
+    // Right to erasure: admins, or the user themselves. Cannot be undone.
+    router.post('/users/:id/erase', verifyFBToken, async (req, res) => {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        if (user.email !== req.decoded_email && !await can(req, "users:manage"))
+            return res.status(403).send({ message: "Forbidden" });
+        if (user.status === "erased") return res.status(409).send({ message: "This user was already erased" });
+        await assertNotLastAdmin(user);
+
+        await eraseUser(user);
+        invalidateRole(user.email);
+        // eraseUser already anonymised the log; users erasing themselves are not named in it again
+        await recordAudit(req, {
+            action: "user.erased",
+            target: { type: "users", id: user._id },
+            anonymous: user.email === req.decoded_email,
+        });
+        res.send({ success: true });
+    });
+
+    return router;
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { schemas, validateBody } = require('../validation');
+
+// ======================================================
+// WISHLIST API
+// ======================================================
+// One item per customer and book (enforced by a unique index). The
+// customer always comes from the token, never from the request body.
+const ALERT_FIELDS = ["priceDropAlert", "availabilityAlert"];
+
+module.exports = function wishlistRoutes(ctx) {
+    const {
+        booksCollection,
+        wishlistCollection,
+        verifyFBToken,
+    } = ctx;
+    const router = express.Router();
+
+    router.post('/wishlist', verifyFBToken, validateBody(schemas.wishlistItem), async (req, res) => {
+        const { priceDropAlert, availabilityAlert, ...item } = req.body;
+        const customerEmail = req.decoded_email;
+        delete item.userEmail;
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(item.bookId) }, { projection: { _id: 1 } });
+        if (!book) return res.status(404).send({ message: "Book not found" });
+
+        // Adding the same book again only updates the alert choices that were sent
+        const alerts = {};
+        if (priceDropAlert !== undefined) alerts.priceDropAlert = priceDropAlert;
+        if (availabilityAlert !== undefined) alerts.availabilityAlert = availabilityAlert;
+
+        const onInsert = { ...item, customerEmail, createdAt: new Date() };
+        for (const field of ALERT_FIELDS) {
+            if (!(field in alerts)) onInsert[field] = false;
+        }
+
+        const update = { $setOnInsert: onInsert };
+        if (Object.keys(alerts).length) update.$set = alerts;
+
+        const result = await wishlistCollection.updateOne(
+            { customerEmail, bookId: item.bookId },
+            update,
+            { upsert: true }
+        );
+
+        const saved = await wishlistCollection.findOne({ customerEmail, bookId: item.bookId });
+        res.send({ acknowledged: true, insertedId: saved._id, duplicate: !result.upsertedId });
+    });
+
+    router.get('/wishlist/:email', verifyFBToken, async (req, res) => {
+        if (req.params.email !== req.decoded_email)
+            return res.status(403).send({ message: "Forbidden" });
+
+        const result = await wishlistCollection
+            .find({ customerEmail: req.params.email })
+            .toArray();
+
+        res.send(result);
+    });
+
+    // Turns price-drop and availability alerts on or off for one item
+    router.patch('/wishlist/:id', verifyFBToken, async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+        const changes = {};
+        for (const field of ALERT_FIELDS) {
+            const value = req.body?.[field];
+            if (value === undefined) continue;
+            if (typeof value !== "boolean") return res.status(400).send({ message: `${field} must be true or false` });
+            changes[field] = value;
+        }
+        if (!Object.keys(changes).length)
+            return res.status(400).send({ message: `Send ${ALERT_FIELDS.join(" and/or ")}` });
+
+        const result = await wishlistCollection.updateOne(
+            { _id: new ObjectId(req.params.id), customerEmail: req.decoded_email },
+            { $set: changes }
+        );
+        if (!result.matchedCount) return res.status(404).send({ message: "Wishlist item not found" });
+        res.send(result);
+    });
+
+    router.delete('/wishlist/:id', verifyFBToken, async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).send({ message: "Invalid ID" });
+
+        const result = await wishlistCollection.deleteOne({
+            _id: new ObjectId(req.params.id),
+            customerEmail: req.decoded_email
+        });
+        if (!result.deletedCount) return res.status(404).send({ message: "Wishlist item not found" });
+        res.send(result);
+    });
+
+    return router;
+};
@@ -0,0 +1,204 @@
+const { httpError } = require('../lib/http');
+const { ROLES, roleHas } = require('../lib/permissions');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// ACCOUNT LIFECYCLE
+// ======================================================
+// Users are never hard-deleted. Deactivation keeps the account and its
+// history but disables the Firebase login; erasure (GDPR) additionally
+// replaces personal data everywhere with an anonymous placeholder, keeping
+// orders and payments for the books. Roles are mirrored to Firebase custom
+// claims so clients can read them from the ID token.
+const INACTIVE_STATUSES = ["deactivated", "erased"];
+const ERASED_NAME = "Deleted user";
+
+function isActive(user) {
+    return !INACTIVE_STATUSES.includes(user?.status);
+}
+
+function erasedEmail(user) {
+    return `erased-${user._id}@erased.invalid`;
+}
+
+// Where audited documents hold a user's email, as [field, path inside each of its values]
+const AUDIT_EMAIL_FIELDS = [
+    ["email"], ["customerEmail"], ["userEmail"], ["createdBy"], ["value"],
+    ["statusHistory", "actor.email"], ["customers", "email"], ["helpfulVoters"], ["reports", "email"],
+    ["librarianEmail"], ["librarianEmails"],
+];
+// Further personal data in audited snapshots of the user's own documents (their account, orders, reviews)
+const AUDIT_OWNER_FIELDS = ["email", "customerEmail", "userEmail"];
+const AUDIT_PERSONAL_FIELDS = ["name", "photoURL", "customerName", "phone", "address", "userName", "userPhoto"];
+
+function replaceEmail(value, email, placeholder) {
+    if (value === email) return placeholder;
+    if (Array.isArray(value)) return value.map(item => replaceEmail(item, email, placeholder));
+    if (value?.constructor === Object)
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceEmail(item, email, placeholder)]));
+    return value;
+}
+
+function createAccounts({
+    auth,
+    usersCollection,
+    booksCollection,
+    ordersCollection,
+    paymentCollection,
+    reviewsCollection,
+    wishlistCollection,
+    cartsCollection,
+    notificationsCollection,
+    couponsCollection,
+    couponRedemptionsCollection,
+    downloadsCollection,
+    auditLogCollection,
+}) {
+    // Users created before Firebase sign-in existed may have no Firebase account
+    async function firebaseUser(email) {
+        try {
+            return await auth.getUserByEmail(email);
+        } catch (err) {
+            if (err.code === "auth/user-not-found") return null;
+            throw err;
+        }
+    }
+
+    function activeAdminCount() {
+        const adminRoles = ROLES.filter(role => roleHas(role, "users:manage"));
+        return usersCollection.countDocuments({ role: { $in: adminRoles }, status: { $nin: INACTIVE_STATUSES } });
+    }
+
+    // Stops the role, deactivation or erasure of `user` from leaving nobody who can manage users
+    async function assertNotLastAdmin(user, newRole = null) {
+        if (!roleHas(user.role, "users:manage") || !isActive(user)) return;
+        if (newRole && roleHas(newRole, "users:manage")) return;
+
+        if (await activeAdminCount() <= 1) throw httpError(409, "The last active admin cannot be removed");
+    }
+
+    // The check above and the write are two steps, so two admins removed at once
+    // could each still count the other. Run after the write, this calls `undo`
+    // and answers 409 when the write left no active admin.
+    async function assertAdminsLeft(undo) {
+        if (await activeAdminCount() > 0) return;
+        await undo();
+        throw httpError(409, "The last active admin cannot be removed");
+    }
+
+    // Returns false instead of throwing: the role in MongoDB already changed and stays authoritative
+    async function syncRoleClaims(user) {
+        try {
+            const firebase = await firebaseUser(user.email);
+            if (!firebase) return false;
+            await auth.setCustomUserClaims(firebase.uid, { ...firebase.customClaims, role: user.role });
+            return true;
+        } catch (err) {
+            logger.error("Role claim sync failed", { userId: user._id, err });
+            return false;
+        }
+    }
+
+    // Firebase goes first: if it fails nothing changed and the admin can retry
+    async function setLoginDisabled(user, disabled) {
+        const firebase = await firebaseUser(user.email);
+        if (!firebase) return;
+        await auth.updateUser(firebase.uid, { disabled });
+        if (disabled) await auth.revokeRefreshTokens(firebase.uid);
+    }
+
+    // Entries keep the action and its target; the email, and the user's own
+    // details in snapshots of their documents, become the placeholder or go
+    async function anonymiseAuditLog(email, placeholder) {
+        const mentions = AUDIT_EMAIL_FIELDS.flatMap(([field, path]) => ["before", "after"].map(side =>
+            ({ [["changes", field, side, path].filter(Boolean).join(".")]: email })
+        ));
+        const entries = await auditLogCollection.find({ $or: [{ "actor.email": email }, ...mentions] }).toArray();
+
+        for (const entry of entries) {
+            const changes = replaceEmail(entry.changes, email, placeholder);
+            const owned = AUDIT_OWNER_FIELDS.some(field =>
+                changes[field]?.before === placeholder || changes[field]?.after === placeholder
+            );
+            if (owned) for (const field of AUDIT_PERSONAL_FIELDS) delete changes[field];
+
+            const update = { changes };
+            if (entry.actor?.email === email)
+                Object.assign(update, { actor: { ...entry.actor, uid: null, email: placeholder }, ip: null, userAgent: null });
+            await auditLogCollection.updateOne({ _id: entry._id }, { $set: update });
+        }
+    }
+
+    // The user document changes last: until then it still holds the original
+    // email, so a failed erasure can simply be run again from the start
+    async function eraseUser(user) {
+        const email = user.email;
+        const placeholder = erasedEmail(user);
+
+        const firebase = await firebaseUser(email);
+        if (firebase) await auth.deleteUser(firebase.uid);
+
+        // Orders and payments stay for the books and the librarians' sales
+        await ordersCollection.updateMany(
+            { customerEmail: email },
+            { $set: { customerEmail: placeholder }, $unset: { customerName: "", phone: "", address: "" } }
+        );
+        await ordersCollection.updateMany(
+            { "statusHistory.actor.email": email },
+            { $set: { "statusHistory.$[entry].actor.email": placeholder, "statusHistory.$[entry].actor.uid": null } },
+            { arrayFilters: [{ "entry.actor.email": email }] }
+        );
+        await paymentCollection.updateMany({ customerEmail: email }, { $set: { customerEmail: placeholder } });
+
+        // Reviews stay up under the placeholder name, so book ratings do not change
+        await reviewsCollection.updateMany(
+            { userEmail: email },
+            { $set: { userEmail: placeholder, userName: ERASED_NAME }, $unset: { userPhoto: "" } }
+        );
+        await reviewsCollection.updateMany(
+            { helpfulVoters: email },
+            { $set: { "helpfulVoters.$[voter]": placeholder } },
+            { arrayFilters: [{ voter: email }] }
+        );
+        await reviewsCollection.updateMany(
+            { "reports.email": email },
+            { $set: { "reports.$[report].email": placeholder } },
+            { arrayFilters: [{ "report.email": email }] }
+        );
+
+        // A librarian's books stay in the catalogue for their buyers, managed by admins from now on
+        await booksCollection.updateMany({ librarianEmail: email }, { $set: { librarianEmail: placeholder } });
+        await couponsCollection.updateMany(
+            { librarianEmails: email },
+            { $set: { "librarianEmails.$[librarian]": placeholder } },
+            { arrayFilters: [{ librarian: email }] }
+        );
+        await couponsCollection.updateMany(
+            { "customers.email": email },
+            { $set: { "customers.$[customer].email": placeholder } },
+            { arrayFilters: [{ "customer.email": email }] }
+        );
+        await couponRedemptionsCollection.updateMany({ customerEmail: email }, { $set: { customerEmail: placeholder } });
+        await downloadsCollection.updateMany(
+            { customerEmail: email },
+            { $set: { customerEmail: placeholder }, $unset: { ip: "", userAgent: "" } }
+        );
+
+        await wishlistCollection.deleteMany({ customerEmail: email });
+        await cartsCollection.deleteMany({ customerEmail: email });
+        await notificationsCollection.deleteMany({ to: email });
+        await anonymiseAuditLog(email, placeholder);
+
+        await usersCollection.updateOne(
+            { _id: user._id },
+            {
+                $set: { name: ERASED_NAME, email: placeholder, status: "erased", erasedAt: new Date() },
+                $unset: { photoURL: "", notificationPreferences: "" }
+            }
+        );
+    }
+
+    return { assertNotLastAdmin, assertAdminsLeft, syncRoleClaims, setLoginDisabled, eraseUser };
+}
+
+module.exports = { INACTIVE_STATUSES, isActive, createAccounts };
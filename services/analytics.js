@@ -0,0 +1,251 @@
+// ======================================================
+// ANALYTICS PIPELINES
+// ======================================================
+// Builders for the dashboard aggregations. Each takes an optional list of
+// book ids (as strings) to scope the numbers to one librarian's catalogue;
+// `null` means the whole store.
+
+const { PAID_PAYMENT_STATUSES } = require('../lib/orders');
+const { VISIBLE_REVIEW } = require('./ratings');
+
+const INTERVALS = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+
+// Parses ?from=&to=&interval= with a default window of the last 30 days
+function parseRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    const interval = query.interval || "day";
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()))
+        return { error: "from and to must be valid dates" };
+    if (from > to) return { error: "from must be before to" };
+    if (!INTERVALS.includes(interval)) return { error: `interval must be one of ${INTERVALS.join(", ")}` };
+
+    return { from, to, interval };
+}
+
+// Book ids are stored as strings elsewhere; convert so the join can use the _id index
+function lookupBook(bookIdPath) {
+    return [
+        { $addFields: { bookObjectId: { $convert: { input: bookIdPath, to: "objectId", onError: null, onNull: null } } } },
+        { $lookup: { from: "books", localField: "bookObjectId", foreignField: "_id", as: "book" } },
+    ];
+}
+
+// One document per sold book line. Payments made before line items were
+// stored count as a single line worth the whole payment. Refunds are spread
+// over a payment's lines in proportion to their value, so `revenue` is net
+// and `grossRevenue` is what was originally charged (after any coupon
+// discount on the line).
+function paymentLinesStages({ from, to }, bookIds) {
+    const stages = [
+        { $match: { paidAt: { $gte: from, $lte: to } } },
+        {
+            $project: {
+                paidAt: 1,
+                netShare: {
+                    $cond: [
+                        { $gt: ["$amount", 0] },
+                        { $subtract: [1, { $divide: [{ $ifNull: ["$refundedAmount", 0] }, "$amount"] }] },
+                        1
+                    ]
+                },
+                line: {
+                    $ifNull: [
+                        "$lineItems",
+                        [{ bookId: "$bookId", bookTitle: "$bookTitle", quantity: 1, unitPrice: "$amount" }]
+                    ]
+                }
+            }
+        },
+        { $unwind: "$line" },
+        {
+            $project: {
+                paidAt: 1,
+                bookId: "$line.bookId",
+                bookTitle: "$line.bookTitle",
+                quantity: "$line.quantity",
+                netShare: 1,
+                grossRevenue: {
+                    $subtract: [
+                        { $multiply: ["$line.unitPrice", "$line.quantity"] },
+                        { $ifNull: ["$line.discount", 0] }
+                    ]
+                },
+            }
+        },
+        { $addFields: { revenue: { $multiply: ["$grossRevenue", "$netShare"] } } },
+        { $project: { netShare: 0 } },
+    ];
+    if (bookIds) stages.push({ $match: { bookId: { $in: bookIds } } });
+    return stages;
+}
+
+function revenueOverTime(range, bookIds) {
+    return [
+        ...paymentLinesStages(range, bookIds),
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: {
+                        date: "$paidAt",
+                        unit: range.interval,
+                        ...(range.interval === "week" && { startOfWeek: "monday" }),
+                    }
+                },
+                revenue: { $sum: "$revenue" },
+                grossRevenue: { $sum: "$grossRevenue" },
+                copies: { $sum: "$quantity" },
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                period: "$_id",
+                revenue: { $round: ["$revenue", 2] },
+                grossRevenue: { $round: ["$grossRevenue", 2] },
+                copies: 1,
+            }
+        },
+    ];
+}
+
+function topSellingBooks(range, bookIds, limit = 10) {
+    return [
+        ...paymentLinesStages(range, bookIds),
+        {
+            $group: {
+                _id: "$bookId",
+                bookTitle: { $last: "$bookTitle" },
+                copies: { $sum: "$quantity" },
+                revenue: { $sum: "$revenue" },
+            }
+        },
+        { $sort: { copies: -1, revenue: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, bookId: "$_id", bookTitle: 1, copies: 1, revenue: { $round: ["$revenue", 2] } } },
+    ];
+}
+
+// Admin only: joins each sold line to its book to find the owning librarian
+function revenueByLibrarian(range) {
+    return [
+        ...paymentLinesStages(range, null),
+        ...lookupBook("$bookId"),
+        {
+            $group: {
+                _id: { $ifNull: [{ $first: "$book.librarianEmail" }, "unassigned"] },
+                revenue: { $sum: "$revenue" },
+                copies: { $sum: "$quantity" },
+            }
+        },
+        { $sort: { revenue: -1 } },
+        { $project: { _id: 0, librarianEmail: "$_id", revenue: { $round: ["$revenue", 2] }, copies: 1 } },
+    ];
+}
+
+// Run against the wishlist: how many wishlisted books the same customer later paid for
+function wishlistConversion({ from, to }, bookIds) {
+    const match = { createdAt: { $gte: from, $lte: to } };
+    if (bookIds) match.bookId = { $in: bookIds };
+
+    return [
+        { $match: match },
+        {
+            $lookup: {
+                from: "orders",
+                let: { bookId: "$bookId", email: "$customerEmail" },
+                pipeline: [
+                    {
+                        $match: {
+                            paymentStatus: { $in: PAID_PAYMENT_STATUSES },
+                            $expr: {
+                                $and: [
+                                    { $eq: ["$customerEmail", "$$email"] },
+                                    {
+                                        $or: [
+                                            { $eq: ["$bookId", "$$bookId"] },
+                                            { $in: ["$$bookId", { $ifNull: ["$items.bookId", []] }] },
+                                        ]
+                                    },
+                                ]
+                            }
+                        }
+                    },
+                    { $limit: 1 },
+                ],
+                as: "purchases",
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                wishlisted: { $sum: 1 },
+                purchased: { $sum: { $cond: [{ $gt: [{ $size: "$purchases" }, 0] }, 1, 0] } },
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                wishlisted: 1,
+                purchased: 1,
+                conversionRate: { $round: [{ $divide: ["$purchased", "$wishlisted"] }, 4] },
+            }
+        },
+    ];
+}
+
+// Run against reviews; not limited by date so ratings reflect the whole history.
+// Reviews hidden by moderation are left out, as on the book itself.
+function averageRatings(bookIds, limit = 50) {
+    const match = { ...VISIBLE_REVIEW };
+    if (bookIds) match.bookId = { $in: bookIds };
+    return [
+        { $match: match },
+        { $group: { _id: "$bookId", averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+        { $sort: { averageRating: -1, reviewCount: -1 } },
+        { $limit: limit },
+        ...lookupBook("$_id"),
+        {
+            $project: {
+                _id: 0,
+                bookId: "$_id",
+                bookTitle: { $first: "$book.title" },
+                averageRating: { $round: ["$averageRating", 2] },
+                reviewCount: 1,
+            }
+        },
+    ];
+}
+
+// Run against couponRedemptions: paid uses and the discount given per code,
+// plus uses still held by unpaid orders
+function couponUsage() {
+    return [
+        { $match: { status: { $in: ["reserved", "redeemed"] } } },
+        {
+            $group: {
+                _id: "$code",
+                redemptions: { $sum: { $cond: [{ $eq: ["$status", "redeemed"] }, 1, 0] } },
+                reserved: { $sum: { $cond: [{ $eq: ["$status", "reserved"] }, 1, 0] } },
+                discountTotal: { $sum: { $ifNull: ["$discount", 0] } },
+            }
+        },
+        { $sort: { redemptions: -1, _id: 1 } },
+        { $project: { _id: 0, code: "$_id", redemptions: 1, reserved: 1, discountTotal: { $round: ["$discountTotal", 2] } } },
+    ];
+}
+
+module.exports = {
+    parseRange,
+    revenueOverTime,
+    topSellingBooks,
+    revenueByLibrarian,
+    wishlistConversion,
+    averageRatings,
+    couponUsage,
+};
@@ -0,0 +1,82 @@
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// AUDIT LOG
+// ======================================================
+// Append-only record of privileged changes in the `audit_log` collection.
+// Entries are only ever inserted; nothing in the API updates or deletes them,
+// except user erasure, which anonymises them (see services/accounts.js).
+// Routes either call recordAudit with the before/after documents they
+// already have, or let the audited* helpers below run the write and capture
+// both sides for them.
+
+// Top-level fields whose value differs, as { field: { before, after } }
+function diffDocuments(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        const from = before?.[field];
+        const to = after?.[field];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        changes[field] = { before: from ?? null, after: to ?? null };
+    }
+    return changes;
+}
+
+function createAuditLog({ auditLogCollection }) {
+    // Never throws: the change itself already happened and must still be answered.
+    // `anonymous` leaves out who made the request, keeping only their role.
+    async function recordAudit(req, { action, target, before = null, after = null, anonymous = false }) {
+        const entry = {
+            action,
+            actor: {
+                uid: anonymous ? null : req.decoded_uid || null,
+                email: anonymous ? null : req.decoded_email || null,
+                role: req.user_role || null,
+            },
+            target: { type: target.type, id: String(target.id) },
+            changes: diffDocuments(before, after),
+            ip: anonymous ? null : req.ip || null,
+            userAgent: anonymous ? null : req.get("user-agent") || null,
+            at: new Date(),
+        };
+        try {
+            await auditLogCollection.insertOne(entry);
+        } catch (err) {
+            logger.error("Audit log write failed", { action, err });
+        }
+        return entry;
+    }
+
+    function targetOf(collection, doc) {
+        return { type: collection.collectionName, id: doc._id };
+    }
+
+    // Each helper answers like the driver method it replaces, plus the documents it saw
+    async function auditedInsertOne(req, action, collection, doc) {
+        const result = await collection.insertOne(doc);
+        const after = { ...doc, _id: result.insertedId };
+        await recordAudit(req, { action, target: targetOf(collection, after), after });
+        return { result, after };
+    }
+
+    async function auditedUpdateOne(req, action, collection, filter, update) {
+        const before = await collection.findOneAndUpdate(filter, update, { returnDocument: "before" });
+        if (!before) return { result: { acknowledged: true, matchedCount: 0, modifiedCount: 0 }, before: null, after: null };
+
+        const after = await collection.findOne({ _id: before._id });
+        const modified = Object.keys(diffDocuments(before, after)).length > 0;
+        if (modified) await recordAudit(req, { action, target: targetOf(collection, before), before, after });
+        return { result: { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0 }, before, after };
+    }
+
+    async function auditedDeleteOne(req, action, collection, filter) {
+        const before = await collection.findOneAndDelete(filter);
+        if (before) await recordAudit(req, { action, target: targetOf(collection, before), before });
+        return { result: { acknowledged: true, deletedCount: before ? 1 : 0 }, before };
+    }
+
+    return { recordAudit, auditedInsertOne, auditedUpdateOne, auditedDeleteOne };
+}
+
+module.exports = { diffDocuments, createAuditLog };
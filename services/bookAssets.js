@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { httpError } = require('../lib/http');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// BOOK COVERS & SAMPLES
+// ======================================================
+// A cover is re-encoded to WebP in each of COVER_SIZES (never enlarged), which
+// also drops EXIF data; `image` on the book points at the large one. A sample
+// is a PDF stored as sent. File names carry a hash of the upload, so a URL
+// never changes what it serves and a new upload gets new URLs. The keys are
+// kept on the book, which is how replaced and deleted files are found again.
+// The ebook buyers download (EPUB or PDF) goes to the private storage instead,
+// see services/downloads.js.
+const COVER_MAX_BYTES = 5 * 1024 * 1024;
+const SAMPLE_MAX_BYTES = 20 * 1024 * 1024;
+const EBOOK_MAX_BYTES = 100 * 1024 * 1024;
+const COVER_FORMATS = ["jpeg", "png", "webp"];
+const COVER_MAX_PIXELS = 40 * 1000 * 1000;
+const COVER_SIZES = { small: 160, medium: 480, large: 1200 };
+
+function contentHash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 16);
+}
+
+// An EPUB is a ZIP archive whose first entry is the uncompressed "mimetype" file
+function ebookFormat(buffer) {
+    if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return { format: "pdf", contentType: "application/pdf" };
+    if (buffer.subarray(0, 4).toString("latin1") === "PK\x03\x04" &&
+        buffer.subarray(30, 58).toString("latin1") === "mimetypeapplication/epub+zip")
+        return { format: "epub", contentType: "application/epub+zip" };
+    return null;
+}
+
+function createBookAssets({ storage, privateStorage }) {
+    // Failing to remove a file leaves an orphan behind, not a broken book
+    async function removeFrom(backend, keys) {
+        if (!keys?.length) return;
+        try {
+            await backend.remove(keys);
+        } catch (err) {
+            logger.warn("Asset cleanup failed", { keys, err });
+        }
+    }
+
+    const removeFiles = keys => removeFrom(storage, keys);
+    const removeEbookFiles = keys => removeFrom(privateStorage, keys);
+
+    // Resolves to the `cover` field for the book; the files are stored already
+    async function storeCover(bookId, buffer) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer, { limitInputPixels: COVER_MAX_PIXELS }).metadata();
+        } catch {
+            throw httpError(415, "The cover must be a JPEG, PNG or WebP image");
+        }
+        if (!COVER_FORMATS.includes(metadata.format)) throw httpError(415, "The cover must be a JPEG, PNG or WebP image");
+        if (metadata.width * metadata.height > COVER_MAX_PIXELS) throw httpError(413, "The cover image has too many pixels");
+
+        const hash = contentHash(buffer);
+        const urls = {};
+        const keys = [];
+        for (const [size, width] of Object.entries(COVER_SIZES)) {
+            const image = await sharp(buffer, { limitInputPixels: COVER_MAX_PIXELS })
+                .rotate()
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: 82 })
+                .toBuffer();
+            const key = `books/${bookId}/cover-${hash}-${size}.webp`;
+            urls[size] = await storage.put(key, image, "image/webp");
+            keys.push(key);
+        }
+        return { urls, keys, width: metadata.width, height: metadata.height, uploadedAt: new Date() };
+    }
+
+    async function storeSample(bookId, buffer) {
+        if (buffer.subarray(0, 5).toString("latin1") !== "%PDF-") throw httpError(415, "The sample must be a PDF");
+
+        const key = `books/${bookId}/sample-${contentHash(buffer)}.pdf`;
+        const url = await storage.put(key, buffer, "application/pdf");
+        return { url, keys: [key], bytes: buffer.length, uploadedAt: new Date() };
+    }
+
+    // `fileName` is what buyers' downloads are saved as
+    async function storeEbook(bookId, buffer, { filename } = {}) {
+        const type = ebookFormat(buffer);
+        if (!type) throw httpError(415, "The ebook must be an EPUB or a PDF");
+
+        const key = `books/${bookId}/ebook-${contentHash(buffer)}.${type.format}`;
+        await privateStorage.put(key, buffer, type.contentType);
+        const fileName = (filename || "").split(/[\\/]/).pop().slice(0, 200) || `book-${bookId}.${type.format}`;
+        return { keys: [key], ...type, fileName, bytes: buffer.length, uploadedAt: new Date() };
+    }
+
+    // Files of `previous` that `current` no longer uses (the same upload twice keeps its files)
+    function replacedKeys(previous, current) {
+        return (previous?.keys || []).filter(key => !current?.keys.includes(key));
+    }
+
+    async function deleteBookAssets(book) {
+        await removeFiles([...(book.cover?.keys || []), ...(book.sample?.keys || [])]);
+        await removeEbookFiles(book.ebook?.keys);
+    }
+
+    return { storeCover, storeSample, storeEbook, replacedKeys, removeFiles, removeEbookFiles, deleteBookAssets };
+}
+
+module.exports = { COVER_MAX_BYTES, SAMPLE_MAX_BYTES, EBOOK_MAX_BYTES, COVER_SIZES, createBookAssets };
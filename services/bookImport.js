@@ -0,0 +1,109 @@
+const { schemas, validate } = require('../validation');
+const { httpError } = require('../lib/http');
+const { roleHas } = require('../lib/permissions');
+
+// ======================================================
+// BOOK CATALOGUE IMPORT
+// ======================================================
+// Rows are matched to books on ISBN: a known ISBN updates that book with the
+// columns the row fills in, an unknown one creates a book. Nothing is written
+// unless every row is valid, so a rejected file can be fixed and sent again
+// as a whole. A dry run returns the same per-row report without writing.
+const IMPORT_MAX_ROWS = 5000;
+const ISBN_PATTERN = /^(\d{9}[\dX]|\d{13})$/;
+
+// ISBNs are stored and compared without the hyphens and spaces people write them with
+function normalizeIsbn(value) {
+    return String(value).replace(/[\s-]/g, "").toUpperCase();
+}
+
+// Keeps the fields a client may set and drops blank cells, so an export
+// (with _id, librarianEmail, ratings...) can be imported again as it is
+function importableFields(row) {
+    const fields = {};
+    for (const [field, rule] of Object.entries(schemas.book.fields)) {
+        if (rule.server) continue;
+        const value = row[field];
+        if (value === undefined || value === null || value === "") continue;
+        fields[field] = value;
+    }
+    return fields;
+}
+
+function createBookImport({ booksCollection, auditedInsertOne, auditedUpdateOne, sendWishlistAlerts }) {
+    // One entry per row: { row, isbn, action: "create" | "update", errors, value, book }
+    async function planImport(req, rows) {
+        const isbns = rows
+            .map(row => row && typeof row === "object" && row.isbn ? normalizeIsbn(row.isbn) : null)
+            .filter(Boolean);
+        const existing = await booksCollection.find({ isbn: { $in: isbns } }).toArray();
+        const booksByIsbn = new Map(existing.map(book => [book.isbn, book]));
+        const editsAnyBook = roleHas(req.user_role, "store:all");
+        const firstRowOf = new Map();
+
+        return rows.map((raw, index) => {
+            const row = index + 1;
+            if (!raw || typeof raw !== "object" || Array.isArray(raw))
+                return { row, isbn: null, errors: [{ field: null, message: "must be an object" }] };
+
+            const fields = importableFields(raw);
+            if (fields.isbn === undefined) return { row, isbn: null, errors: [{ field: "isbn", message: "is required" }] };
+
+            const isbn = normalizeIsbn(fields.isbn);
+            if (!ISBN_PATTERN.test(isbn))
+                return { row, isbn, errors: [{ field: "isbn", message: "must be an ISBN-10 or ISBN-13" }] };
+            if (firstRowOf.has(isbn))
+                return { row, isbn, errors: [{ field: "isbn", message: `repeats row ${firstRowOf.get(isbn)}` }] };
+            firstRowOf.set(isbn, row);
+
+            const book = booksByIsbn.get(isbn);
+            if (book && !editsAnyBook && book.librarianEmail !== req.decoded_email)
+                return { row, isbn, errors: [{ field: "isbn", message: "belongs to another librarian's book" }] };
+
+            const { value, errors } = validate(schemas.book, { ...fields, isbn }, { partial: Boolean(book) });
+            return { row, isbn, action: book ? "update" : "create", errors, value, book };
+        });
+    }
+
+    async function applyRow(req, { action, value, book }) {
+        if (action === "create") {
+            await auditedInsertOne(req, "book.created", booksCollection, {
+                ...value,
+                librarianEmail: req.decoded_email,
+                createdAt: new Date(),
+            });
+            return;
+        }
+        const { before, after } = await auditedUpdateOne(req, "book.updated", booksCollection, { _id: book._id }, { $set: value });
+        if (before) await sendWishlistAlerts(before, after);
+    }
+
+    // Returns the report; throws 422 with it as details when a row is invalid
+    async function importBooks(req, rows, { dryRun = false } = {}) {
+        if (!rows.length) throw httpError(400, "The file contains no books");
+        if (rows.length > IMPORT_MAX_ROWS) throw httpError(413, `At most ${IMPORT_MAX_ROWS} books can be imported at once`);
+
+        const plan = await planImport(req, rows);
+        const failed = plan.filter(entry => entry.errors.length).length;
+        const report = {
+            dryRun,
+            total: plan.length,
+            created: plan.filter(entry => entry.action === "create" && !entry.errors.length).length,
+            updated: plan.filter(entry => entry.action === "update" && !entry.errors.length).length,
+            failed,
+            rows: plan.map(({ row, isbn, action, errors }) => ({ row, isbn, action: action || null, errors })),
+        };
+
+        if (failed && !dryRun) {
+            throw httpError(422, "Some rows are invalid; nothing was imported", report);
+        }
+        if (dryRun) return report;
+
+        for (const entry of plan) await applyRow(req, entry);
+        return report;
+    }
+
+    return { importBooks };
+}
+
+module.exports = { IMPORT_MAX_ROWS, normalizeIsbn, createBookImport };
@@ -0,0 +1,181 @@
+const { ObjectId } = require('mongodb');
+const { httpError } = require('../lib/http');
+const { orderItems } = require('../lib/orders');
+const { RESERVATION_TIMEOUT_MINUTES, reservationDeadline } = require('./inventory');
+const { couponAppliesTo, couponDiscount } = require('./coupons');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// CHECKOUT
+// ======================================================
+const CURRENCY = 'EUR';
+
+// Stripe expects integer minor units; round instead of truncating so €12.99 stays 1299
+function toMinorUnits(price) {
+    const value = Number(price);
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return Math.round(value * 100);
+}
+
+// Stripe only accepts a session expiry between 30 minutes and 24 hours out
+const CHECKOUT_SESSION_MINUTES = Math.min(Math.max(RESERVATION_TIMEOUT_MINUTES, 31), 24 * 60);
+
+// Stripe refuses card payments below 0.50 EUR
+const MIN_CHARGE_AMOUNT = 50;
+
+// Splits a discount over lines in proportion to their value; rounding
+// leftovers go to the last line
+function allocateDiscount(lines, discount) {
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    let left = discount;
+    lines.forEach((line, index) => {
+        const share = index === lines.length - 1 ? left : Math.floor(discount * line.amount / total);
+        line.discount = Math.min(share, line.amount);
+        left -= line.discount;
+    });
+}
+
+// Stripe wants a whole unit price, so a discounted line whose total does not
+// split evenly over its quantity becomes two lines one cent apart
+function stripeLines(line, coupon) {
+    const name = line.discount
+        ? `Please pay for: ${line.book.title} (coupon ${coupon.code})`
+        : `Please pay for: ${line.book.title}`;
+    const toStripe = (unitAmount, quantity) => ({
+        price_data: {
+            currency: CURRENCY,
+            unit_amount: unitAmount,
+            product_data: { name }
+        },
+        quantity,
+    });
+
+    const total = line.amount - line.discount;
+    const unitAmount = Math.floor(total / line.quantity);
+    const extra = total - unitAmount * line.quantity;
+    const result = [];
+    if (extra) result.push(toStripe(unitAmount + 1, extra));
+    if (line.quantity > extra) result.push(toStripe(unitAmount, line.quantity - extra));
+    return result;
+}
+
+function createCheckout({ stripe, booksCollection, ordersCollection, reserveStock }) {
+    // Prices always come from booksCollection, never from the client. With coupon
+    // terms the discount is spread over the lines it applies to, so Stripe
+    // charges exactly the discounted total.
+    async function buildLineItems(items, coupon = null) {
+        const ids = items
+            .filter(item => ObjectId.isValid(item.bookId))
+            .map(item => new ObjectId(item.bookId));
+        const books = await booksCollection.find({ _id: { $in: ids } }).toArray();
+        const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+        const lines = items.map(item => {
+            const book = booksById.get(String(item.bookId));
+            if (!book) throw httpError(404, "Book not found");
+            // Also covers orders and carts filled before the book was unpublished
+            if (book.status !== "published") throw httpError(409, `"${book.title}" is not for sale`);
+
+            const unitAmount = toMinorUnits(book.price);
+            if (!unitAmount) throw httpError(422, `Book "${book.title}" has no valid price`);
+
+            const quantity = Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+            return { bookId: String(item.bookId), book, unitAmount, quantity, amount: unitAmount * quantity, discount: 0 };
+        });
+
+        const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+        const discount = coupon ? couponDiscount(coupon, lines) : 0;
+        if (discount) allocateDiscount(lines.filter(line => couponAppliesTo(coupon, line.book)), discount);
+
+        const amount = subtotal - discount;
+        if (discount && amount < MIN_CHARGE_AMOUNT)
+            throw httpError(422, `The total after the discount must be at least ${(MIN_CHARGE_AMOUNT / 100).toFixed(2)} ${CURRENCY}`);
+
+        const lineItems = lines.flatMap(line => stripeLines(line, coupon));
+        const pricedItems = lines.map(line => ({
+            bookId: line.bookId,
+            bookTitle: line.book.title,
+            quantity: line.quantity,
+            unitPrice: line.unitAmount / 100,
+            ...(line.discount && { discount: line.discount / 100 }),
+        }));
+
+        return { lineItems, pricedItems, amount, subtotal, discount };
+    }
+
+    async function createCheckoutSession(order) {
+        const items = orderItems(order);
+        const { lineItems, pricedItems, amount, subtotal, discount } = await buildLineItems(items, order.coupon);
+
+        // Orders whose reservation already lapsed (or that predate inventory) must grab stock again
+        if (!order.stockReserved) {
+            const reservedItems = await reserveStock(items);
+            await ordersCollection.updateOne(
+                { _id: order._id },
+                { $set: { reservedItems, stockReserved: true, reservedUntil: reservationDeadline() } }
+            );
+        }
+
+        // Only one session may be payable at a time. Clearing the id first keeps the
+        // expiry event of the old session from releasing this checkout's copies.
+        if (order.checkoutSessionId) {
+            await ordersCollection.updateOne({ _id: order._id }, { $set: { checkoutSessionId: null } });
+            await expireCheckoutSession(order);
+        }
+
+        // Keep the copies reserved for as long as the customer can still pay
+        const expiresAt = new Date(Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000);
+
+        const metadata = {
+            orderId: order._id.toString(),
+            customerEmail: order.customerEmail,
+        };
+        if (items.length === 1) metadata.bookId = String(items[0].bookId);
+        if (order.coupon) metadata.couponCode = order.coupon.code;
+
+        const session = await stripe.checkout.sessions.create({
+            line_items: lineItems,
+            customer_email: order.customerEmail,
+            mode: 'payment',
+            expires_at: Math.floor(expiresAt.getTime() / 1000),
+            metadata,
+            // Copied onto the PaymentIntent so payment_intent.* webhook events can be matched too
+            payment_intent_data: { metadata },
+            success_url: `${process.env.SITE_DOMAIN}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${process.env.SITE_DOMAIN}/dashboard/payment-cancelled`,
+        });
+
+        await ordersCollection.updateOne(
+            { _id: order._id },
+            {
+                $set: {
+                    checkoutSessionId: session.id,
+                    // The prices actually charged, kept for per-book and per-librarian reporting
+                    lineItems: pricedItems,
+                    amount: amount / 100,
+                    subtotal: subtotal / 100,
+                    discount: discount / 100,
+                    currency: CURRENCY,
+                    reservedUntil: expiresAt,
+                }
+            }
+        );
+
+        return session;
+    }
+
+    // Closes the order's open checkout so it can no longer be paid. Stripe refuses
+    // sessions that are complete or expired already, which is what we want anyway.
+    async function expireCheckoutSession(order) {
+        if (!order.checkoutSessionId) return;
+        try {
+            await stripe.checkout.sessions.expire(order.checkoutSessionId);
+        } catch (err) {
+            logger.warn("Checkout session could not be expired", { orderId: order._id, sessionId: order.checkoutSessionId, err: err.message });
+        }
+    }
+
+    return { buildLineItems, createCheckoutSession, expireCheckoutSession };
+}
+
+module.exports = { CURRENCY, MIN_CHARGE_AMOUNT, toMinorUnits, createCheckout };
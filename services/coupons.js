@@ -0,0 +1,192 @@
+const { ObjectId } = require('mongodb');
+const { httpError } = require('../lib/http');
+const { orderItems } = require('../lib/orders');
+
+// ======================================================
+// COUPONS
+// ======================================================
+// A coupon takes a percentage or a fixed EUR amount off the books it applies
+// to: all of them, or only those matching `bookIds`, `categories` or
+// `librarianEmails`. Limits live on the coupon document itself
+// (`redemptionCount` and one `customers` entry per customer) so a single
+// guarded update enforces them. Each use is also recorded in
+// `couponRedemptions`: `reserved` while the order is open, `redeemed` once it
+// is paid and `released` if it is cancelled or its reservation lapses.
+const COUPON_TYPES = ["percentage", "fixed"];
+const RESTRICTION_FIELDS = ["bookIds", "categories", "librarianEmails"];
+
+function normalizeCode(code) {
+    return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+// The terms are copied onto the order, so editing or deleting the coupon
+// later does not change what the customer was promised
+function couponTerms(coupon) {
+    const terms = { couponId: coupon._id.toString(), code: coupon.code, type: coupon.type, value: coupon.value };
+    for (const field of RESTRICTION_FIELDS) {
+        if (coupon[field]?.length) terms[field] = coupon[field];
+    }
+    return terms;
+}
+
+function couponAppliesTo(terms, book) {
+    if (!RESTRICTION_FIELDS.some(field => terms[field]?.length)) return true;
+    return !!(
+        terms.bookIds?.includes(book._id.toString()) ||
+        (book.category && terms.categories?.includes(book.category)) ||
+        (book.librarianEmail && terms.librarianEmails?.includes(book.librarianEmail))
+    );
+}
+
+// Discount in minor units for lines of { book, amount } (amount in minor units)
+function couponDiscount(terms, lines) {
+    const eligible = lines
+        .filter(line => couponAppliesTo(terms, line.book))
+        .reduce((sum, line) => sum + line.amount, 0);
+    if (!eligible) return 0;
+
+    const discount = terms.type === "percentage"
+        ? Math.round(eligible * terms.value / 100)
+        : Math.round(terms.value * 100);
+    return Math.min(discount, eligible);
+}
+
+function createCoupons({ couponsCollection, couponRedemptionsCollection, buildLineItems }) {
+    // Explains why a coupon can't be used right now, or returns it
+    async function findRedeemableCoupon(code, customerEmail) {
+        const coupon = await couponsCollection.findOne({ code: normalizeCode(code) });
+        if (!coupon || coupon.active === false) throw httpError(404, "Coupon not found");
+        if (coupon.expiresAt && coupon.expiresAt <= new Date()) throw httpError(422, "This coupon has expired");
+        if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions)
+            throw httpError(409, "This coupon has been fully redeemed");
+
+        const used = coupon.customers?.find(entry => entry.email === customerEmail)?.count || 0;
+        if (coupon.maxRedemptionsPerCustomer && used >= coupon.maxRedemptionsPerCustomer)
+            throw httpError(409, "You have already used this coupon");
+        return coupon;
+    }
+
+    // Counts one use against both limits in a single update. The first branch
+    // handles returning customers, the second their first use; a customer who
+    // appears between the two is picked up by the retry.
+    async function countCouponUse(coupon, email) {
+        const withinTotal = {
+            $or: [
+                { maxRedemptions: null },
+                { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }
+            ]
+        };
+        const perCustomer = coupon.maxRedemptionsPerCustomer || Number.MAX_SAFE_INTEGER;
+
+        let reserved = false;
+        for (let attempt = 0; attempt < 2 && !reserved; attempt++) {
+            const returning = await couponsCollection.updateOne(
+                { _id: coupon._id, ...withinTotal, customers: { $elemMatch: { email, count: { $lt: perCustomer } } } },
+                { $inc: { redemptionCount: 1, "customers.$.count": 1 } }
+            );
+            if (returning.modifiedCount) {
+                reserved = true;
+                continue;
+            }
+            const first = await couponsCollection.updateOne(
+                { _id: coupon._id, ...withinTotal, "customers.email": { $ne: email } },
+                { $inc: { redemptionCount: 1 }, $push: { customers: { email, count: 1 } } }
+            );
+            reserved = first.modifiedCount > 0;
+        }
+        if (!reserved) {
+            // Re-read so the customer gets the specific reason
+            await findRedeemableCoupon(coupon.code, email);
+            throw httpError(409, "This coupon can no longer be used");
+        }
+    }
+
+    async function reserveCoupon(coupon, order) {
+        await countCouponUse(coupon, order.customerEmail);
+        await couponRedemptionsCollection.insertOne({
+            couponId: coupon._id.toString(),
+            code: coupon.code,
+            orderId: order._id.toString(),
+            customerEmail: order.customerEmail,
+            status: "reserved",
+            createdAt: new Date(),
+        });
+    }
+
+    // Checks the code against the order's books and holds one use of it for the order.
+    // The order needs its _id already; the terms are set on `order.coupon`.
+    async function applyCoupon(order, code) {
+        const coupon = await findRedeemableCoupon(code, order.customerEmail);
+        const terms = couponTerms(coupon);
+
+        const { discount } = await buildLineItems(orderItems(order), terms);
+        if (!discount) throw httpError(422, "This coupon does not apply to the books in this order");
+
+        await reserveCoupon(coupon, order);
+        order.coupon = terms;
+        return terms;
+    }
+
+    // Gives the use back when an unpaid order is cancelled or deleted, or its
+    // reservation lapses. Flipping the redemption first makes this happen at
+    // most once per order.
+    async function releaseCoupon(orderId) {
+        const redemption = await couponRedemptionsCollection.findOneAndUpdate(
+            { orderId: orderId.toString(), status: "reserved" },
+            { $set: { status: "released", releasedAt: new Date() } }
+        );
+        if (!redemption) return false;
+
+        await couponsCollection.updateOne(
+            { _id: new ObjectId(redemption.couponId), "customers.email": redemption.customerEmail },
+            { $inc: { redemptionCount: -1, "customers.$.count": -1 } }
+        );
+        return true;
+    }
+
+    // An order whose reservation lapsed gave its use back; its next checkout takes
+    // one again on the terms it was promised, as long as the coupon still allows it
+    async function reclaimCoupon(order) {
+        if (!order.coupon) return false;
+        const redemption = await couponRedemptionsCollection.findOneAndUpdate(
+            { orderId: order._id.toString(), status: "released" },
+            { $set: { status: "reserved" }, $unset: { releasedAt: "" } }
+        );
+        if (!redemption) return false;
+
+        try {
+            const coupon = await findRedeemableCoupon(redemption.code, order.customerEmail);
+            await countCouponUse(coupon, order.customerEmail);
+        } catch (err) {
+            await couponRedemptionsCollection.updateOne(
+                { _id: redemption._id },
+                { $set: { status: "released", releasedAt: new Date() } }
+            );
+            throw err;
+        }
+        return true;
+    }
+
+    async function confirmCoupon(order) {
+        const redeemed = { $set: { status: "redeemed", discount: order.discount || 0, redeemedAt: new Date() } };
+        const result = await couponRedemptionsCollection.updateOne({ orderId: order._id.toString(), status: "reserved" }, redeemed);
+        if (result.matchedCount) return;
+
+        // Paid just as the reservation lapsed: the use was given back, so it counts
+        // again, past the limits if need be since the customer already paid
+        const lapsed = await couponRedemptionsCollection.findOneAndUpdate(
+            { orderId: order._id.toString(), status: "released" },
+            { ...redeemed, $unset: { releasedAt: "" } }
+        );
+        if (lapsed) {
+            await couponsCollection.updateOne(
+                { _id: new ObjectId(lapsed.couponId), "customers.email": lapsed.customerEmail },
+                { $inc: { redemptionCount: 1, "customers.$.count": 1 } }
+            );
+        }
+    }
+
+    return { applyCoupon, reclaimCoupon, releaseCoupon, confirmCoupon };
+}
+
+module.exports = { COUPON_TYPES, normalizeCode, couponTerms, couponAppliesTo, couponDiscount, createCoupons };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { httpError } = require('../lib/http');
+const { orderItems } = require('../lib/orders');
+
+// ======================================================
+// EBOOK DOWNLOADS
+// ======================================================
+// A buyer asks for a link per book of a paid order and gets a URL signed with
+// HMAC-SHA256 that expires after DOWNLOAD_LINK_TTL_SECONDS (default 5 minutes).
+// The link carries no session, so download managers can use it, and may be
+// fetched several times while it is valid to resume with Range requests. The
+// first fetch of each link counts as one download: DOWNLOAD_LIMIT (default 5)
+// per book and order, kept in the order's `downloadCounts` and logged in the
+// `downloads` collection. Refunded, cancelled and returned orders lose access,
+// also to links handed out before.
+const DEFAULT_LINK_TTL_SECONDS = 5 * 60;
+const DEFAULT_DOWNLOAD_LIMIT = 5;
+const DOWNLOAD_ROUTE = "/downloads";
+
+function base64url(value) {
+    return Buffer.from(value).toString("base64url");
+}
+
+function createDownloads({ ordersCollection, booksCollection, downloadsCollection, downloadSigningSecret }) {
+    const linkTtlSeconds = Number(process.env.DOWNLOAD_LINK_TTL_SECONDS) || DEFAULT_LINK_TTL_SECONDS;
+    const downloadLimit = Number(process.env.DOWNLOAD_LIMIT) || DEFAULT_DOWNLOAD_LIMIT;
+    // config.js requires the secret in production; without it links only work on this instance until it restarts
+    const signingSecret = downloadSigningSecret || crypto.randomBytes(32).toString("hex");
+
+    const sign = payload => crypto.createHmac("sha256", signingSecret).update(payload).digest("base64url");
+
+    const downloadsUsed = (order, bookId) => order.downloadCounts?.[bookId] || 0;
+
+    // Resolves to the book's `ebook` if the order gives access to it. Checked on
+    // every fetch, so a refund or cancellation also stops links handed out before.
+    async function downloadableEbook(order, bookId) {
+        if (["cancelled", "returned"].includes(order.status)) throw httpError(403, `Downloads are not available for ${order.status} orders`);
+        if (["refunded", "partially_refunded"].includes(order.paymentStatus)) throw httpError(403, "Downloads are not available for refunded orders");
+        if (order.paymentStatus !== "paid") throw httpError(403, "Downloads are available once the order is paid");
+        if (!orderItems(order).some(item => item.bookId === bookId)) throw httpError(404, "The book is not part of this order");
+
+        const book = ObjectId.isValid(bookId)
+            ? await booksCollection.findOne({ _id: new ObjectId(bookId) }, { projection: { title: 1, ebook: 1 } })
+            : null;
+        if (!book?.ebook) throw httpError(404, "This book has no ebook to download");
+        return book.ebook;
+    }
+
+    // Resolves to { url, expiresAt, downloadsRemaining }; `baseUrl` is where this API is reachable
+    async function createDownloadLink(order, bookId, baseUrl) {
+        await downloadableEbook(order, bookId);
+        const remaining = downloadLimit - downloadsUsed(order, bookId);
+        if (remaining <= 0) throw httpError(403, `The download limit of ${downloadLimit} for this book has been reached`);
+
+        const expiresAt = new Date(Date.now() + linkTtlSeconds * 1000);
+        const payload = base64url(JSON.stringify({
+            link: crypto.randomBytes(12).toString("hex"),
+            order: order._id.toString(),
+            book: bookId,
+            exp: Math.floor(expiresAt.getTime() / 1000),
+        }));
+        return { url: `${baseUrl}${DOWNLOAD_ROUTE}/${payload}.${sign(payload)}`, expiresAt, downloadsRemaining: remaining };
+    }
+
+    // Resolves to the link's { link, order, book } or throws 403
+    function verifyDownloadToken(token) {
+        const invalid = httpError(403, "This download link is invalid or has expired");
+        const [payload, signature, extra] = String(token).split(".");
+        if (!payload || !signature || extra !== undefined) throw invalid;
+
+        const expected = Buffer.from(sign(payload));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw invalid;
+
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (!(claims.exp * 1000 > Date.now())) throw invalid;
+        return claims;
+    }
+
+    // Counts the first fetch of a link against the limit; later fetches of the same link are free
+    async function recordDownload(req, claims, order) {
+        const entry = {
+            linkId: claims.link,
+            orderId: claims.order,
+            bookId: claims.book,
+            customerEmail: order.customerEmail,
+            ip: req.ip,
+            userAgent: req.get("user-agent") || null,
+            at: new Date(),
+        };
+        try {
+            await downloadsCollection.insertOne(entry);
+        } catch (err) {
+            if (err.code === 11000) return; // this link was counted already
+            throw err;
+        }
+
+        const field = `downloadCounts.${claims.book}`;
+        const counted = await ordersCollection.updateOne(
+            { _id: order._id, [field]: { $not: { $gte: downloadLimit } } },
+            { $inc: { [field]: 1 } }
+        );
+        if (!counted.modifiedCount) {
+            await downloadsCollection.deleteOne({ _id: entry._id });
+            throw httpError(403, `The download limit of ${downloadLimit} for this book has been reached`);
+        }
+    }
+
+    // Per book of the order: { bookId, downloads, remaining }
+    function downloadSummary(order) {
+        return orderItems(order).map(({ bookId }) => {
+            const used = downloadsUsed(order, bookId);
+            return { bookId, downloads: used, remaining: Math.max(downloadLimit - used, 0) };
+        });
+    }
+
+    return { downloadableEbook, createDownloadLink, verifyDownloadToken, recordDownload, downloadSummary };
+}
+
+module.exports = { DOWNLOAD_ROUTE, createDownloads };
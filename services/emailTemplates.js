@@ -0,0 +1,124 @@
+// ======================================================
+// EMAIL TEMPLATES
+// ======================================================
+// One entry per notification event. Each template gets the event data and
+// returns the subject plus plain-text and HTML bodies.
+const SITE_DOMAIN = process.env.SITE_DOMAIN || "https://swiftbook.web.app";
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function money(amount, currency = "EUR") {
+    return `${Number(amount || 0).toFixed(2)} ${String(currency).toUpperCase()}`;
+}
+
+function itemLines(items = []) {
+    return items.map(item => `${item.quantity || 1} × ${item.bookTitle || "Book"}`);
+}
+
+// Wraps the paragraphs of a message in the shared HTML layout
+function layout(title, paragraphs, link) {
+    const body = paragraphs
+        .map(paragraph => Array.isArray(paragraph)
+            ? `<ul>${paragraph.map(line => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`
+            : `<p>${escapeHtml(paragraph)}</p>`)
+        .join("\n");
+    const button = link
+        ? `<p><a href="${escapeHtml(link.url)}" style="background:#4f46e5;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">${escapeHtml(link.label)}</a></p>`
+        : "";
+    return `<!doctype html>
+<html><body style="font-family:Arial,sans-serif;color:#1f2937;max-width:560px;margin:auto">
+<h2>${escapeHtml(title)}</h2>
+${body}
+${button}
+<p style="color:#6b7280;font-size:12px">You can change which emails you get in your SwiftBook account settings.</p>
+</body></html>`;
+}
+
+function text(paragraphs, link) {
+    const lines = paragraphs.map(paragraph => Array.isArray(paragraph)
+        ? paragraph.map(line => `- ${line}`).join("\n")
+        : paragraph);
+    if (link) lines.push(`${link.label}: ${link.url}`);
+    return lines.join("\n\n");
+}
+
+function message(subject, paragraphs, link) {
+    return { subject, text: text(paragraphs, link), html: layout(subject, paragraphs, link) };
+}
+
+const ordersLink = { label: "View your orders", url: `${SITE_DOMAIN}/dashboard/my-orders` };
+
+const STATUS_MESSAGES = {
+    confirmed: "has been confirmed",
+    shipped: "is on its way",
+    delivered: "has been delivered",
+    cancelled: "has been cancelled",
+    returned: "has been returned",
+};
+
+const templates = {
+    "order.placed": data => message(
+        "We received your order",
+        [`Hi ${data.name || "there"}, thanks for your order #${data.orderId}.`, itemLines(data.items), "We'll let you know when it ships."],
+        ordersLink
+    ),
+
+    "order.paid": data => message(
+        "Payment received",
+        [`We received your payment of ${money(data.amount, data.currency)} for order #${data.orderId}.`, itemLines(data.items)],
+        ordersLink
+    ),
+
+    "order.status_changed": data => message(
+        `Your order ${STATUS_MESSAGES[data.status] || `is now ${data.status}`}`,
+        [`Order #${data.orderId} ${STATUS_MESSAGES[data.status] || `is now ${data.status}`}.`, itemLines(data.items)],
+        ordersLink
+    ),
+
+    "order.refunded": data => message(
+        "Your refund is on its way",
+        [
+            `We refunded ${money(data.amount, data.currency)}${data.orderId ? ` for order #${data.orderId}` : ""}.`,
+            "It can take a few days to appear on your statement."
+        ],
+        ordersLink
+    ),
+
+    "book.sold": data => message(
+        "You made a sale",
+        [`A customer just paid for order #${data.orderId}:`, itemLines(data.items)],
+        { label: "Open your dashboard", url: `${SITE_DOMAIN}/dashboard/librarian-orders` }
+    ),
+
+    "wishlist.price_drop": data => message(
+        `Price drop: ${data.bookTitle}`,
+        [`"${data.bookTitle}" from your wishlist dropped from ${money(data.oldPrice)} to ${money(data.price)}.`],
+        { label: "See the book", url: `${SITE_DOMAIN}/books/${data.bookId}` }
+    ),
+
+    "wishlist.available": data => message(
+        `Now available: ${data.bookTitle}`,
+        [`"${data.bookTitle}" from your wishlist is available to order now.`],
+        { label: "See the book", url: `${SITE_DOMAIN}/books/${data.bookId}` }
+    ),
+
+    "user.role_changed": data => message(
+        "Your SwiftBook role changed",
+        [`Your account role is now "${data.role}".`, "Sign in again to see the features that come with it."]
+    ),
+};
+
+function renderEmail(event, data) {
+    const template = templates[event];
+    if (!template) throw new Error(`No email template for ${event}`);
+    return template(data);
+}
+
+module.exports = { templates, renderEmail, escapeHtml };
@@ -0,0 +1,78 @@
+const { ObjectId } = require('mongodb');
+const { httpError } = require('../lib/http');
+
+// ======================================================
+// INVENTORY
+// ======================================================
+// Books without a numeric `stock` field are not stock-tracked and never run out.
+const RESERVATION_TIMEOUT_MINUTES = Number(process.env.RESERVATION_TIMEOUT_MINUTES) || 60;
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+function reservationDeadline(from = new Date()) {
+    return new Date(from.getTime() + RESERVATION_TIMEOUT_MINUTES * 60 * 1000);
+}
+
+function createInventory({ booksCollection, ordersCollection }) {
+    // Takes copies out of stock for every item, rolling back if any book runs out.
+    // Returns the lines that were actually reserved so they can be released later.
+    async function reserveStock(items) {
+        const reserved = [];
+        try {
+            for (const item of items) {
+                if (!ObjectId.isValid(item.bookId)) throw httpError(400, "Invalid bookId");
+                const _id = new ObjectId(item.bookId);
+                const quantity = Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+
+                const book = await booksCollection.findOne({ _id }, { projection: { title: 1, stock: 1, status: 1 } });
+                if (!book) throw httpError(404, "Book not found");
+                if (book.status !== "published") throw httpError(409, `"${book.title}" is not for sale`);
+                if (typeof book.stock !== "number") continue;
+
+                const result = await booksCollection.updateOne(
+                    { _id, stock: { $gte: quantity } },
+                    { $inc: { stock: -quantity } }
+                );
+                if (!result.modifiedCount) throw httpError(409, `"${book.title}" is out of stock`);
+
+                reserved.push({ bookId: String(item.bookId), quantity });
+            }
+        } catch (err) {
+            await restock(reserved);
+            throw err;
+        }
+        return reserved;
+    }
+
+    async function restock(lines) {
+        for (const { bookId, quantity } of lines) {
+            await booksCollection.updateOne({ _id: new ObjectId(bookId) }, { $inc: { stock: quantity } });
+        }
+    }
+
+    // Flipping stockReserved first makes the release happen at most once per order.
+    // `filter` adds conditions checked in the same update, e.g. that it is still unpaid.
+    async function releaseStock(orderId, filter = {}) {
+        const order = await ordersCollection.findOneAndUpdate(
+            { ...filter, _id: orderId, stockReserved: true },
+            { $set: { stockReserved: false, stockReleasedAt: new Date() } }
+        );
+        if (order) await restock(order.reservedItems || []);
+        return !!order;
+    }
+
+    // Paying turns the reservation into a sale (stockSold, see routes/payments.js).
+    // Cancelled and returned orders hand their copies back either way.
+    async function returnStock(orderId) {
+        if (await releaseStock(orderId)) return true;
+        const order = await ordersCollection.findOneAndUpdate(
+            { _id: orderId, stockSold: true },
+            { $set: { stockSold: false, stockReturnedAt: new Date() } }
+        );
+        if (order) await restock(order.reservedItems || []);
+        return !!order;
+    }
+
+    return { reserveStock, restock, releaseStock, returnStock };
+}
+
+module.exports = { RESERVATION_TIMEOUT_MINUTES, LOW_STOCK_THRESHOLD, reservationDeadline, createInventory };
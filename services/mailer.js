@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// MAIL TRANSPORTS
+// ======================================================
+// A transport is anything with `send({ to, subject, text, html })` that
+// resolves once the message is accepted and rejects when it should be retried.
+const MAIL_FROM = process.env.MAIL_FROM || "SwiftBook <no-reply@swiftbook.web.app>";
+
+function createSmtpTransport(options) {
+    const transporter = nodemailer.createTransport(options);
+    return {
+        name: "smtp",
+        async send(message) {
+            const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+            return { messageId: info.messageId };
+        },
+    };
+}
+
+// Local development: writes each message to a JSON file instead of sending it
+function createFileTransport(dir) {
+    return {
+        name: "file",
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+            await fs.writeFile(file, JSON.stringify({ from: MAIL_FROM, ...message }, null, 2));
+            return { messageId: file };
+        },
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: "console",
+        async send(message) {
+            logger.info("Mail (console transport)", { to: message.to, subject: message.subject, text: message.text });
+            return { messageId: null };
+        },
+    };
+}
+
+// MAIL_TRANSPORT=smtp|file|console (default console)
+function createTransportFromEnv(env = process.env) {
+    switch (env.MAIL_TRANSPORT) {
+        case "smtp":
+            return createSmtpTransport(env.SMTP_URL || {
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === "true",
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+            });
+        case "file":
+            return createFileTransport(env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "mail-outbox"));
+        default:
+            return createConsoleTransport();
+    }
+}
+
+module.exports = {
+    MAIL_FROM,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createTransportFromEnv,
+};
@@ -0,0 +1,169 @@
+const { ObjectId } = require('mongodb');
+const { orderItems } = require('../lib/orders');
+const { logger } = require('../lib/logger');
+const { renderEmail } = require('./emailTemplates');
+
+// ======================================================
+// NOTIFICATIONS
+// ======================================================
+// Emails go through the `notifications` collection as an outbox: each one is
+// stored first, then handed to the transport. Failed sends are retried with
+// backoff by deliverPendingNotifications(), which the server runs on a timer.
+const MAX_DELIVERY_ATTEMPTS = 5;
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Users switch notifications off per category in `notificationPreferences`
+const NOTIFICATION_CATEGORIES = {
+    "order.placed": "orders",
+    "order.status_changed": "orders",
+    "order.paid": "payments",
+    "order.refunded": "payments",
+    "book.sold": "sales",
+    "user.role_changed": "account",
+    "wishlist.price_drop": "wishlist",
+    "wishlist.available": "wishlist",
+};
+const DEFAULT_NOTIFICATION_PREFERENCES = { orders: true, payments: true, sales: true, account: true, wishlist: true };
+
+function retryDelayMs(attempts) {
+    return 2 ** (attempts - 1) * 60 * 1000;
+}
+
+function createNotifications({ usersCollection, booksCollection, notificationsCollection, mailer }) {
+    async function wantsEmail(email, event) {
+        const user = await usersCollection.findOne({ email }, { projection: { status: 1, notificationPreferences: 1 } });
+        // Erased users keep only a placeholder address, which nothing can be sent to
+        if (user?.status === "erased") return false;
+        return user?.notificationPreferences?.[NOTIFICATION_CATEGORIES[event]] !== false;
+    }
+
+    // Hands one outbox entry to the transport. Claiming it first keeps two
+    // workers from sending the same email.
+    async function deliver(_id) {
+        const now = new Date();
+        const notification = await notificationsCollection.findOneAndUpdate(
+            { _id, status: "pending", nextAttemptAt: { $lte: now } },
+            { $set: { status: "sending", claimedAt: now }, $inc: { attempts: 1 } },
+            { returnDocument: "after" }
+        );
+        if (!notification) return false;
+
+        try {
+            const { to, subject, text, html } = notification;
+            const info = await mailer.send({ to, subject, text, html });
+            await notificationsCollection.updateOne(
+                { _id },
+                { $set: { status: "sent", sentAt: new Date(), messageId: info?.messageId || null }, $unset: { claimedAt: "" } }
+            );
+            return true;
+        } catch (err) {
+            const failed = notification.attempts >= MAX_DELIVERY_ATTEMPTS;
+            await notificationsCollection.updateOne(
+                { _id },
+                {
+                    $set: {
+                        status: failed ? "failed" : "pending",
+                        lastError: err && err.message ? err.message : String(err),
+                        nextAttemptAt: new Date(Date.now() + retryDelayMs(notification.attempts)),
+                    },
+                    $unset: { claimedAt: "" }
+                }
+            );
+            return false;
+        }
+    }
+
+    // Never throws: a failed email must not fail the request that triggered it
+    async function notify(event, to, data = {}) {
+        try {
+            if (!to || !(await wantsEmail(to, event))) return;
+
+            const { subject, text, html } = renderEmail(event, data);
+            const now = new Date();
+            const { insertedId } = await notificationsCollection.insertOne({
+                event,
+                to,
+                subject,
+                text,
+                html,
+                status: "pending",
+                attempts: 0,
+                nextAttemptAt: now,
+                createdAt: now,
+            });
+            await deliver(insertedId);
+        } catch (err) {
+            logger.error("Notification failed", { event, err });
+        }
+    }
+
+    function orderData(order, extra = {}) {
+        return {
+            orderId: order._id.toString(),
+            name: order.customerName,
+            items: orderItems(order),
+            amount: order.amount,
+            currency: order.currency,
+            status: order.status,
+            ...extra,
+        };
+    }
+
+    function notifyCustomer(event, order, extra) {
+        return notify(event, order.customerEmail, orderData(order, extra));
+    }
+
+    // One email per librarian, listing only their own books from the order
+    async function notifySale(order) {
+        try {
+            const items = orderItems(order).filter(item => ObjectId.isValid(item.bookId));
+            const books = await booksCollection
+                .find({ _id: { $in: items.map(item => new ObjectId(item.bookId)) } })
+                .project({ librarianEmail: 1 })
+                .toArray();
+
+            const byLibrarian = new Map();
+            for (const book of books) {
+                if (!book.librarianEmail) continue;
+                const lines = items.filter(item => String(item.bookId) === book._id.toString());
+                byLibrarian.set(book.librarianEmail, [...(byLibrarian.get(book.librarianEmail) || []), ...lines]);
+            }
+
+            for (const [email, lines] of byLibrarian) {
+                await notify("book.sold", email, orderData(order, { items: lines }));
+            }
+        } catch (err) {
+            logger.error("Sale notification failed", { err });
+        }
+    }
+
+    async function deliverPendingNotifications(limit = 50) {
+        // Entries left "sending" by a crashed process go back in the queue
+        await notificationsCollection.updateMany(
+            { status: "sending", claimedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+            { $set: { status: "pending" }, $unset: { claimedAt: "" } }
+        );
+
+        const due = await notificationsCollection
+            .find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+            .project({ _id: 1 })
+            .sort({ nextAttemptAt: 1 })
+            .limit(limit)
+            .toArray();
+
+        let sent = 0;
+        for (const { _id } of due) {
+            if (await deliver(_id)) sent += 1;
+        }
+        return sent;
+    }
+
+    return { notify, notifyCustomer, notifySale, deliverPendingNotifications };
+}
+
+module.exports = {
+    MAX_DELIVERY_ATTEMPTS,
+    NOTIFICATION_CATEGORIES,
+    DEFAULT_NOTIFICATION_PREFERENCES,
+    createNotifications,
+};
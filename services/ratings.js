@@ -0,0 +1,35 @@
+const { ObjectId } = require('mongodb');
+
+// ======================================================
+// BOOK RATINGS
+// ======================================================
+// Books carry a denormalised averageRating and reviewCount so listings can
+// sort by rating. Hidden reviews do not count; reviews without a status
+// predate moderation and are treated as visible.
+const VISIBLE_REVIEW = { status: { $ne: "hidden" } };
+
+function createRatings({ booksCollection, reviewsCollection }) {
+    // Recomputed from the reviews themselves so concurrent edits can't drift the totals
+    async function refreshBookRating(bookId) {
+        if (!ObjectId.isValid(bookId)) return;
+
+        const [stats] = await reviewsCollection.aggregate([
+            { $match: { bookId: String(bookId), ...VISIBLE_REVIEW } },
+            { $group: { _id: null, averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+        ]).toArray();
+
+        await booksCollection.updateOne(
+            { _id: new ObjectId(bookId) },
+            {
+                $set: {
+                    averageRating: stats ? Math.round(stats.averageRating * 100) / 100 : 0,
+                    reviewCount: stats ? stats.reviewCount : 0,
+                }
+            }
+        );
+    }
+
+    return { refreshBookRating };
+}
+
+module.exports = { VISIBLE_REVIEW, createRatings };
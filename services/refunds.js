@@ -0,0 +1,100 @@
+const { httpError } = require('../lib/http');
+const { toMinorUnits } = require('./checkout');
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// REFUNDS
+// ======================================================
+// Amounts are in major units (EUR), like `amount` on the payment itself.
+// Callers are responsible for checking who may refund what.
+const REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function refundableAmount(payment) {
+    return roundMoney((payment.amount || 0) - (payment.refundedAmount || 0));
+}
+
+// Matches payments whose stored total is not above `refundedAmount`, so totals
+// arriving out of order never lower it
+function notBelowRefundedAmount(refundedAmount) {
+    return { refundedAmount: { $not: { $gt: refundedAmount } } };
+}
+
+function createRefunds({ stripe, paymentCollection, ordersCollection, notify }) {
+    // Refunds `amount` (default: everything not yet refunded) through Stripe and
+    // records it on the payment and its order
+    async function issueRefund(payment, { amount, reason, requestedBy } = {}) {
+        const remaining = refundableAmount(payment);
+        if (remaining <= 0) throw httpError(409, "Payment is already fully refunded");
+
+        const value = amount === undefined ? remaining : roundMoney(Number(amount));
+        if (!Number.isFinite(value) || value <= 0) throw httpError(400, "amount must be a positive number");
+        if (value > remaining) throw httpError(400, `amount must be at most ${remaining}`);
+        if (reason !== undefined && !REFUND_REASONS.includes(reason))
+            throw httpError(400, `reason must be one of ${REFUND_REASONS.join(", ")}`);
+
+        let refund;
+        try {
+            refund = await stripe.refunds.create({
+                payment_intent: payment.transactionId,
+                amount: toMinorUnits(value),
+                ...(reason && { reason }),
+                metadata: { requestedBy, ...(payment.orderId && { orderId: payment.orderId }) },
+            });
+        } catch (err) {
+            // Stripe rejects e.g. refunds on disputed charges; pass its explanation on
+            if (err.type === "StripeInvalidRequestError") throw httpError(400, err.message);
+            throw err;
+        }
+
+        // Stripe's running total also counts refunds issued meanwhile, which the
+        // payment document the caller read may not show yet
+        let refundedAmount;
+        try {
+            const charge = await stripe.charges.retrieve(refund.charge);
+            refundedAmount = charge.amount_refunded / 100;
+        } catch (err) {
+            logger.warn("Refunded total could not be read from Stripe", { refundId: refund.id, err: err.message });
+            refundedAmount = roundMoney((payment.refundedAmount || 0) + value);
+        }
+        const paymentStatus = refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+        const record = {
+            refundId: refund.id,
+            amount: value,
+            reason: reason || null,
+            status: refund.status,
+            requestedBy,
+            createdAt: new Date(),
+        };
+
+        await paymentCollection.updateOne(
+            { _id: payment._id, "refunds.refundId": { $ne: refund.id } },
+            { $push: { refunds: record } }
+        );
+        // A newer total, from another refund or the charge.refunded webhook, may already be stored
+        const updated = await paymentCollection.updateOne(
+            { _id: payment._id, ...notBelowRefundedAmount(refundedAmount) },
+            { $set: { refundedAmount, paymentStatus, refundedAt: record.createdAt } }
+        );
+        if (updated.matchedCount) {
+            await ordersCollection.updateOne(
+                { transactionId: payment.transactionId },
+                { $set: { paymentStatus } }
+            );
+        }
+        await notify("order.refunded", payment.customerEmail, {
+            orderId: payment.orderId,
+            amount: value,
+            currency: payment.currency,
+        });
+
+        return { ...record, refundedAmount, paymentStatus };
+    }
+
+    return { issueRefund };
+}
+
+module.exports = { REFUND_REASONS, refundableAmount, notBelowRefundedAmount, createRefunds };
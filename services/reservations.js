@@ -0,0 +1,30 @@
+// ======================================================
+// RESERVATIONS
+// ======================================================
+// An open order holds copies (services/inventory.js) and maybe a coupon use
+// (services/coupons.js) until it is paid or its reservation lapses. A lapsed
+// order stays payable; its next checkout reserves both again.
+function createReservations({ ordersCollection, releaseStock, releaseCoupon }) {
+    // Checking unpaid in the release itself lets a payment landing meanwhile win
+    async function releaseLapsedReservation(orderId) {
+        if (!(await releaseStock(orderId, { paymentStatus: "unpaid" }))) return false;
+        await releaseCoupon(orderId);
+        return true;
+    }
+
+    async function releaseExpiredReservations() {
+        const expired = await ordersCollection
+            .find({ stockReserved: true, paymentStatus: "unpaid", reservedUntil: { $lt: new Date() } })
+            .project({ _id: 1 })
+            .toArray();
+
+        for (const { _id } of expired) {
+            await releaseLapsedReservation(_id);
+        }
+        return expired.length;
+    }
+
+    return { releaseLapsedReservation, releaseExpiredReservations };
+}
+
+module.exports = { createReservations };
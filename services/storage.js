@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const express = require('express');
+
+// ======================================================
+// ASSET STORAGE
+// ======================================================
+// A storage backend is anything with `put(key, body, contentType)`, which
+// resolves to the public URL of the stored file, and `remove(keys)`. Keys are
+// "/"-separated paths such as "books/<id>/cover-<hash>-small.webp" built by
+// the server, never by clients. Backends that serve their files through this
+// app also expose `handler`, which createApp mounts on ASSET_ROUTE.
+//
+// Paid downloads live in a second, private backend (`public: false`): it has
+// no handler, put() resolves to null, and files are only read back through
+// `stat(key)` (resolving to { size } or null) and `createReadStream(key, { start, end })`.
+const ASSET_ROUTE = "/assets";
+
+// Files are named after their content, so they can be cached forever
+function createDiskStorage({ dir, baseUrl = ASSET_ROUTE, public: isPublic = true }) {
+    const fileOf = key => path.join(dir, ...key.split("/"));
+
+    const storage = {
+        name: "disk",
+        async put(key, body) {
+            const file = fileOf(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+            return isPublic ? `${baseUrl}/${key}` : null;
+        },
+        async remove(keys) {
+            await Promise.all(keys.map(key => fs.rm(fileOf(key), { force: true })));
+        },
+        async stat(key) {
+            try {
+                const { size } = await fs.stat(fileOf(key));
+                return { size };
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+        createReadStream(key, range) {
+            return createReadStream(fileOf(key), range);
+        },
+    };
+    if (isPublic) storage.handler = express.static(dir, { immutable: true, maxAge: "365d", index: false });
+    return storage;
+}
+
+// ASSET_STORAGE=disk (default) with ASSET_DIR (default ./uploads) and ASSET_BASE_URL,
+// the public URL ASSET_ROUTE is reachable under (default the relative "/assets")
+function createStorageFromEnv(env = process.env) {
+    switch (env.ASSET_STORAGE || "disk") {
+        case "disk":
+            return createDiskStorage({
+                dir: env.ASSET_DIR || path.join(process.cwd(), "uploads"),
+                baseUrl: env.ASSET_BASE_URL || ASSET_ROUTE,
+            });
+        default:
+            throw new Error(`Unknown ASSET_STORAGE "${env.ASSET_STORAGE}"`);
+    }
+}
+
+// The private backend for paid downloads: PRIVATE_ASSET_DIR (default ./private-uploads)
+// with disk storage. It must never be inside ASSET_DIR, which is served as it is.
+function createPrivateStorageFromEnv(env = process.env) {
+    switch (env.ASSET_STORAGE || "disk") {
+        case "disk":
+            return createDiskStorage({ dir: env.PRIVATE_ASSET_DIR || path.join(process.cwd(), "private-uploads"), public: false });
+        default:
+            throw new Error(`Unknown ASSET_STORAGE "${env.ASSET_STORAGE}"`);
+    }
+}
+
+module.exports = { ASSET_ROUTE, createDiskStorage, createStorageFromEnv, createPrivateStorageFromEnv };
@@ -0,0 +1,60 @@
+const { logger } = require('../lib/logger');
+
+// ======================================================
+// WISHLIST ALERTS
+// ======================================================
+// Customers opt in per wishlist item with `priceDropAlert` and
+// `availabilityAlert`. Alerts are checked when a book is edited, and only
+// sent for books that are published afterwards.
+
+// A book can be bought when it is published and either untracked or in stock
+function isAvailable(book) {
+    return book.status === "published" && (typeof book.stock !== "number" || book.stock > 0);
+}
+
+function createWishlistAlerts({ wishlistCollection, notify }) {
+    // Compares the book before and after an update and emails the opted-in wishlisters
+    async function sendWishlistAlerts(before, after) {
+        try {
+            // Customers can't see or buy unpublished books, so nothing about them is worth an email
+            if (after.status !== "published") return 0;
+
+            const priceDropped = typeof before.price === "number" && after.price < before.price;
+            const becameAvailable = !isAvailable(before) && isAvailable(after);
+            if (!priceDropped && !becameAvailable) return 0;
+
+            const alerts = [];
+            if (priceDropped) alerts.push("priceDropAlert");
+            if (becameAvailable) alerts.push("availabilityAlert");
+
+            const bookId = after._id.toString();
+            const items = await wishlistCollection
+                .find({ bookId, $or: alerts.map(alert => ({ [alert]: true })) })
+                .toArray();
+
+            const data = {
+                bookId,
+                bookTitle: after.title,
+                oldPrice: before.price,
+                price: after.price,
+            };
+            for (const item of items) {
+                if (priceDropped && item.priceDropAlert) await notify("wishlist.price_drop", item.customerEmail, data);
+                if (becameAvailable && item.availabilityAlert) await notify("wishlist.available", item.customerEmail, data);
+            }
+
+            await wishlistCollection.updateMany(
+                { _id: { $in: items.map(item => item._id) } },
+                { $set: { lastAlertAt: new Date() } }
+            );
+            return items.length;
+        } catch (err) {
+            logger.error("Wishlist alert failed", { err });
+            return 0;
+        }
+    }
+
+    return { sendWishlistAlerts };
+}
+
+module.exports = { isAvailable, createWishlistAlerts };
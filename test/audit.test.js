@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+});
+
+const admin = authAs("admin@test.dev");
+const librarian = authAs("librarian@test.dev");
+
+function auditEntries(filter = {}) {
+    return server.db.collection("audit_log").find(filter).toArray();
+}
+
+describe("audit log entries", () => {
+    test("records role changes with actor, diff, IP and time", async () => {
+        const userId = await seedUser(server.db, "reader@test.dev");
+
+        await request(server.app).patch(`/users/role/${userId}`).set(admin).send({ role: "librarian" });
+
+        const [entry] = await auditEntries();
+        expect(entry).toMatchObject({
+            action: "user.role_changed",
+            actor: { uid: "uid-admin@test.dev", email: "admin@test.dev", role: "admin" },
+            target: { type: "users", id: userId.toString() },
+            changes: { role: { before: "user", after: "librarian" } },
+        });
+        expect(entry.ip).toBeTruthy();
+        expect(entry.at).toBeInstanceOf(Date);
+    });
+
+    test("skips updates that change nothing", async () => {
+        const userId = await seedUser(server.db, "reader@test.dev");
+        await request(server.app).patch(`/users/role/${userId}`).set(admin).send({ role: "user" });
+        expect(await auditEntries()).toEqual([]);
+    });
+
+    test("records deactivations and deletions", async () => {
+        const userId = await seedUser(server.db, "reader@test.dev");
+        const book = await seedBook(server.db);
+
+        await request(server.app).delete(`/users/${userId}`).set(admin);
+        await request(server.app).delete(`/books/${book.id}`).set(admin);
+
+        const [user, deletedBook] = await auditEntries();
+        expect(user).toMatchObject({ action: "user.deactivated", changes: { status: { before: null, after: "deactivated" } } });
+        expect(deletedBook).toMatchObject({ action: "book.deleted", target: { type: "books", id: book.id } });
+    });
+
+    test("records book creation and only the changed fields of an update", async () => {
+        const created = await request(server.app)
+            .post("/books")
+            .set(librarian)
+            .send({ title: "Dune", author: "Frank Herbert", price: 10 });
+        await request(server.app).put(`/books/${created.body.insertedId}`).set(librarian).send({ price: 8, title: "Dune" });
+
+        const [create, update] = await auditEntries();
+        expect(create).toMatchObject({ action: "book.created", actor: { email: "librarian@test.dev", role: "librarian" } });
+        expect(update.action).toBe("book.updated");
+        expect(update.changes).toEqual({ price: { before: 10, after: 8 } });
+    });
+
+    test("does not record refused changes", async () => {
+        const book = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        const res = await request(server.app).put(`/books/${book.id}`).set(librarian).send({ price: 1 });
+        expect(res.status).toBe(404);
+        expect(await auditEntries()).toEqual([]);
+    });
+
+    test("records staff order status changes but not customer cancellations", async () => {
+        const book = await seedBook(server.db);
+        const staffOrder = await seedOrder(server.db, { bookId: book.id });
+        const ownOrder = await seedOrder(server.db, { bookId: book.id });
+
+        await request(server.app).patch(`/orders/${staffOrder.id}`).set(librarian).send({ status: "confirmed" });
+        await request(server.app).patch(`/orders/${ownOrder.id}`).set(authAs("reader@test.dev")).send({ status: "cancelled" });
+
+        const entries = await auditEntries();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({
+            action: "order.status_changed",
+            target: { type: "orders", id: staffOrder.id },
+            changes: { status: { before: "pending", after: "confirmed" } },
+        });
+    });
+});
+
+describe("GET /audit-log", () => {
+    async function seedEntries() {
+        const log = server.db.collection("audit_log");
+        await log.insertMany([
+            { action: "user.deleted", actor: { email: "admin@test.dev" }, target: { type: "users", id: "u1" }, at: new Date("2026-01-01") },
+            { action: "book.updated", actor: { email: "librarian@test.dev" }, target: { type: "books", id: "b1" }, at: new Date("2026-02-01") },
+            { action: "book.deleted", actor: { email: "admin@test.dev" }, target: { type: "books", id: "b1" }, at: new Date("2026-03-01") },
+        ]);
+    }
+
+    test("is admin only", async () => {
+        expect((await request(server.app).get("/audit-log").set(librarian)).status).toBe(403);
+    });
+
+    test("lists entries newest first with pagination", async () => {
+        await seedEntries();
+        const res = await request(server.app).get("/audit-log?limit=2").set(admin);
+        expect(res.body).toMatchObject({ total: 3, page: 1, limit: 2, totalPages: 2 });
+        expect(res.body.items.map(entry => entry.action)).toEqual(["book.deleted", "book.updated"]);
+    });
+
+    test("filters by actor, action, target and date range", async () => {
+        await seedEntries();
+        const actions = async query => (await request(server.app).get(`/audit-log?${query}`).set(admin)).body.items.map(entry => entry.action);
+
+        expect(await actions("actor=admin@test.dev")).toEqual(["book.deleted", "user.deleted"]);
+        expect(await actions("action=book.updated")).toEqual(["book.updated"]);
+        expect(await actions("targetType=books&targetId=b1")).toEqual(["book.deleted", "book.updated"]);
+        expect(await actions("from=2026-01-15&to=2026-02-15")).toEqual(["book.updated"]);
+    });
+
+    test("rejects invalid dates", async () => {
+        const res = await request(server.app).get("/audit-log?from=yesterday").set(admin);
+        expect(res.status).toBe(400);
+    });
+});
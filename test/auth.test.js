@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { PERMISSIONS, ROLES, permissionsOf } = require('../lib/permissions');
+const { startTestServer, authAs, seedUser } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+});
+
+describe("verifyFBToken", () => {
+    test("rejects requests without an Authorization header", async () => {
+        const res = await request(server.app).get("/cart");
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe("Unauthorized");
+    });
+
+    test("rejects tokens Firebase cannot verify", async () => {
+        const res = await request(server.app).get("/cart").set("Authorization", "Bearer forged");
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe("Invalid Token");
+    });
+
+    test("passes the decoded email on to the route", async () => {
+        const res = await request(server.app).get("/cart").set(authAs("reader@test.dev"));
+        expect(res.status).toBe(200);
+        expect(res.body.customerEmail).toBe("reader@test.dev");
+    });
+});
+
+describe("requirePermission", () => {
+    test("admin-only permissions block librarians and users", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+        await seedUser(server.db, "reader@test.dev", "user");
+
+        expect((await request(server.app).get("/users").set(authAs("admin@test.dev"))).status).toBe(200);
+        expect((await request(server.app).get("/users").set(authAs("librarian@test.dev"))).status).toBe(403);
+        expect((await request(server.app).get("/users").set(authAs("reader@test.dev"))).status).toBe(403);
+    });
+
+    test("librarian permissions are shared with admins", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+        await seedUser(server.db, "reader@test.dev", "user");
+
+        expect((await request(server.app).get("/orders").set(authAs("admin@test.dev"))).status).toBe(200);
+        expect((await request(server.app).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(200);
+        expect((await request(server.app).get("/orders").set(authAs("reader@test.dev"))).status).toBe(403);
+    });
+
+    test("rejects unknown users", async () => {
+        const res = await request(server.app).get("/books").set(authAs("nobody@test.dev"));
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe("Forbidden");
+    });
+});
+
+describe("role cache", () => {
+    let cachedApp;
+
+    beforeEach(() => {
+        process.env.ROLE_CACHE_TTL_MS = "60000";
+        cachedApp = createApp({ db: server.db, auth: server.auth, stripe: server.stripe, mailer: server.mailer });
+        process.env.ROLE_CACHE_TTL_MS = "0";
+    });
+
+    test("answers repeated checks without reading the user again", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(200);
+        await server.db.collection("users").updateOne({ email: "librarian@test.dev" }, { $set: { role: "user" } });
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(200);
+    });
+
+    test("is cleared when an admin changes the role", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        const id = await seedUser(server.db, "librarian@test.dev", "librarian");
+
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(200);
+        await request(cachedApp).patch(`/users/role/${id}`).set(authAs("admin@test.dev")).send({ role: "user" });
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(403);
+    });
+
+    test("is cleared when an account is deactivated", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        const id = await seedUser(server.db, "librarian@test.dev", "librarian");
+
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(200);
+        await request(cachedApp).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+        // The revoked token alone would answer 401; this checks the cached role
+        server.auth.revoked.clear();
+        expect((await request(cachedApp).get("/orders").set(authAs("librarian@test.dev"))).status).toBe(403);
+    });
+});
+
+describe("lib/permissions", () => {
+    test("every role only grants declared permissions", () => {
+        for (const role of ROLES) {
+            for (const permission of permissionsOf(role)) expect(PERMISSIONS).toHaveProperty([permission]);
+        }
+    });
+});
+
+describe("service routes", () => {
+    test("GET /ping answers pong", async () => {
+        const res = await request(server.app).get("/ping");
+        expect(res.text).toBe("pong");
+    });
+
+    test("GET / reports the server is running", async () => {
+        const res = await request(server.app).get("/");
+        expect(res.text).toBe("SwiftBook server is running");
+    });
+
+    test("answers 503 while the database is not ready", async () => {
+        const app = createApp({ db: server.db, auth: {}, stripe: server.stripe, isReady: () => false });
+        const res = await request(app).get("/books/published");
+        expect(res.status).toBe(503);
+    });
+});
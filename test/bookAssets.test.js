@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { startTestServer, authAs, seedUser, seedBook } = require('./helpers');
+
+let server;
+let png;
+
+beforeAll(async () => {
+    server = await startTestServer();
+    png = await sharp({ create: { width: 800, height: 1200, channels: 3, background: "#336699" } }).png().toBuffer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+const librarian = authAs("librarian@test.dev");
+
+function uploadCover(book, buffer = png, as = librarian) {
+    return request(server.app).post(`/books/${book.id}/cover`).set(as).attach("file", buffer, "cover.png");
+}
+
+function storedFile(url) {
+    return path.join(server.assetDir, ...url.replace(/^\/assets\//, "").split("/"));
+}
+
+describe("POST /books/:id/cover", () => {
+    test("stores the cover in every size and links it from the book", async () => {
+        const book = await seedBook(server.db);
+        const res = await uploadCover(book);
+
+        expect(res.status).toBe(200);
+        expect(Object.keys(res.body.urls)).toEqual(["small", "medium", "large"]);
+        expect(res.body.urls.small).toMatch(/^\/assets\/books\/[0-9a-f]{24}\/cover-[0-9a-f]{16}-small\.webp$/);
+
+        const small = await sharp(storedFile(res.body.urls.small)).metadata();
+        expect(small).toMatchObject({ format: "webp", width: 160 });
+        // Never enlarged past the original
+        expect((await sharp(storedFile(res.body.urls.large)).metadata()).width).toBe(800);
+
+        const stored = await server.db.collection("books").findOne({ _id: book._id });
+        expect(stored.image).toBe(res.body.urls.large);
+        expect(stored.cover).toMatchObject({ width: 800, height: 1200 });
+    });
+
+    test("serves the stored files", async () => {
+        const book = await seedBook(server.db);
+        const { body } = await uploadCover(book);
+
+        const res = await request(server.app).get(body.urls.medium);
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toBe("image/webp");
+        expect(res.headers["cache-control"]).toMatch(/immutable/);
+    });
+
+    test("removes the previous cover's files when replaced", async () => {
+        const book = await seedBook(server.db);
+        const first = await uploadCover(book);
+        const other = await sharp({ create: { width: 300, height: 400, channels: 3, background: "#ffffff" } }).jpeg().toBuffer();
+        const second = await uploadCover(book, other);
+
+        expect(second.body.urls.small).not.toBe(first.body.urls.small);
+        expect(fs.existsSync(storedFile(first.body.urls.small))).toBe(false);
+        expect(fs.existsSync(storedFile(second.body.urls.small))).toBe(true);
+    });
+
+    test("rejects files that are not images", async () => {
+        const book = await seedBook(server.db);
+        const res = await uploadCover(book, Buffer.from("<svg></svg>"));
+        expect(res.status).toBe(415);
+    });
+
+    test("rejects requests that are not multipart", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).post(`/books/${book.id}/cover`).set(librarian).send({ image: "x" });
+        expect(res.status).toBe(415);
+    });
+
+    test("only lets the owning librarian upload", async () => {
+        const book = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        expect((await uploadCover(book)).status).toBe(404);
+        expect((await uploadCover(book, png, authAs("reader@test.dev"))).status).toBe(403);
+    });
+});
+
+describe("POST /books/:id/sample", () => {
+    test("accepts PDFs only", async () => {
+        const book = await seedBook(server.db);
+        const pdf = Buffer.from("%PDF-1.4\n%sample\n");
+
+        const res = await request(server.app).post(`/books/${book.id}/sample`).set(librarian).attach("file", pdf, "sample.pdf");
+        expect(res.status).toBe(200);
+        expect(fs.readFileSync(storedFile(res.body.url))).toEqual(pdf);
+
+        const rejected = await request(server.app).post(`/books/${book.id}/sample`).set(librarian).attach("file", png, "sample.pdf");
+        expect(rejected.status).toBe(415);
+    });
+});
+
+describe("removing assets", () => {
+    test("DELETE /books/:id/cover removes the files and the image link", async () => {
+        const book = await seedBook(server.db);
+        const { body } = await uploadCover(book);
+
+        const res = await request(server.app).delete(`/books/${book.id}/cover`).set(librarian);
+        expect(res.status).toBe(200);
+        expect(fs.existsSync(storedFile(body.urls.large))).toBe(false);
+
+        const stored = await server.db.collection("books").findOne({ _id: book._id });
+        expect(stored.cover).toBeUndefined();
+        expect(stored.image).toBeUndefined();
+    });
+
+    test("DELETE /books/:id cleans up the book's files", async () => {
+        const book = await seedBook(server.db);
+        const { body } = await uploadCover(book);
+
+        await request(server.app).delete(`/books/${book.id}`).set(authAs("admin@test.dev"));
+        for (const url of Object.values(body.urls)) expect(fs.existsSync(storedFile(url))).toBe(false);
+    });
+});
@@ -0,0 +1,294 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "other@test.dev", "librarian");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+describe("POST /books", () => {
+    test("stores the book under the librarian who added it", async () => {
+        const res = await request(server.app)
+            .post("/books")
+            .set(authAs("librarian@test.dev"))
+            .send({ title: "Dune", author: "Frank Herbert", price: "9.50", status: "published" });
+        expect(res.status).toBe(200);
+
+        const book = await server.db.collection("books").findOne({ title: "Dune" });
+        expect(book.librarianEmail).toBe("librarian@test.dev");
+        expect(book.price).toBe(9.5);
+    });
+
+    test("ignores a client-supplied owner", async () => {
+        const res = await request(server.app)
+            .post("/books")
+            .set(authAs("librarian@test.dev"))
+            .send({ title: "Dune", author: "Frank Herbert", price: 9.5, librarianEmail: "other@test.dev" });
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([{ field: "librarianEmail", message: "cannot be set by clients" }]);
+    });
+
+    test("requires title, author and price", async () => {
+        const res = await request(server.app).post("/books").set(authAs("librarian@test.dev")).send({});
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(error => error.field).sort()).toEqual(["author", "price", "title"]);
+    });
+
+    test("is closed to plain users", async () => {
+        const res = await request(server.app)
+            .post("/books")
+            .set(authAs("reader@test.dev"))
+            .send({ title: "Dune", author: "Frank Herbert", price: 9.5 });
+        expect(res.status).toBe(403);
+    });
+});
+
+describe("GET /books", () => {
+    test("shows librarians only their own books", async () => {
+        await seedBook(server.db, { title: "Mine" });
+        await seedBook(server.db, { title: "Theirs", librarianEmail: "other@test.dev" });
+
+        const res = await request(server.app).get("/books").set(authAs("librarian@test.dev"));
+        expect(res.body.items.map(book => book.title)).toEqual(["Mine"]);
+    });
+
+    test("shows admins every book, optionally by status", async () => {
+        await seedBook(server.db, { title: "Mine" });
+        await seedBook(server.db, { title: "Draft", librarianEmail: "other@test.dev", status: "unpublished" });
+
+        const all = await request(server.app).get("/books").set(authAs("admin@test.dev"));
+        expect(all.body.total).toBe(2);
+
+        const drafts = await request(server.app).get("/books?status=unpublished").set(authAs("admin@test.dev"));
+        expect(drafts.body.items.map(book => book.title)).toEqual(["Draft"]);
+    });
+});
+
+describe("GET /books/published", () => {
+    test("only lists published books", async () => {
+        await seedBook(server.db, { title: "Out" });
+        await seedBook(server.db, { title: "Hidden", status: "unpublished" });
+
+        const res = await request(server.app).get("/books/published");
+        expect(res.body.items.map(book => book.title)).toEqual(["Out"]);
+        expect(res.body.total).toBe(1);
+    });
+
+    test("pages with page and limit", async () => {
+        for (let i = 1; i <= 5; i++) await seedBook(server.db, { title: `Book ${i}` });
+
+        const res = await request(server.app).get("/books/published?page=2&limit=2");
+        expect(res.body).toMatchObject({ total: 5, limit: 2, page: 2, totalPages: 3 });
+        expect(res.body.items.map(book => book.title)).toEqual(["Book 3", "Book 2"]);
+    });
+
+    test("walks the listing with cursors", async () => {
+        for (const price of [5, 15, 10]) await seedBook(server.db, { title: `€${price}`, price });
+
+        const first = await request(server.app).get("/books/published?sort=price&limit=2");
+        expect(first.body.items.map(book => book.price)).toEqual([5, 10]);
+
+        const second = await request(server.app)
+            .get(`/books/published?sort=price&limit=2&cursor=${first.body.nextCursor}`);
+        expect(second.body.items.map(book => book.price)).toEqual([15]);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    test("filters by category, author and price range", async () => {
+        await seedBook(server.db, { title: "A", category: "sci-fi", author: "Ursula K. Le Guin", price: 8 });
+        await seedBook(server.db, { title: "B", category: "sci-fi", author: "Isaac Asimov", price: 20 });
+        await seedBook(server.db, { title: "C", category: "history", author: "Mary Beard", price: 8 });
+
+        const res = await request(server.app).get("/books/published?category=sci-fi&author=le%20guin&maxPrice=10");
+        expect(res.body.items.map(book => book.title)).toEqual(["A"]);
+    });
+
+    test("searches title, author and description", async () => {
+        await seedBook(server.db, { title: "Dune", author: "Frank Herbert" });
+        await seedBook(server.db, { title: "Emma", author: "Jane Austen" });
+
+        const res = await request(server.app).get("/books/published?q=austen");
+        expect(res.body.items.map(book => book.title)).toEqual(["Emma"]);
+    });
+
+    test("rejects unknown sort fields and bad cursors", async () => {
+        expect((await request(server.app).get("/books/published?sort=title")).status).toBe(400);
+        expect((await request(server.app).get("/books/published?cursor=nonsense")).status).toBe(400);
+        expect((await request(server.app).get("/books/published?minPrice=cheap")).status).toBe(400);
+    });
+});
+
+describe("GET /books/published/:id", () => {
+    test("returns a single book", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).get(`/books/published/${book.id}`);
+        expect(res.body.title).toBe(book.title);
+    });
+
+    test("leaves out where the files are stored", async () => {
+        const book = await seedBook(server.db, {
+            cover: { keys: ["books/x/cover-large.webp"], urls: { large: "/assets/books/x/cover-large.webp" } },
+            ebook: { keys: ["books/x/ebook.pdf"], format: "pdf", fileName: "manuscript-final.pdf", bytes: 1000 },
+        });
+
+        for (const path of [`/books/published/${book.id}`, "/books/published"]) {
+            const res = await request(server.app).get(path);
+            const found = res.body.items ? res.body.items[0] : res.body;
+            expect(found.cover).toEqual({ urls: { large: "/assets/books/x/cover-large.webp" } });
+            expect(found.ebook).toEqual({ format: "pdf", bytes: 1000 });
+        }
+    });
+
+    test("answers 404 and 400 for missing, unpublished and malformed ids", async () => {
+        const unpublished = await seedBook(server.db, { status: "unpublished" });
+        expect((await request(server.app).get(`/books/published/${unpublished.id}`)).status).toBe(404);
+        expect((await request(server.app).get("/books/published/64b7f0c2a1b2c3d4e5f60718")).status).toBe(404);
+        expect((await request(server.app).get("/books/published/not-an-id")).status).toBe(400);
+    });
+});
+
+describe("PUT /books/:id", () => {
+    test("lets the owner update their book", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app)
+            .put(`/books/${book.id}`)
+            .set(authAs("librarian@test.dev"))
+            .send({ price: 14 });
+
+        expect(res.status).toBe(200);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).price).toBe(14);
+    });
+
+    test("hides other librarians' books", async () => {
+        const book = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        const res = await request(server.app)
+            .put(`/books/${book.id}`)
+            .set(authAs("librarian@test.dev"))
+            .send({ price: 1 });
+
+        expect(res.status).toBe(404);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).price).toBe(book.price);
+    });
+
+    test("lets admins update any book", async () => {
+        const book = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        const res = await request(server.app)
+            .put(`/books/${book.id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ status: "unpublished" });
+        expect(res.status).toBe(200);
+    });
+
+    test("rejects an empty update", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).put(`/books/${book.id}`).set(authAs("librarian@test.dev")).send({});
+        expect(res.status).toBe(400);
+    });
+});
+
+describe("DELETE /books/:id", () => {
+    test("is admin only", async () => {
+        const book = await seedBook(server.db);
+
+        const denied = await request(server.app).delete(`/books/${book.id}`).set(authAs("librarian@test.dev"));
+        expect(denied.status).toBe(403);
+
+        const res = await request(server.app).delete(`/books/${book.id}`).set(authAs("admin@test.dev"));
+        expect(res.body.deletedCount).toBe(1);
+    });
+
+    test("answers 400 for malformed ids", async () => {
+        const res = await request(server.app).delete("/books/not-an-id").set(authAs("admin@test.dev"));
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe("Invalid ID");
+    });
+});
+
+describe("POST /books/import", () => {
+    const csv = [
+        "isbn,title,author,price,stock,status",
+        "978-0-13-595705-9,The Pragmatic Programmer,Andrew Hunt,39.99,5,published",
+        '9780262033848,"Introduction to Algorithms, 3rd ed.",Thomas Cormen,80,,published',
+    ].join("\n");
+
+    function importBooks(body, { as = "librarian@test.dev", query = "" } = {}) {
+        const req = request(server.app).post(`/books/import${query}`).set(authAs(as));
+        return typeof body === "string" ? req.set("Content-Type", "text/csv").send(body) : req.send(body);
+    }
+
+    test("creates books from a CSV file", async () => {
+        const res = await importBooks(csv);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ dryRun: false, total: 2, created: 2, updated: 0, failed: 0 });
+
+        const book = await server.db.collection("books").findOne({ isbn: "9780135957059" });
+        expect(book).toMatchObject({ title: "The Pragmatic Programmer", price: 39.99, stock: 5, librarianEmail: "librarian@test.dev" });
+        expect((await server.db.collection("books").findOne({ isbn: "9780262033848" })).title).toBe("Introduction to Algorithms, 3rd ed.");
+    });
+
+    test("updates books with a known ISBN from a JSON array", async () => {
+        const book = await seedBook(server.db, { isbn: "9780135957059" });
+        const res = await importBooks([{ isbn: "978-0135957059", price: 9.5 }]);
+
+        expect(res.body).toMatchObject({ created: 0, updated: 1 });
+        const updated = await server.db.collection("books").findOne({ _id: book._id });
+        expect(updated).toMatchObject({ price: 9.5, title: book.title });
+    });
+
+    test("a dry run reports per-row errors and writes nothing", async () => {
+        const res = await importBooks(
+            [
+                { isbn: "9780135957059", title: "Ok", author: "A", price: 1 },
+                { isbn: "123", title: "Bad ISBN", author: "A", price: 1 },
+                { isbn: "9780262033848", title: "No price", author: "A" },
+                { isbn: "9780135957059", title: "Again", author: "A", price: 1 },
+            ],
+            { query: "?dryRun=true" }
+        );
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ dryRun: true, total: 4, created: 1, failed: 3 });
+        expect(res.body.rows[1].errors).toEqual([{ field: "isbn", message: "must be an ISBN-10 or ISBN-13" }]);
+        expect(res.body.rows[2].errors).toEqual([{ field: "price", message: "is required" }]);
+        expect(res.body.rows[3].errors).toEqual([{ field: "isbn", message: "repeats row 1" }]);
+        expect(await server.db.collection("books").countDocuments()).toBe(0);
+    });
+
+    test("imports nothing when a row is invalid", async () => {
+        const res = await importBooks([
+            { isbn: "9780135957059", title: "Ok", author: "A", price: 1 },
+            { isbn: "9780262033848", title: "Free?", author: "A", price: -1 },
+        ]);
+
+        expect(res.status).toBe(422);
+        expect(res.body.failed).toBe(1);
+        expect(await server.db.collection("books").countDocuments()).toBe(0);
+    });
+
+    test("does not let librarians overwrite another librarian's book", async () => {
+        await seedBook(server.db, { isbn: "9780135957059", librarianEmail: "other@test.dev" });
+        const res = await importBooks([{ isbn: "9780135957059", price: 1 }]);
+        expect(res.status).toBe(422);
+        expect(res.body.rows[0].errors[0].message).toBe("belongs to another librarian's book");
+
+        const admin = await importBooks([{ isbn: "9780135957059", price: 1 }], { as: "admin@test.dev" });
+        expect(admin.body.updated).toBe(1);
+    });
+
+    test("is refused for customers", async () => {
+        expect((await importBooks(csv, { as: "reader@test.dev" })).status).toBe(403);
+    });
+});
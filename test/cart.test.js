@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedBook } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+});
+
+const reader = authAs("reader@test.dev");
+
+describe("cart items", () => {
+    test("starts empty", async () => {
+        const res = await request(server.app).get("/cart").set(reader);
+        expect(res.body).toEqual({ customerEmail: "reader@test.dev", items: [] });
+    });
+
+    test("adds books and bumps the quantity of repeats", async () => {
+        const book = await seedBook(server.db);
+
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+        const res = await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id, quantity: 2 });
+
+        expect(res.body.items).toHaveLength(1);
+        expect(res.body.items[0]).toMatchObject({ bookId: book.id, bookTitle: book.title, quantity: 3 });
+    });
+
+    test("only accepts published books", async () => {
+        const book = await seedBook(server.db, { status: "unpublished" });
+        const res = await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+        expect(res.status).toBe(404);
+    });
+
+    test("validates the book id and quantity", async () => {
+        const book = await seedBook(server.db);
+        expect((await request(server.app).post("/cart/items").set(reader).send({ bookId: "nope" })).status).toBe(400);
+        expect((await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id, quantity: 0 })).status).toBe(400);
+        expect((await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id, quantity: 100 })).status).toBe(400);
+    });
+
+    test("sets a line's quantity", async () => {
+        const book = await seedBook(server.db);
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+
+        const res = await request(server.app).patch(`/cart/items/${book.id}`).set(reader).send({ quantity: 4 });
+        expect(res.body.items[0].quantity).toBe(4);
+
+        const missing = await request(server.app).patch("/cart/items/64b7f0c2a1b2c3d4e5f60718").set(reader).send({ quantity: 1 });
+        expect(missing.status).toBe(404);
+    });
+
+    test("removes a line and clears the cart", async () => {
+        const first = await seedBook(server.db, { title: "First" });
+        const second = await seedBook(server.db, { title: "Second" });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: first.id });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: second.id });
+
+        const removed = await request(server.app).delete(`/cart/items/${first.id}`).set(reader);
+        expect(removed.body.items.map(item => item.bookTitle)).toEqual(["Second"]);
+
+        const cleared = await request(server.app).delete("/cart").set(reader);
+        expect(cleared.body.deletedCount).toBe(1);
+        expect((await request(server.app).get("/cart").set(reader)).body.items).toEqual([]);
+    });
+});
+
+describe("POST /cart/checkout", () => {
+    test("turns the cart into one order and one Stripe session", async () => {
+        const first = await seedBook(server.db, { title: "First", price: 10, stock: 5 });
+        const second = await seedBook(server.db, { title: "Second", price: 2.5 });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: first.id, quantity: 2 });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: second.id });
+
+        const res = await request(server.app).post("/cart/checkout").set(reader).send({ customerName: "Reader" });
+        expect(res.status).toBe(200);
+        expect(res.body.url).toMatch(/^https:\/\/checkout\.stripe\.test\//);
+
+        const params = server.stripe.checkout.sessions.create.mock.calls[0][0];
+        expect(params.customer_email).toBe("reader@test.dev");
+        expect(params.line_items.map(item => [item.price_data.unit_amount, item.quantity])).toEqual([[1000, 2], [250, 1]]);
+        expect(params.metadata.orderId).toBe(res.body.orderId);
+        expect(params.metadata.bookId).toBeUndefined();
+
+        const order = await server.db.collection("orders").findOne({});
+        expect(order).toMatchObject({ customerName: "Reader", amount: 22.5, currency: "EUR", checkoutSessionId: "cs_test_1" });
+        expect(order.items).toHaveLength(2);
+        expect((await server.db.collection("books").findOne({ _id: first._id })).stock).toBe(3);
+        expect(await server.db.collection("carts").countDocuments()).toBe(0);
+    });
+
+    test("refuses an empty cart", async () => {
+        const res = await request(server.app).post("/cart/checkout").set(reader);
+        expect(res.status).toBe(400);
+    });
+
+    test("keeps the cart and rolls back the order when Stripe fails", async () => {
+        const book = await seedBook(server.db, { stock: 1 });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+        server.stripe.checkout.sessions.create.mockRejectedValueOnce(new Error("Stripe is down"));
+
+        const res = await request(server.app).post("/cart/checkout").set(reader);
+
+        expect(res.status).toBe(500);
+        expect(await server.db.collection("orders").countDocuments()).toBe(0);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+        expect((await request(server.app).get("/cart").set(reader)).body.items).toHaveLength(1);
+    });
+
+    test("answers 409 when a book sold out while it sat in the cart", async () => {
+        const book = await seedBook(server.db, { stock: 1 });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id, quantity: 2 });
+
+        const res = await request(server.app).post("/cart/checkout").set(reader);
+        expect(res.status).toBe(409);
+    });
+
+    test("answers 409 when a book was unpublished while it sat in the cart", async () => {
+        const book = await seedBook(server.db, { stock: 1 });
+        await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+        await server.db.collection("books").updateOne({ _id: book._id }, { $set: { status: "unpublished" } });
+
+        const res = await request(server.app).post("/cart/checkout").set(reader);
+        expect(res.status).toBe(409);
+        expect(res.body.message).toMatch(/not for sale/);
+        expect(await server.db.collection("orders").countDocuments()).toBe(0);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+    });
+});
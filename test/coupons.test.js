@@ -0,0 +1,270 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, signedEvent } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+const admin = authAs("admin@test.dev");
+const reader = authAs("reader@test.dev");
+
+function createCoupon(body) {
+    return request(server.app).post("/coupons").set(admin).send({ type: "percentage", value: 10, ...body });
+}
+
+function placeOrder(auth, body) {
+    return request(server.app).post("/orders").set(auth).send(body);
+}
+
+function stripeTotal(lineItems) {
+    return lineItems.reduce((sum, line) => sum + line.price_data.unit_amount * line.quantity, 0);
+}
+
+describe("coupon admin", () => {
+    test("creates coupons with upper-cased, unique codes", async () => {
+        const res = await createCoupon({ code: "spring-25", value: 25, expiresAt: "2030-01-01T00:00:00Z" });
+        expect(res.status).toBe(200);
+
+        const coupon = await server.db.collection("coupons").findOne({});
+        expect(coupon).toMatchObject({ code: "SPRING-25", active: true, redemptionCount: 0, customers: [] });
+        expect(coupon.expiresAt).toBeInstanceOf(Date);
+
+        expect((await createCoupon({ code: "Spring-25" })).status).toBe(409);
+    });
+
+    test("rejects invalid coupons", async () => {
+        expect((await createCoupon({ code: "BIG", value: 150 })).status).toBe(400);
+        expect((await createCoupon({ code: "no spaces" })).status).toBe(400);
+        expect((await createCoupon({ code: "BAD", type: "bogo" })).status).toBe(400);
+        expect((await createCoupon({ code: "BAD", bookIds: ["nope"] })).status).toBe(400);
+        expect((await createCoupon({ code: "BAD", expiresAt: "someday" })).status).toBe(400);
+    });
+
+    test("is admin only", async () => {
+        const res = await request(server.app).post("/coupons").set(reader).send({ code: "MINE", type: "fixed", value: 5 });
+        expect(res.status).toBe(403);
+        expect((await request(server.app).get("/coupons").set(reader)).status).toBe(403);
+    });
+
+    test("updates terms but never the code, and deletes", async () => {
+        const { body } = await createCoupon({ code: "SUMMER" });
+
+        const update = await request(server.app).patch(`/coupons/${body.insertedId}`).set(admin).send({ value: 15, active: false });
+        expect(update.status).toBe(200);
+        expect(await server.db.collection("coupons").findOne({})).toMatchObject({ value: 15, active: false });
+
+        expect((await request(server.app).patch(`/coupons/${body.insertedId}`).set(admin).send({ code: "WINTER" })).status).toBe(400);
+        expect((await request(server.app).patch(`/coupons/${body.insertedId}`).set(admin).send({ value: 101 })).status).toBe(400);
+
+        const removed = await request(server.app).delete(`/coupons/${body.insertedId}`).set(admin);
+        expect(removed.body.deletedCount).toBe(1);
+        expect((await request(server.app).get(`/coupons/${body.insertedId}`).set(admin)).status).toBe(404);
+    });
+});
+
+describe("redeeming coupons", () => {
+    test("charges Stripe the discounted total computed on the server", async () => {
+        const book = await seedBook(server.db, { price: 12.99 });
+        await createCoupon({ code: "SAVE20", value: 20 });
+
+        const order = await placeOrder(reader, { bookId: book.id, quantity: 3, couponCode: "save20" });
+        expect(order.status).toBe(200);
+        const stored = await server.db.collection("orders").findOne({});
+        expect(stored.coupon).toMatchObject({ code: "SAVE20", type: "percentage", value: 20 });
+        expect(stored.couponCode).toBeUndefined();
+
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.body.insertedId });
+
+        // 3 x 12.99 = 38.97, minus 7.79 is 31.18, which does not split evenly over three copies
+        const session = server.stripe.sessions.get("cs_test_1");
+        expect(stripeTotal(session.line_items)).toBe(3118);
+        expect(session.line_items.map(line => [line.price_data.unit_amount, line.quantity])).toEqual([[1040, 1], [1039, 2]]);
+        expect(session.metadata.couponCode).toBe("SAVE20");
+
+        const priced = await server.db.collection("orders").findOne({ _id: stored._id });
+        expect(priced).toMatchObject({ amount: 31.18, subtotal: 38.97, discount: 7.79 });
+        expect(priced.lineItems[0]).toMatchObject({ unitPrice: 12.99, quantity: 3, discount: 7.79 });
+    });
+
+    test("only discounts books matching the coupon's restrictions", async () => {
+        const novel = await seedBook(server.db, { title: "Dune", price: 20, category: "fiction" });
+        const manual = await seedBook(server.db, { title: "SICP", price: 30, category: "computing" });
+        await createCoupon({ code: "FICTION5", type: "fixed", value: 5, categories: ["fiction"] });
+
+        for (const book of [novel, manual]) {
+            await request(server.app).post("/cart/items").set(reader).send({ bookId: book.id });
+        }
+        const res = await request(server.app).post("/cart/checkout").set(reader).send({ couponCode: "FICTION5" });
+        expect(res.status).toBe(200);
+
+        const session = server.stripe.sessions.get("cs_test_1");
+        expect(session.line_items.map(line => line.price_data.unit_amount)).toEqual([1500, 3000]);
+
+        const refused = await placeOrder(reader, { bookId: manual.id, couponCode: "FICTION5" });
+        expect(refused.status).toBe(422);
+    });
+
+    test("applies a code to an existing order when the checkout session is created", async () => {
+        const book = await seedBook(server.db, { price: 10 });
+        await createCoupon({ code: "EUROOFF", type: "fixed", value: 1 });
+        const order = await placeOrder(reader, { bookId: book.id });
+
+        const res = await request(server.app)
+            .post("/create-checkout-session")
+            .set(reader)
+            .send({ orderId: order.body.insertedId, couponCode: "EUROOFF" });
+        expect(res.status).toBe(200);
+        expect(stripeTotal(server.stripe.sessions.get("cs_test_1").line_items)).toBe(900);
+
+        await createCoupon({ code: "OTHER" });
+        const second = await request(server.app)
+            .post("/create-checkout-session")
+            .set(reader)
+            .send({ orderId: order.body.insertedId, couponCode: "OTHER" });
+        expect(second.status).toBe(409);
+    });
+
+    test("refuses unknown, inactive and expired codes and totals below the card minimum", async () => {
+        const book = await seedBook(server.db, { price: 10 });
+        await createCoupon({ code: "OFF", active: false });
+        await createCoupon({ code: "OLD", expiresAt: "2020-01-01T00:00:00Z" });
+        await createCoupon({ code: "FREE", value: 100 });
+
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "NOPE" })).status).toBe(404);
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "OFF" })).status).toBe(404);
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "OLD" })).status).toBe(422);
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "FREE" })).status).toBe(422);
+        expect(await server.db.collection("orders").countDocuments()).toBe(0);
+    });
+
+    test("enforces the per-customer limit and gives the use back on cancellation", async () => {
+        const book = await seedBook(server.db, { stock: 5 });
+        await createCoupon({ code: "ONCE", maxRedemptionsPerCustomer: 1 });
+
+        const first = await placeOrder(reader, { bookId: book.id, couponCode: "ONCE" });
+        expect(first.status).toBe(200);
+        const second = await placeOrder(reader, { bookId: book.id, couponCode: "ONCE" });
+        expect(second.status).toBe(409);
+        // The refused order gave its copy back
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(4);
+
+        await request(server.app).patch(`/orders/${first.body.insertedId}`).set(reader).send({ status: "cancelled" });
+        expect(await server.db.collection("couponRedemptions").findOne({})).toMatchObject({ status: "released" });
+
+        const retry = await placeOrder(reader, { bookId: book.id, couponCode: "ONCE" });
+        expect(retry.status).toBe(200);
+        expect(await server.db.collection("coupons").findOne({})).toMatchObject({
+            redemptionCount: 1,
+            customers: [{ email: "reader@test.dev", count: 1 }],
+        });
+    });
+
+    test("enforces the overall limit", async () => {
+        const book = await seedBook(server.db);
+        await createCoupon({ code: "FIRST2", maxRedemptions: 2 });
+
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "FIRST2" })).status).toBe(200);
+        expect((await placeOrder(reader, { bookId: book.id, couponCode: "FIRST2" })).status).toBe(200);
+        const third = await placeOrder(authAs("late@test.dev"), { bookId: book.id, couponCode: "FIRST2" });
+        expect(third.status).toBe(409);
+        expect((await server.db.collection("coupons").findOne({})).redemptionCount).toBe(2);
+    });
+
+    test("gives the use back when the reservation lapses and takes it again at the next checkout", async () => {
+        const book = await seedBook(server.db, { stock: 5 });
+        await createCoupon({ code: "ONLY1", maxRedemptions: 1 });
+        const late = authAs("late@test.dev");
+        const coupon = () => server.db.collection("coupons").findOne({});
+        const redemption = orderId => server.db.collection("couponRedemptions").findOne({ orderId });
+
+        const order = await placeOrder(reader, { bookId: book.id, couponCode: "ONLY1" });
+        const orderId = order.body.insertedId;
+        await server.db.collection("orders").updateMany({}, { $set: { reservedUntil: new Date(Date.now() - 1000) } });
+        await server.app.locals.ctx.releaseExpiredReservations();
+        expect(await redemption(orderId)).toMatchObject({ status: "released" });
+        expect((await coupon()).redemptionCount).toBe(0);
+
+        // Someone else took the only use meanwhile
+        const other = await placeOrder(late, { bookId: book.id, couponCode: "ONLY1" });
+        expect(other.status).toBe(200);
+        const refused = await request(server.app).post("/create-checkout-session").set(reader).send({ orderId });
+        expect(refused.status).toBe(409);
+        expect(await redemption(orderId)).toMatchObject({ status: "released" });
+
+        await request(server.app).patch(`/orders/${other.body.insertedId}`).set(late).send({ status: "cancelled" });
+        const checkout = await request(server.app).post("/create-checkout-session").set(reader).send({ orderId });
+        expect(checkout.status).toBe(200);
+        expect(await redemption(orderId)).toMatchObject({ status: "reserved" });
+        expect(await coupon()).toMatchObject({
+            redemptionCount: 1,
+            customers: expect.arrayContaining([{ email: "reader@test.dev", count: 1 }]),
+        });
+    });
+
+    test("counts the use again when the payment lands just after the reservation lapsed", async () => {
+        const book = await seedBook(server.db, { price: 20 });
+        await createCoupon({ code: "HALF", value: 50, maxRedemptions: 1 });
+        const order = await placeOrder(reader, { bookId: book.id, couponCode: "HALF" });
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.body.insertedId });
+
+        await server.db.collection("orders").updateMany({}, { $set: { reservedUntil: new Date(Date.now() - 1000) } });
+        await server.app.locals.ctx.releaseExpiredReservations();
+        expect((await server.db.collection("coupons").findOne({})).redemptionCount).toBe(0);
+
+        const session = server.stripe.sessions.get("cs_test_1");
+        const { payload, signature } = signedEvent("checkout.session.completed", {
+            ...session,
+            payment_status: "paid",
+            payment_intent: "pi_test_1",
+        });
+        await request(server.app)
+            .post("/stripe/webhook")
+            .set("Content-Type", "application/json")
+            .set("Stripe-Signature", signature)
+            .send(payload);
+
+        expect(await server.db.collection("couponRedemptions").findOne({})).toMatchObject({ status: "redeemed", discount: 10 });
+        expect((await server.db.collection("coupons").findOne({})).redemptionCount).toBe(1);
+    });
+
+    test("marks the redemption used when the order is paid and reports it in admin stats", async () => {
+        const book = await seedBook(server.db, { price: 20 });
+        await createCoupon({ code: "HALF", value: 50 });
+        const order = await placeOrder(reader, { bookId: book.id, couponCode: "HALF" });
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.body.insertedId });
+
+        const session = server.stripe.sessions.get("cs_test_1");
+        const { payload, signature } = signedEvent("checkout.session.completed", {
+            ...session,
+            payment_status: "paid",
+            payment_intent: "pi_test_1",
+        });
+        await request(server.app)
+            .post("/stripe/webhook")
+            .set("Content-Type", "application/json")
+            .set("Stripe-Signature", signature)
+            .send(payload);
+
+        expect(await server.db.collection("couponRedemptions").findOne({})).toMatchObject({ status: "redeemed", discount: 10 });
+        expect(await server.db.collection("payments").findOne({})).toMatchObject({ amount: 10, couponCode: "HALF", discount: 10 });
+
+        const stats = await request(server.app).get("/admin-stats").set(admin);
+        expect(stats.body).toMatchObject({
+            couponRedemptionsCount: 1,
+            couponDiscountTotal: 10,
+            coupons: [{ code: "HALF", redemptions: 1, reserved: 0, discountTotal: 10 }],
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "other@test.dev", "librarian");
+});
+
+const admin = authAs("admin@test.dev");
+const librarian = authAs("librarian@test.dev");
+
+// Two books, one per librarian, each sold once in January and the first again in February
+async function seedSales() {
+    const mine = await seedBook(server.db, { title: "Mine", price: 10, stock: 2 });
+    const theirs = await seedBook(server.db, { title: "Theirs", price: 4, librarianEmail: "other@test.dev", stock: 50 });
+    const payments = server.db.collection("payments");
+    await payments.insertMany([
+        {
+            customerEmail: "reader@test.dev",
+            amount: 24,
+            paidAt: new Date("2024-01-10T12:00:00Z"),
+            lineItems: [
+                { bookId: mine.id, bookTitle: "Mine", quantity: 2, unitPrice: 10 },
+                { bookId: theirs.id, bookTitle: "Theirs", quantity: 1, unitPrice: 4 },
+            ],
+        },
+        // Recorded before line items existed
+        { customerEmail: "reader@test.dev", amount: 10, bookId: mine.id, bookTitle: "Mine", paidAt: new Date("2024-02-03T12:00:00Z") },
+    ]);
+    return { mine, theirs };
+}
+
+const range = "from=2024-01-01&to=2024-03-01";
+
+describe("stats", () => {
+    test("GET /admin-stats counts every collection", async () => {
+        await seedBook(server.db);
+        await seedOrder(server.db);
+
+        const res = await request(server.app).get("/admin-stats").set(admin);
+        expect(res.body).toEqual({
+            usersCount: 3,
+            booksCount: 1,
+            ordersCount: 1,
+            wishlistCount: 0,
+            reviewsCount: 0,
+            paymentsCount: 0,
+            couponRedemptionsCount: 0,
+            couponDiscountTotal: 0,
+            coupons: [],
+        });
+    });
+
+    test("GET /librarian-stats is scoped to the caller's books and lists low stock", async () => {
+        const { mine, theirs } = await seedSales();
+        await seedOrder(server.db, { bookId: mine.id });
+        await seedOrder(server.db, { bookId: mine.id, paymentStatus: "paid" });
+        await seedOrder(server.db, { bookId: theirs.id });
+
+        const res = await request(server.app).get("/librarian-stats").set(librarian);
+        expect(res.body).toMatchObject({ booksCount: 1, pendingOrders: 1, paidOrders: 1 });
+        expect(res.body.lowStock.map(book => book.title)).toEqual(["Mine"]);
+    });
+
+    test("GET /user-stats/:email only answers for the caller", async () => {
+        await seedOrder(server.db);
+
+        const res = await request(server.app).get("/user-stats/reader@test.dev").set(authAs("reader@test.dev"));
+        expect(res.body).toEqual({ orders: 1, wishlist: 0, reviews: 0, payments: 0 });
+
+        const denied = await request(server.app).get("/user-stats/reader@test.dev").set(librarian);
+        expect(denied.status).toBe(403);
+    });
+});
+
+describe("analytics", () => {
+    test("revenue is bucketed by interval and scoped for librarians", async () => {
+        await seedSales();
+
+        const all = await request(server.app).get(`/analytics/revenue?${range}&interval=month`).set(admin);
+        expect(all.body.series.map(point => [point.period.slice(0, 7), point.revenue, point.copies]))
+            .toEqual([["2024-01", 24, 3], ["2024-02", 10, 1]]);
+
+        const own = await request(server.app).get(`/analytics/revenue?${range}&interval=month`).set(librarian);
+        expect(own.body.series.map(point => point.revenue)).toEqual([20, 10]);
+    });
+
+    test("revenue is net of refunds", async () => {
+        const { mine } = await seedSales();
+        await server.db.collection("payments").updateOne(
+            { bookId: mine.id },
+            { $set: { refundedAmount: 4, paymentStatus: "partially_refunded" } }
+        );
+
+        const res = await request(server.app).get(`/analytics/revenue?${range}&interval=month`).set(admin);
+        expect(res.body.series.map(point => [point.revenue, point.grossRevenue])).toEqual([[24, 24], [6, 10]]);
+
+        const librarians = await request(server.app).get(`/analytics/revenue-by-librarian?${range}`).set(admin);
+        expect(librarians.body.librarians[0]).toMatchObject({ librarianEmail: "librarian@test.dev", revenue: 26 });
+    });
+
+    test("revenue rejects a bad range", async () => {
+        expect((await request(server.app).get("/analytics/revenue?from=yesterday").set(admin)).status).toBe(400);
+        expect((await request(server.app).get("/analytics/revenue?from=2024-02-01&to=2024-01-01").set(admin)).status).toBe(400);
+        expect((await request(server.app).get("/analytics/revenue?interval=year").set(admin)).status).toBe(400);
+    });
+
+    test("revenue by librarian is admin only", async () => {
+        await seedSales();
+
+        const res = await request(server.app).get(`/analytics/revenue-by-librarian?${range}`).set(admin);
+        expect(res.body.librarians).toEqual([
+            { librarianEmail: "librarian@test.dev", revenue: 30, copies: 3 },
+            { librarianEmail: "other@test.dev", revenue: 4, copies: 1 },
+        ]);
+
+        const denied = await request(server.app).get(`/analytics/revenue-by-librarian?${range}`).set(librarian);
+        expect(denied.status).toBe(403);
+    });
+
+    test("top books ranks by copies sold", async () => {
+        const { mine, theirs } = await seedSales();
+
+        const res = await request(server.app).get(`/analytics/top-books?${range}`).set(admin);
+        expect(res.body.books.map(book => [book.bookId, book.copies])).toEqual([[mine.id, 3], [theirs.id, 1]]);
+    });
+
+    test("wishlist conversion counts wishlisted books that were later paid for", async () => {
+        const { mine, theirs } = await seedSales();
+        await server.db.collection("wishlist").insertMany([
+            { bookId: mine.id, customerEmail: "reader@test.dev", createdAt: new Date("2024-01-05") },
+            { bookId: theirs.id, customerEmail: "reader@test.dev", createdAt: new Date("2024-01-05") },
+        ]);
+        await seedOrder(server.db, { bookId: mine.id, paymentStatus: "paid" });
+
+        const res = await request(server.app).get(`/analytics/wishlist-conversion?${range}`).set(admin);
+        expect(res.body).toMatchObject({ wishlisted: 2, purchased: 1, conversionRate: 0.5 });
+
+        const empty = await request(server.app).get("/analytics/wishlist-conversion").set(admin);
+        expect(empty.body).toMatchObject({ wishlisted: 0, purchased: 0, conversionRate: 0 });
+    });
+
+    test("ratings averages reviews per book", async () => {
+        const { mine } = await seedSales();
+        await server.db.collection("reviews").insertMany([
+            { bookId: mine.id, rating: 5, userEmail: "a@test.dev", date: new Date() },
+            { bookId: mine.id, rating: 4, userEmail: "b@test.dev", date: new Date() },
+        ]);
+
+        const res = await request(server.app).get("/analytics/ratings").set(librarian);
+        expect(res.body.books).toEqual([{ bookId: mine.id, bookTitle: "Mine", averageRating: 4.5, reviewCount: 2 }]);
+    });
+});
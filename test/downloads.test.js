@@ -0,0 +1,269 @@
+const fs = require('fs');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { createDiskStorage } = require('../services/storage');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    jest.restoreAllMocks();
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+const librarian = authAs("librarian@test.dev");
+const reader = authAs("reader@test.dev");
+
+const PDF = Buffer.from(`%PDF-1.7\n${"0123456789".repeat(100)}\n%%EOF\n`);
+// The smallest thing that looks like an EPUB: a ZIP whose first entry is "mimetype"
+const EPUB = Buffer.concat([
+    Buffer.from("PK\x03\x04", "latin1"),
+    Buffer.alloc(26),
+    Buffer.from("mimetypeapplication/epub+zip"),
+    Buffer.alloc(64, 1),
+]);
+
+function uploadEbook(book, buffer = PDF, filename = "pragmatic.pdf") {
+    return request(server.app).post(`/books/${book.id}/ebook`).set(librarian).attach("file", buffer, filename);
+}
+
+// A paid order of a book with an ebook
+async function paidOrder(overrides = {}) {
+    const book = await seedBook(server.db);
+    await uploadEbook(book);
+    const order = await seedOrder(server.db, { bookId: book.id, status: "confirmed", paymentStatus: "paid", ...overrides });
+    return { book, order };
+}
+
+async function downloadLink(order, body = {}) {
+    const res = await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send(body);
+    expect(res.status).toBe(200);
+    return new URL(res.body.url).pathname;
+}
+
+function download(path) {
+    return request(server.app).get(path).responseType("blob");
+}
+
+describe("POST /books/:id/ebook", () => {
+    test("stores EPUBs and PDFs privately, out of reach of /assets", async () => {
+        const book = await seedBook(server.db);
+
+        const res = await uploadEbook(book, EPUB, "C:\\books\\pragmatic.epub");
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ format: "epub", contentType: "application/epub+zip", fileName: "pragmatic.epub", bytes: EPUB.length });
+        expect(res.body.url).toBeUndefined();
+        expect(fs.readdirSync(server.assetDir)).toEqual([]);
+
+        const [key] = res.body.keys;
+        expect((await request(server.app).get(`/assets/${key}`)).status).toBe(404);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).ebook.keys).toEqual([key]);
+    });
+
+    test("rejects other files", async () => {
+        const book = await seedBook(server.db);
+        const res = await uploadEbook(book, Buffer.from("just some text"), "book.txt");
+        expect(res.status).toBe(415);
+    });
+
+    test("DELETE removes the file", async () => {
+        const book = await seedBook(server.db);
+        await uploadEbook(book);
+        expect(fs.readdirSync(server.privateAssetDir)).toEqual(["books"]);
+
+        await request(server.app).delete(`/books/${book.id}/ebook`).set(librarian).expect(200);
+        expect(fs.readdirSync(`${server.privateAssetDir}/books/${book.id}`)).toEqual([]);
+        expect((await server.db.collection("books").findOne({ _id: book._id })).ebook).toBeUndefined();
+    });
+});
+
+describe("DELETE /books/:id", () => {
+    test("is refused while paid orders can still download the ebook", async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        const admin = authAs("admin@test.dev");
+        const { book, order } = await paidOrder();
+
+        const res = await request(server.app).delete(`/books/${book.id}`).set(admin);
+        expect(res.status).toBe(409);
+        expect(await server.db.collection("books").countDocuments({ _id: book._id })).toBe(1);
+        expect(fs.readdirSync(server.privateAssetDir)).toEqual(["books"]);
+
+        await server.db.collection("orders").updateOne({ _id: order._id }, { $set: { paymentStatus: "refunded" } });
+        expect((await request(server.app).delete(`/books/${book.id}`).set(admin)).status).toBe(200);
+        expect(await server.db.collection("books").countDocuments({ _id: book._id })).toBe(0);
+    });
+});
+
+describe("download links", () => {
+    test("a paid order's buyer gets a short-lived link to the file", async () => {
+        const { order } = await paidOrder();
+
+        const res = await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send({});
+        expect(res.status).toBe(200);
+        expect(res.body.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/downloads\/[\w-]+\.[\w-]+$/);
+        expect(res.body.downloadsRemaining).toBe(5);
+        const ttl = new Date(res.body.expiresAt).getTime() - Date.now();
+        expect(ttl).toBeGreaterThan(290 * 1000);
+        expect(ttl).toBeLessThanOrEqual(300 * 1000);
+
+        const file = await download(new URL(res.body.url).pathname);
+        expect(file.status).toBe(200);
+        expect(file.headers["content-type"]).toBe("application/pdf");
+        expect(file.headers["content-disposition"]).toBe('attachment; filename="pragmatic.pdf"');
+        expect(file.headers["cache-control"]).toBe("private, no-store");
+        expect(file.headers["accept-ranges"]).toBe("bytes");
+        expect(Buffer.compare(file.body, PDF)).toBe(0);
+
+        const log = await server.db.collection("downloads").find({}).toArray();
+        expect(log).toEqual([expect.objectContaining({ orderId: order.id, customerEmail: "reader@test.dev", ip: expect.any(String) })]);
+    });
+
+    test("only the buyer can ask for one, and only for paid orders", async () => {
+        const { order } = await paidOrder();
+        await seedUser(server.db, "other@test.dev");
+        const other = await request(server.app).post(`/orders/${order.id}/downloads`).set(authAs("other@test.dev")).send({});
+        expect(other.status).toBe(403);
+
+        const { order: unpaid } = await paidOrder({ paymentStatus: "unpaid", status: "pending" });
+        const res = await request(server.app).post(`/orders/${unpaid.id}/downloads`).set(reader).send({});
+        expect(res.status).toBe(403);
+    });
+
+    test("books without an ebook or outside the order have nothing to download", async () => {
+        const book = await seedBook(server.db);
+        const order = await seedOrder(server.db, { bookId: book.id, status: "confirmed", paymentStatus: "paid" });
+        expect((await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send({})).status).toBe(404);
+
+        const { order: withEbook } = await paidOrder();
+        const res = await request(server.app).post(`/orders/${withEbook.id}/downloads`).set(reader).send({ bookId: book.id });
+        expect(res.status).toBe(404);
+    });
+
+    test("cart orders need the book", async () => {
+        const first = await seedBook(server.db);
+        const second = await seedBook(server.db, { title: "Refactoring" });
+        await uploadEbook(second, EPUB, "refactoring.epub");
+        const order = await seedOrder(server.db, {
+            items: [{ bookId: first.id, quantity: 1 }, { bookId: second.id, quantity: 1 }],
+            status: "confirmed",
+            paymentStatus: "paid",
+        });
+
+        expect((await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send({})).status).toBe(400);
+        const file = await download(await downloadLink(order, { bookId: second.id }));
+        expect(file.headers["content-type"]).toBe("application/epub+zip");
+    });
+});
+
+describe("GET /downloads/:token", () => {
+    test("answers range requests with the requested bytes", async () => {
+        const { order } = await paidOrder();
+        const path = await downloadLink(order);
+
+        const part = await download(path).set("Range", "bytes=100-199");
+        expect(part.status).toBe(206);
+        expect(part.headers["content-range"]).toBe(`bytes 100-199/${PDF.length}`);
+        expect(part.headers["content-length"]).toBe("100");
+        expect(Buffer.compare(part.body, PDF.subarray(100, 200))).toBe(0);
+
+        const rest = await download(path).set("Range", "bytes=200-");
+        expect(Buffer.compare(rest.body, PDF.subarray(200))).toBe(0);
+
+        const beyond = await request(server.app).get(path).set("Range", `bytes=${PDF.length + 10}-`);
+        expect(beyond.status).toBe(416);
+        expect(beyond.headers["content-range"]).toBe(`bytes */${PDF.length}`);
+    });
+
+    test("a link counts once however often it is resumed, up to the limit per book", async () => {
+        const { order } = await paidOrder();
+        const path = await downloadLink(order);
+        await download(path).expect(200);
+        await download(path).set("Range", "bytes=10-").expect(206);
+        await request(server.app).head(await downloadLink(order)).expect(200);
+
+        let summary = await request(server.app).get(`/orders/${order.id}/downloads`).set(reader);
+        expect(summary.body).toEqual([{ bookId: order.bookId, downloads: 1, remaining: 4 }]);
+
+        for (let i = 0; i < 4; i++) await download(await downloadLink(order)).expect(200);
+        summary = await request(server.app).get(`/orders/${order.id}/downloads`).set(reader);
+        expect(summary.body[0]).toMatchObject({ downloads: 5, remaining: 0 });
+        expect(await server.db.collection("downloads").countDocuments({ orderId: order.id })).toBe(5);
+
+        const refused = await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send({});
+        expect(refused.status).toBe(403);
+        expect(refused.body.message).toMatch(/limit of 5/);
+    });
+
+    test("links handed out before the limit was reached stop working too", async () => {
+        const { order } = await paidOrder();
+        const paths = [];
+        for (let i = 0; i < 6; i++) paths.push(await downloadLink(order));
+
+        for (const path of paths.slice(0, 5)) await download(path).expect(200);
+        const res = await request(server.app).get(paths[5]);
+        expect(res.status).toBe(403);
+        expect(res.headers["content-type"]).toMatch(/^application\/json/);
+        expect(await server.db.collection("downloads").countDocuments({})).toBe(5);
+    });
+
+    test("refunded, cancelled and returned orders lose access", async () => {
+        const { order } = await paidOrder();
+        const path = await downloadLink(order);
+        const orders = server.db.collection("orders");
+
+        for (const change of [{ paymentStatus: "refunded" }, { paymentStatus: "partially_refunded" }, { status: "cancelled" }, { status: "returned" }]) {
+            await orders.updateOne({ _id: order._id }, { $set: { status: "confirmed", paymentStatus: "paid", ...change } });
+            const res = await request(server.app).get(path);
+            expect(res.status).toBe(403);
+            const link = await request(server.app).post(`/orders/${order.id}/downloads`).set(reader).send({});
+            expect(link.status).toBe(403);
+        }
+        expect(await server.db.collection("downloads").countDocuments({})).toBe(0);
+    });
+
+    test("rejects tampered and expired links", async () => {
+        const { order } = await paidOrder();
+        const { order: otherOrder } = await paidOrder({ customerEmail: "other@test.dev" });
+        const path = await downloadLink(order);
+        const [payload, signature] = path.split("/").pop().split(".");
+
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+        const forged = Buffer.from(JSON.stringify({ ...claims, order: otherOrder.id })).toString("base64url");
+        expect((await request(server.app).get(`/downloads/${forged}.${signature}`)).status).toBe(403);
+        expect((await request(server.app).get(`/downloads/${payload}.${signature.slice(1)}`)).status).toBe(403);
+        expect((await request(server.app).get("/downloads/garbage")).status).toBe(403);
+
+        const now = Date.now();
+        jest.spyOn(Date, "now").mockReturnValue(now + 301 * 1000);
+        const expired = await request(server.app).get(path);
+        expect(expired.status).toBe(403);
+        expect(expired.body.message).toMatch(/expired/);
+    });
+
+    test("links signed with the configured secret work on every instance", async () => {
+        const { order } = await paidOrder();
+        const instance = () => createApp({
+            db: server.db,
+            auth: server.auth,
+            stripe: server.stripe,
+            privateStorage: createDiskStorage({ dir: server.privateAssetDir, public: false }),
+            downloadSigningSecret: "0123456789abcdef0123456789abcdef",
+        });
+        const [one, two] = [instance(), instance()];
+
+        const res = await request(one).post(`/orders/${order.id}/downloads`).set(reader).send({});
+        const path = new URL(res.body.url).pathname;
+        expect((await request(two).get(path).responseType("blob")).status).toBe(200);
+        expect((await request(server.app).get(path)).status).toBe(403);
+    });
+});
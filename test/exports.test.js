@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { parseCsv } = require('../lib/csv');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder, seedPayment } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+});
+
+// supertest only buffers text/* bodies as text by itself
+function readText(res, callback) {
+    let text = "";
+    res.setEncoding("utf8");
+    res.on("data", chunk => (text += chunk));
+    res.on("end", () => callback(null, text));
+}
+
+const admin = authAs("admin@test.dev");
+const librarian = authAs("librarian@test.dev");
+
+describe("GET /export/books", () => {
+    test("streams the librarian's own books as CSV", async () => {
+        await seedBook(server.db, { title: "Mine, with a comma", isbn: "9780135957059" });
+        await seedBook(server.db, { title: "Theirs", librarianEmail: "other@test.dev" });
+
+        const res = await request(server.app).get("/export/books").set(librarian);
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/text\/csv/);
+        expect(res.headers["content-disposition"]).toMatch(/attachment; filename="books-.*\.csv"/);
+
+        const { rows } = parseCsv(res.text);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ title: "Mine, with a comma", isbn: "9780135957059", price: "12.99" });
+    });
+
+    test("can be imported again as it is", async () => {
+        // Covers uploaded to the default disk storage have root-relative URLs
+        await seedBook(server.db, { isbn: "9780135957059", image: "/assets/books/64b7f0c2a1b2c3d4e5f60718/cover-0123456789abcdef-large.webp" });
+        const exported = await request(server.app).get("/export/books").set(librarian);
+
+        const res = await request(server.app)
+            .post("/books/import?dryRun=true")
+            .set(librarian)
+            .set("Content-Type", "text/csv")
+            .send(exported.text);
+        expect(res.body).toMatchObject({ updated: 1, failed: 0 });
+    });
+
+    test("keep titles that look like formulas through an import", async () => {
+        const titles = ["-Foo", "+1 Tips", "'=quoted"];
+        for (const [index, title] of titles.entries()) await seedBook(server.db, { title, isbn: `978013595705${index}` });
+        const exported = await request(server.app).get("/export/books").set(librarian);
+
+        const res = await request(server.app)
+            .post("/books/import")
+            .set(librarian)
+            .set("Content-Type", "text/csv")
+            .send(exported.text);
+        expect(res.body).toMatchObject({ updated: 3, failed: 0 });
+        const stored = await server.db.collection("books").find().sort({ isbn: 1 }).toArray();
+        expect(stored.map(book => book.title)).toEqual(titles);
+    });
+
+    test("writes NDJSON and applies filters", async () => {
+        await seedBook(server.db, { status: "published" });
+        await seedBook(server.db, { status: "unpublished" });
+
+        const res = await request(server.app).get("/export/books?format=ndjson&status=unpublished").set(admin).parse(readText);
+        expect(res.headers["content-type"]).toMatch(/application\/x-ndjson/);
+        const lines = res.body.trim().split("\n").map(line => JSON.parse(line));
+        expect(lines).toHaveLength(1);
+        expect(lines[0].status).toBe("unpublished");
+    });
+
+    test("rejects unknown formats and dates", async () => {
+        expect((await request(server.app).get("/export/books?format=xml").set(admin)).status).toBe(400);
+        expect((await request(server.app).get("/export/books?from=soon").set(admin)).status).toBe(400);
+    });
+});
+
+describe("GET /export/orders and /export/payments", () => {
+    test("are admin only", async () => {
+        expect((await request(server.app).get("/export/orders").set(librarian)).status).toBe(403);
+        expect((await request(server.app).get("/export/payments").set(librarian)).status).toBe(403);
+    });
+
+    test("export orders in a date range with their items", async () => {
+        await seedOrder(server.db, { bookId: "64b7f0c2a1b2c3d4e5f60718", quantity: 2, createdAt: new Date("2026-01-10") });
+        await seedOrder(server.db, { createdAt: new Date("2026-03-10") });
+
+        const res = await request(server.app).get("/export/orders?from=2026-01-01&to=2026-01-31").set(admin);
+        const { rows } = parseCsv(res.text);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ customerEmail: "reader@test.dev", status: "pending", items: "64b7f0c2a1b2c3d4e5f60718 x2" });
+    });
+
+    test("export payments filtered by status", async () => {
+        await seedPayment(server.db, { amount: 20 });
+        await seedPayment(server.db, { paymentStatus: "refunded", refundedAmount: 12.99 });
+
+        const res = await request(server.app).get("/export/payments?paymentStatus=refunded").set(admin);
+        const { rows } = parseCsv(res.text);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ paymentStatus: "refunded", refundedAmount: "12.99", currency: "eur" });
+    });
+
+    test("neutralise spreadsheet formulas in text cells", async () => {
+        await seedPayment(server.db, { customerEmail: "=HYPERLINK(\"x\")@test.dev" });
+        const res = await request(server.app).get("/export/payments").set(admin);
+        expect(res.text).toContain("'=HYPERLINK");
+        // Parsing takes the guard off again
+        expect(parseCsv(res.text).rows[0].customerEmail).toBe("=HYPERLINK(\"x\")@test.dev");
+    });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { startTestServer, authAs, seedUser } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    jest.restoreAllMocks();
+});
+
+// A fresh app per test: Firebase and Stripe check results are cached per app
+function freshApp(overrides = {}) {
+    return createApp({ db: server.db, auth: server.auth, stripe: server.stripe, mailer: server.mailer, ...overrides });
+}
+
+// Collects the JSON log lines written to stderr while `fn` runs
+async function captureErrorLogs(fn) {
+    const lines = [];
+    const previous = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = "warn";
+    const spy = jest.spyOn(process.stderr, "write").mockImplementation(chunk => {
+        lines.push(JSON.parse(chunk));
+        return true;
+    });
+    try {
+        await fn();
+    } finally {
+        spy.mockRestore();
+        process.env.LOG_LEVEL = previous;
+    }
+    return lines;
+}
+
+describe("health checks", () => {
+    test("/health/live always answers 200", async () => {
+        const res = await request(freshApp({ isReady: () => false })).get("/health/live");
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe("ok");
+    });
+
+    test("/health/ready reports every dependency as up", async () => {
+        const res = await request(freshApp()).get("/health/ready");
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe("ok");
+        expect(Object.keys(res.body.checks)).toEqual(["mongodb", "firebase", "stripe"]);
+        for (const check of Object.values(res.body.checks)) expect(check.status).toBe("up");
+        expect(server.auth.getUser).toHaveBeenCalledTimes(1);
+        expect(server.stripe.balance.retrieve).toHaveBeenCalledTimes(1);
+    });
+
+    test("a Stripe or Firebase outage is degraded, not down", async () => {
+        server.stripe.balance.retrieve.mockRejectedValueOnce(new Error("connect ETIMEDOUT"));
+        server.auth.getUser.mockRejectedValueOnce(Object.assign(new Error("unavailable"), { code: "app/network-error" }));
+
+        const res = await request(freshApp()).get("/health/ready");
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe("degraded");
+        expect(res.body.checks.stripe.status).toBe("down");
+        expect(res.body.checks.firebase.status).toBe("down");
+        expect(res.body.checks.mongodb.status).toBe("up");
+        // Failure reasons go to the log only
+        expect(res.body.checks.stripe.error).toBeUndefined();
+    });
+
+    test("/health/ready answers 503 while MongoDB is not connected", async () => {
+        const res = await request(freshApp({ isReady: () => false })).get("/health/ready");
+        expect(res.status).toBe(503);
+        expect(res.body.status).toBe("down");
+        expect(res.body.checks.mongodb.status).toBe("down");
+    });
+
+    test("external check results are reused between probes", async () => {
+        const app = freshApp();
+        await request(app).get("/health/ready");
+        await request(app).get("/health/ready");
+        expect(server.stripe.balance.retrieve).toHaveBeenCalledTimes(1);
+        expect(server.auth.getUser).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe("request ids", () => {
+    test("a generated id is sent back in X-Request-Id", async () => {
+        const res = await request(server.app).get("/ping");
+        expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test("a well-formed incoming id is kept, anything else replaced", async () => {
+        const kept = await request(server.app).get("/ping").set("X-Request-Id", "edge-1234.abc");
+        expect(kept.headers["x-request-id"]).toBe("edge-1234.abc");
+
+        const replaced = await request(server.app).get("/ping").set("X-Request-Id", "bad id <script>");
+        expect(replaced.headers["x-request-id"]).not.toBe("bad id <script>");
+    });
+});
+
+describe("error responses", () => {
+    test("unknown routes answer 404 with the request id", async () => {
+        const res = await request(server.app).get("/no-such-route").set("X-Request-Id", "req-404");
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ message: "Cannot GET /no-such-route", requestId: "req-404" });
+    });
+
+    test("malformed JSON answers 400 with the same body shape", async () => {
+        const res = await request(server.app)
+            .post("/users")
+            .set("Content-Type", "application/json")
+            .send("{not json");
+        expect(res.status).toBe(400);
+        expect(res.body.requestId).toBe(res.headers["x-request-id"]);
+        expect(typeof res.body.message).toBe("string");
+    });
+
+    test("unexpected errors answer a generic 500 and are logged with the request id", async () => {
+        jest.spyOn(server.app.locals.ctx.usersCollection, "findOne").mockRejectedValue(new Error("connection reset"));
+
+        let res;
+        const logs = await captureErrorLogs(async () => {
+            res = await request(server.app)
+                .post("/users")
+                .set("X-Request-Id", "req-500")
+                .send({ name: "New", email: "new@test.dev" });
+        });
+
+        expect(res.status).toBe(500);
+        expect(res.body).toEqual({ message: "Internal server error", requestId: "req-500" });
+        const entry = logs.find(line => line.msg === "Unhandled error");
+        expect(entry).toMatchObject({ level: "error", requestId: "req-500", method: "POST", path: "/users" });
+        expect(entry.err.message).toBe("connection reset");
+    });
+
+    test("httpError details are merged into the body", async () => {
+        await seedUser(server.db, "lib@test.dev", "librarian");
+        const res = await request(server.app)
+            .post("/books/import")
+            .set(authAs("lib@test.dev"))
+            .send([{ title: "No ISBN" }]);
+        expect(res.status).toBe(422);
+        expect(res.body).toMatchObject({ requestId: expect.any(String), failed: 1, total: 1 });
+    });
+});
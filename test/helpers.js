@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient, ObjectId } = require('mongodb');
+const Stripe = require('stripe');
+const { createApp, prepareDatabase } = require('../app');
+const { createDiskStorage } = require('../services/storage');
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+process.env.SITE_DOMAIN = "http://localhost:5173";
+// Tests seed and change roles straight in the database, so roles are never cached
+process.env.ROLE_CACHE_TTL_MS = "0";
+// Suites send far more requests from one address than any client would; test/rateLimit.test.js turns them back on
+process.env.RATE_LIMIT_ENABLED = "false";
+// Keeps access logs and expected errors out of the test output; set LOG_LEVEL to see them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+// Tokens in tests are just "test:<email>"; anything else is rejected like a bad Firebase token.
+// Every email has a Firebase account "uid-<email>"; account changes are only recorded by the mocks.
+// Revoking or deleting a user ends their sessions, as verifyIdToken(token, true) reports
+function createFakeAuth() {
+    const revoked = new Set();
+    return {
+        revoked,
+        async verifyIdToken(token, checkRevoked = false) {
+            if (!token || !token.startsWith("test:")) throw new Error("invalid token");
+            const email = token.slice("test:".length);
+            const uid = `uid-${email}`;
+            if (checkRevoked && revoked.has(uid))
+                throw Object.assign(new Error("The Firebase ID token has been revoked."), { code: "auth/id-token-revoked" });
+            return { email, uid };
+        },
+        getUserByEmail: jest.fn(async email => ({ uid: `uid-${email}`, email, customClaims: {} })),
+        setCustomUserClaims: jest.fn(async () => {}),
+        updateUser: jest.fn(async uid => ({ uid })),
+        revokeRefreshTokens: jest.fn(async uid => revoked.add(uid)),
+        deleteUser: jest.fn(async uid => revoked.add(uid)),
+        // Only the health check looks users up by uid, with one that never exists
+        getUser: jest.fn(async uid => {
+            throw Object.assign(new Error(`No user record for ${uid}`), { code: "auth/user-not-found" });
+        }),
+    };
+}
+
+// Records sessions in memory; signature checks use the real Stripe helpers, which work offline
+function createFakeStripe() {
+    const sessions = new Map();
+    // Minor units refunded so far per PaymentIntent, as its charge reports them
+    const refunded = new Map();
+    let counter = 0;
+    let refundCounter = 0;
+
+    return {
+        sessions,
+        reset() {
+            sessions.clear();
+            refunded.clear();
+            counter = 0;
+            refundCounter = 0;
+        },
+        checkout: {
+            sessions: {
+                create: jest.fn(async params => {
+                    counter += 1;
+                    const id = `cs_test_${counter}`;
+                    const amountTotal = params.line_items
+                        .reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0);
+                    const session = {
+                        id,
+                        url: `https://checkout.stripe.test/${id}`,
+                        customer_email: params.customer_email,
+                        metadata: params.metadata,
+                        line_items: params.line_items,
+                        amount_total: amountTotal,
+                        currency: params.line_items[0].price_data.currency.toLowerCase(),
+                        expires_at: params.expires_at,
+                        status: "open",
+                        payment_status: "unpaid",
+                        payment_intent: null,
+                    };
+                    sessions.set(id, session);
+                    return session;
+                }),
+                retrieve: jest.fn(async id => {
+                    const session = sessions.get(id);
+                    if (!session) throw new Error(`No such checkout.session: ${id}`);
+                    return session;
+                }),
+                expire: jest.fn(async id => {
+                    const session = sessions.get(id);
+                    if (session?.status !== "open") throw new Error(`Only open sessions can be expired: ${id}`);
+                    session.status = "expired";
+                    return session;
+                }),
+            },
+        },
+        refunds: {
+            create: jest.fn(async params => {
+                refundCounter += 1;
+                refunded.set(params.payment_intent, (refunded.get(params.payment_intent) || 0) + params.amount);
+                return {
+                    id: `re_test_${refundCounter}`,
+                    charge: `ch_${params.payment_intent}`,
+                    payment_intent: params.payment_intent,
+                    amount: params.amount,
+                    reason: params.reason || null,
+                    metadata: params.metadata,
+                    status: "succeeded",
+                };
+            }),
+        },
+        charges: {
+            retrieve: jest.fn(async id => {
+                const paymentIntent = id.slice("ch_".length);
+                return { id, payment_intent: paymentIntent, amount_refunded: refunded.get(paymentIntent) || 0 };
+            }),
+        },
+        balance: {
+            retrieve: jest.fn(async () => ({ object: "balance", available: [], pending: [] })),
+        },
+        webhooks: Stripe("sk_test_offline").webhooks,
+    };
+}
+
+// Keeps every email in `sent` instead of delivering it
+function createFakeMailer() {
+    const sent = [];
+    return {
+        sent,
+        send: jest.fn(async message => {
+            sent.push(message);
+            return { messageId: `msg-${sent.length}` };
+        }),
+    };
+}
+
+// The mongod version is pinned in package.json ("config.mongodbMemoryServer"). Offline,
+// MONGOMS_SYSTEM_BINARY points mongodb-memory-server at an installed mongod instead of downloading one.
+async function startTestServer() {
+    const mongod = await MongoMemoryServer.create();
+    const client = new MongoClient(mongod.getUri());
+    await client.connect();
+
+    const db = client.db("swiftbook_test");
+    await prepareDatabase(db);
+
+    const stripe = createFakeStripe();
+    const mailer = createFakeMailer();
+    const auth = createFakeAuth();
+    const assetDir = fs.mkdtempSync(path.join(os.tmpdir(), "swiftbook-assets-"));
+    const privateAssetDir = fs.mkdtempSync(path.join(os.tmpdir(), "swiftbook-private-"));
+    const app = createApp({
+        db,
+        auth,
+        stripe,
+        mailer,
+        storage: createDiskStorage({ dir: assetDir }),
+        privateStorage: createDiskStorage({ dir: privateAssetDir, public: false }),
+        stripeWebhookSecret: WEBHOOK_SECRET,
+    });
+
+    return {
+        app,
+        client,
+        db,
+        auth,
+        stripe,
+        mailer,
+        assetDir,
+        privateAssetDir,
+        async reset() {
+            const collections = await db.collections();
+            await Promise.all(collections.map(collection => collection.deleteMany({})));
+            stripe.reset();
+            auth.revoked.clear();
+            mailer.sent.length = 0;
+            jest.clearAllMocks();
+        },
+        async stop() {
+            await client.close();
+            await mongod.stop();
+            fs.rmSync(assetDir, { recursive: true, force: true });
+            fs.rmSync(privateAssetDir, { recursive: true, force: true });
+        },
+    };
+}
+
+function authAs(email) {
+    return { Authorization: `Bearer test:${email}` };
+}
+
+async function seedUser(db, email, role = "user") {
+    const { insertedId } = await db.collection("users").insertOne({ name: email, email, role, createdAt: new Date() });
+    return insertedId;
+}
+
+async function seedBook(db, overrides = {}) {
+    const book = {
+        title: "The Pragmatic Programmer",
+        author: "Andrew Hunt",
+        description: "From journeyman to master",
+        price: 12.99,
+        status: "published",
+        librarianEmail: "librarian@test.dev",
+        createdAt: new Date(),
+        ...overrides,
+    };
+    const { insertedId } = await db.collection("books").insertOne(book);
+    return { ...book, _id: insertedId, id: insertedId.toString() };
+}
+
+async function seedOrder(db, overrides = {}) {
+    const order = {
+        bookId: new ObjectId().toString(),
+        customerEmail: "reader@test.dev",
+        status: "pending",
+        paymentStatus: "unpaid",
+        createdAt: new Date(),
+        ...overrides,
+    };
+    const { insertedId } = await db.collection("orders").insertOne(order);
+    return { ...order, _id: insertedId, id: insertedId.toString() };
+}
+
+async function seedPayment(db, overrides = {}) {
+    const payment = {
+        customerEmail: "reader@test.dev",
+        transactionId: `pi_${new ObjectId().toString()}`,
+        amount: 12.99,
+        currency: "eur",
+        paymentStatus: "paid",
+        paidAt: new Date(),
+        ...overrides,
+    };
+    const { insertedId } = await db.collection("payments").insertOne(payment);
+    return { ...payment, _id: insertedId };
+}
+
+// Builds a raw body and a valid Stripe-Signature header for a webhook event
+function signedEvent(type, object) {
+    const payload = JSON.stringify({ id: `evt_${Date.now()}`, type, data: { object } });
+    const signature = Stripe("sk_test_offline").webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+    return { payload, signature };
+}
+
+module.exports = {
+    startTestServer,
+    authAs,
+    seedUser,
+    seedBook,
+    seedOrder,
+    seedPayment,
+    signedEvent,
+};
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { prepareDatabase } = require('../app');
+const { MIGRATIONS, migrationStatus, runMigrations } = require('../migrations');
+const { startTestServer, seedUser, seedBook } = require('./helpers');
+
+let server;
+let db;
+let databaseCount = 0;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+// Migrations run against a database of their own; the shared one is migrated already
+beforeEach(async () => {
+    await server.reset();
+    databaseCount += 1;
+    db = server.client.db(`swiftbook_migrations_${databaseCount}`);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.dropDatabase();
+});
+
+const indexNames = async name => (await db.collection(name).indexes()).map(index => index.name);
+
+describe("migrations", () => {
+    test("apply once, in order, and are recorded", async () => {
+        expect((await migrationStatus(db)).every(migration => migration.appliedAt === null)).toBe(true);
+
+        expect(await runMigrations(db)).toEqual(MIGRATIONS.map(migration => migration.name));
+        expect(await runMigrations(db)).toEqual([]);
+
+        const status = await migrationStatus(db);
+        expect(status.map(migration => migration.version)).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(status.every(migration => migration.appliedAt instanceof Date)).toBe(true);
+        expect(await db.collection("migrations").findOne({ _id: "lock" })).toBeNull();
+
+        expect(await indexNames("payments")).toEqual(expect.arrayContaining(["payments_transaction", "payments_customer"]));
+        expect(await indexNames("reviews")).toContain("reviews_book_user");
+        expect(await indexNames("users")).toContain("users_email");
+        expect(await indexNames("wishlist")).toContain("wishlist_customer_book");
+        expect(await indexNames("downloads")).toContain("downloads_link");
+    });
+
+    test("remove duplicate payments and reviews, keeping the oldest", async () => {
+        const book = await seedBook(db, { averageRating: 3, reviewCount: 2 });
+        await db.collection("payments").insertMany([
+            { transactionId: "pi_1", amount: 10, note: "first" },
+            { transactionId: "pi_1", amount: 10, note: "second" },
+            { transactionId: "pi_2", amount: 5 },
+        ]);
+        await db.collection("reviews").insertMany([
+            { bookId: book.id, userEmail: "reader@test.dev", rating: 5, status: "visible" },
+            { bookId: book.id, userEmail: "reader@test.dev", rating: 1, status: "visible" },
+        ]);
+
+        await runMigrations(db);
+
+        const payments = await db.collection("payments").find({ transactionId: "pi_1" }).toArray();
+        expect(payments.map(payment => payment.note)).toEqual(["first"]);
+        expect(await db.collection("reviews").countDocuments({})).toBe(1);
+        expect(await db.collection("books").findOne({ _id: new ObjectId(book.id) })).toMatchObject({ averageRating: 5, reviewCount: 1 });
+        await expect(db.collection("payments").insertOne({ transactionId: "pi_2" })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test("stop at duplicate users and pick up there once they are fixed", async () => {
+        await db.collection("users").insertMany([
+            { email: "twice@test.dev", role: "user" },
+            { email: "twice@test.dev", role: "librarian" },
+        ]);
+
+        await expect(runMigrations(db)).rejects.toThrow(/twice@test\.dev/);
+        const status = await migrationStatus(db);
+        expect(status.filter(migration => migration.appliedAt).map(migration => migration.version)).toEqual([1, 2, 3]);
+        expect(await db.collection("migrations").findOne({ _id: "lock" })).toBeNull();
+
+        await db.collection("users").deleteOne({ role: "user" });
+        expect(await runMigrations(db)).toEqual(["unique-keys", "downloads", "book-and-payment-lookups"]);
+    });
+
+    test("take over a lock left behind by a crashed run", async () => {
+        await db.collection("migrations").insertOne({ _id: "lock", owner: "crashed", expiresAt: new Date(Date.now() - 1000) });
+
+        expect(await runMigrations(db)).toHaveLength(MIGRATIONS.length);
+    });
+
+    test("only warn at startup with MIGRATE_ON_START=false", async () => {
+        process.env.MIGRATE_ON_START = "false";
+        try {
+            await prepareDatabase(db);
+        } finally {
+            delete process.env.MIGRATE_ON_START;
+        }
+        expect((await migrationStatus(db)).some(migration => migration.appliedAt)).toBe(false);
+
+        await prepareDatabase(db);
+        expect((await migrationStatus(db)).every(migration => migration.appliedAt)).toBe(true);
+    });
+});
+
+describe("unique keys", () => {
+    test("a sign-up racing past the existence check is answered like a duplicate", async () => {
+        await seedUser(server.db, "reader@test.dev");
+        jest.spyOn(server.app.locals.ctx.usersCollection, "findOne").mockResolvedValueOnce(null);
+
+        const res = await request(server.app).post("/users").send({ name: "Reader", email: "reader@test.dev" });
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ message: "user exists" });
+        expect(await server.db.collection("users").countDocuments({ email: "reader@test.dev" })).toBe(1);
+    });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder, seedPayment, signedEvent } = require('./helpers');
+const { renderEmail } = require('../services/emailTemplates');
+const { createFileTransport } = require('../services/mailer');
+const { MAX_DELIVERY_ATTEMPTS } = require('../services/notifications');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+const reader = authAs("reader@test.dev");
+const outbox = () => server.db.collection("notifications");
+const sentTo = email => server.mailer.sent.filter(message => message.to === email);
+
+describe("order and payment emails", () => {
+    test("placing an order emails the customer", async () => {
+        const book = await seedBook(server.db);
+        await request(server.app).post("/orders").set(reader).send({ bookId: book.id, bookTitle: book.title });
+
+        const [message] = sentTo("reader@test.dev");
+        expect(message.subject).toBe("We received your order");
+        expect(message.text).toContain(`1 × ${book.title}`);
+        expect(message.html).toContain("<!doctype html>");
+
+        expect(await outbox().findOne({})).toMatchObject({ event: "order.placed", status: "sent", attempts: 1 });
+    });
+
+    test("a paid checkout emails the customer and the librarian once", async () => {
+        const book = await seedBook(server.db, { price: 10 });
+        const order = await seedOrder(server.db, { bookId: book.id, bookTitle: book.title });
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+        const session = { ...server.stripe.sessions.get("cs_test_1"), payment_status: "paid", payment_intent: "pi_1" };
+
+        for (let i = 0; i < 2; i++) {
+            const { payload, signature } = signedEvent("checkout.session.completed", session);
+            await request(server.app)
+                .post("/stripe/webhook")
+                .set("Content-Type", "application/json")
+                .set("Stripe-Signature", signature)
+                .send(payload);
+        }
+
+        expect(sentTo("reader@test.dev").map(message => message.subject)).toEqual(["Payment received"]);
+        expect(sentTo("reader@test.dev")[0].text).toContain("10.00 EUR");
+        expect(sentTo("librarian@test.dev").map(message => message.subject)).toEqual(["You made a sale"]);
+    });
+
+    test("status changes email the customer", async () => {
+        const book = await seedBook(server.db);
+        const order = await seedOrder(server.db, { bookId: book.id, bookTitle: book.title, status: "confirmed" });
+
+        await request(server.app).patch(`/orders/${order.id}`).set(authAs("librarian@test.dev")).send({ status: "shipped" });
+
+        expect(sentTo("reader@test.dev").map(message => message.subject)).toEqual(["Your order is on its way"]);
+    });
+
+    test("refunds email the customer", async () => {
+        const book = await seedBook(server.db);
+        await seedPayment(server.db, { transactionId: "pi_paid", amount: 12.99, bookId: book.id });
+
+        await request(server.app).post("/payments/pi_paid/refunds").set(authAs("admin@test.dev")).send({ amount: 2 });
+
+        expect(sentTo("reader@test.dev")[0].text).toContain("We refunded 2.00 EUR");
+    });
+
+    test("role changes email the user", async () => {
+        const user = await server.db.collection("users").findOne({ email: "reader@test.dev" });
+        await request(server.app).patch(`/users/role/${user._id}`).set(authAs("admin@test.dev")).send({ role: "librarian" });
+
+        expect(sentTo("reader@test.dev")[0].text).toContain(`Your account role is now "librarian"`);
+    });
+});
+
+describe("notification preferences", () => {
+    test("default to everything on", async () => {
+        const res = await request(server.app).get("/users/notification-preferences").set(reader);
+        expect(res.body).toEqual({ orders: true, payments: true, sales: true, account: true, wishlist: true });
+    });
+
+    test("switch a category off", async () => {
+        const res = await request(server.app).patch("/users/notification-preferences").set(reader).send({ orders: false });
+        expect(res.body).toEqual({ orders: false, payments: true, sales: true, account: true, wishlist: true });
+
+        const book = await seedBook(server.db);
+        await request(server.app).post("/orders").set(reader).send({ bookId: book.id });
+
+        expect(server.mailer.sent).toEqual([]);
+        expect(await outbox().countDocuments()).toBe(0);
+    });
+
+    test("only accept known categories as booleans", async () => {
+        expect((await request(server.app).patch("/users/notification-preferences").set(reader).send({ orders: "no" })).status).toBe(400);
+        expect((await request(server.app).patch("/users/notification-preferences").set(reader).send({ spam: true })).status).toBe(400);
+    });
+});
+
+describe("outbox", () => {
+    async function failingOrder() {
+        server.mailer.send.mockRejectedValueOnce(new Error("SMTP timeout"));
+        const book = await seedBook(server.db);
+        await request(server.app).post("/orders").set(reader).send({ bookId: book.id });
+        return outbox().findOne({});
+    }
+
+    test("keeps a failed email for a later retry without failing the request", async () => {
+        const notification = await failingOrder();
+
+        expect(notification).toMatchObject({ status: "pending", attempts: 1, lastError: "SMTP timeout" });
+        expect(notification.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+        expect(await server.db.collection("orders").countDocuments()).toBe(1);
+    });
+
+    test("retries due emails from the sweep", async () => {
+        const notification = await failingOrder();
+
+        // Not due yet
+        expect(await server.app.locals.ctx.deliverPendingNotifications()).toBe(0);
+
+        await outbox().updateOne({ _id: notification._id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+        expect(await server.app.locals.ctx.deliverPendingNotifications()).toBe(1);
+        expect(await outbox().findOne({})).toMatchObject({ status: "sent", attempts: 2 });
+        expect(server.mailer.sent).toHaveLength(1);
+    });
+
+    test("gives up after the last attempt", async () => {
+        const notification = await failingOrder();
+        await outbox().updateOne(
+            { _id: notification._id },
+            { $set: { attempts: MAX_DELIVERY_ATTEMPTS - 1, nextAttemptAt: new Date(Date.now() - 1000) } }
+        );
+        server.mailer.send.mockRejectedValueOnce(new Error("Mailbox unavailable"));
+
+        await server.app.locals.ctx.deliverPendingNotifications();
+
+        expect(await outbox().findOne({})).toMatchObject({ status: "failed", attempts: MAX_DELIVERY_ATTEMPTS, lastError: "Mailbox unavailable" });
+    });
+
+    test("requeues emails stuck in sending", async () => {
+        await outbox().insertOne({
+            event: "order.placed",
+            to: "reader@test.dev",
+            subject: "Stuck",
+            text: "Stuck",
+            html: "<p>Stuck</p>",
+            status: "sending",
+            attempts: 1,
+            claimedAt: new Date(Date.now() - 60 * 60 * 1000),
+            nextAttemptAt: new Date(Date.now() - 60 * 60 * 1000),
+            createdAt: new Date(),
+        });
+
+        expect(await server.app.locals.ctx.deliverPendingNotifications()).toBe(1);
+        expect(server.mailer.sent.map(message => message.subject)).toEqual(["Stuck"]);
+    });
+});
+
+describe("templates and transports", () => {
+    test("escape customer data in HTML", () => {
+        const { html, text } = renderEmail("order.placed", {
+            orderId: "1",
+            name: "<script>alert(1)</script>",
+            items: [{ bookTitle: "Tom & Jerry", quantity: 1 }],
+        });
+        expect(html).not.toContain("<script>");
+        expect(html).toContain("&lt;script&gt;");
+        expect(html).toContain("Tom &amp; Jerry");
+        expect(text).toContain("Tom & Jerry");
+    });
+
+    test("the file transport writes one JSON file per message", async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), "swiftbook-mail-"));
+        try {
+            await createFileTransport(dir).send({ to: "reader@test.dev", subject: "Hi", text: "Hello", html: "<p>Hello</p>" });
+
+            const [file] = await fs.readdir(dir);
+            const message = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+            expect(message).toMatchObject({ to: "reader@test.dev", subject: "Hi", text: "Hello" });
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,430 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder, seedPayment } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "other@test.dev", "librarian");
+    await seedUser(server.db, "reader@test.dev", "user");
+});
+
+const findBook = book => server.db.collection("books").findOne({ _id: book._id });
+const findOrder = order => server.db.collection("orders").findOne({ _id: order._id });
+
+describe("POST /orders", () => {
+    test("creates a pending order for the signed-in customer and reserves stock", async () => {
+        const book = await seedBook(server.db, { stock: 3 });
+        const res = await request(server.app)
+            .post("/orders")
+            .set(authAs("reader@test.dev"))
+            .send({ bookId: book.id, bookTitle: book.title, quantity: 2 });
+        expect(res.status).toBe(200);
+
+        const order = await server.db.collection("orders").findOne({ bookId: book.id });
+        expect(order).toMatchObject({
+            customerEmail: "reader@test.dev",
+            status: "pending",
+            paymentStatus: "unpaid",
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 2 }],
+        });
+        expect(order.statusHistory).toHaveLength(1);
+        expect((await findBook(book)).stock).toBe(1);
+    });
+
+    test("refuses to oversell", async () => {
+        const book = await seedBook(server.db, { stock: 1 });
+        const res = await request(server.app)
+            .post("/orders")
+            .set(authAs("reader@test.dev"))
+            .send({ bookId: book.id, quantity: 2 });
+
+        expect(res.status).toBe(409);
+        expect((await findBook(book)).stock).toBe(1);
+        expect(await server.db.collection("orders").countDocuments()).toBe(0);
+    });
+
+    test("refuses unpublished books", async () => {
+        const book = await seedBook(server.db, { status: "unpublished", stock: 1 });
+        const res = await request(server.app).post("/orders").set(authAs("reader@test.dev")).send({ bookId: book.id });
+
+        expect(res.status).toBe(409);
+        expect((await findBook(book)).stock).toBe(1);
+        expect(await server.db.collection("orders").countDocuments()).toBe(0);
+    });
+
+    test("does not track stock for books without a stock field", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).post("/orders").set(authAs("reader@test.dev")).send({ bookId: book.id });
+
+        expect(res.status).toBe(200);
+        expect((await findBook(book)).stock).toBeUndefined();
+    });
+
+    test("rejects server-owned fields", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app)
+            .post("/orders")
+            .set(authAs("reader@test.dev"))
+            .send({ bookId: book.id, paymentStatus: "paid" });
+        expect(res.status).toBe(400);
+    });
+
+    test("answers 404 for unknown books", async () => {
+        const res = await request(server.app)
+            .post("/orders")
+            .set(authAs("reader@test.dev"))
+            .send({ bookId: "64b7f0c2a1b2c3d4e5f60718" });
+        expect(res.status).toBe(404);
+    });
+});
+
+describe("GET /orders/:email", () => {
+    test("returns the caller's own orders only", async () => {
+        await seedOrder(server.db);
+        await seedOrder(server.db, { customerEmail: "someone@test.dev" });
+
+        const res = await request(server.app).get("/orders/reader@test.dev").set(authAs("reader@test.dev"));
+        expect(res.body).toHaveLength(1);
+
+        const denied = await request(server.app).get("/orders/someone@test.dev").set(authAs("reader@test.dev"));
+        expect(denied.status).toBe(403);
+    });
+});
+
+describe("GET /orders", () => {
+    test("scopes librarians to orders for their books and shows admins everything", async () => {
+        const mine = await seedBook(server.db);
+        const theirs = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        await seedOrder(server.db, { bookId: mine.id });
+        await seedOrder(server.db, { bookId: theirs.id });
+        await seedOrder(server.db, { items: [{ bookId: mine.id, quantity: 1 }] });
+
+        const librarian = await request(server.app).get("/orders").set(authAs("librarian@test.dev"));
+        expect(librarian.body).toHaveLength(2);
+
+        const admin = await request(server.app).get("/orders").set(authAs("admin@test.dev"));
+        expect(admin.body).toHaveLength(3);
+    });
+});
+
+describe("GET /orders/librarian/:email", () => {
+    test("lets librarians read their own orders and admins anyone's", async () => {
+        const book = await seedBook(server.db);
+        await seedOrder(server.db, { bookId: book.id });
+
+        const own = await request(server.app).get("/orders/librarian/librarian@test.dev").set(authAs("librarian@test.dev"));
+        expect(own.body).toHaveLength(1);
+
+        const admin = await request(server.app).get("/orders/librarian/librarian@test.dev").set(authAs("admin@test.dev"));
+        expect(admin.body).toHaveLength(1);
+
+        const denied = await request(server.app).get("/orders/librarian/librarian@test.dev").set(authAs("other@test.dev"));
+        expect(denied.status).toBe(403);
+    });
+});
+
+describe("PATCH /orders/:id", () => {
+    test("walks an order through its lifecycle and records history", async () => {
+        const book = await seedBook(server.db);
+        const order = await seedOrder(server.db, { bookId: book.id });
+
+        for (const status of ["confirmed", "shipped", "delivered"]) {
+            const res = await request(server.app)
+                .patch(`/orders/${order.id}`)
+                .set(authAs("librarian@test.dev"))
+                .send({ status });
+            expect(res.body).toEqual({ success: true, status });
+        }
+
+        const stored = await findOrder(order);
+        expect(stored.status).toBe("delivered");
+        expect(stored.statusHistory.map(entry => `${entry.from}->${entry.status}`))
+            .toEqual(["pending->confirmed", "confirmed->shipped", "shipped->delivered"]);
+        expect(stored.statusHistory[0].actor).toMatchObject({ email: "librarian@test.dev", role: "librarian" });
+    });
+
+    test("refuses transitions the state machine does not allow", async () => {
+        const book = await seedBook(server.db);
+        const order = await seedOrder(server.db, { bookId: book.id });
+
+        const res = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("librarian@test.dev"))
+            .send({ status: "delivered" });
+        expect(res.status).toBe(409);
+    });
+
+    test("lets customers cancel a pending order but not confirm it", async () => {
+        const book = await seedBook(server.db, { stock: 0 });
+        const order = await seedOrder(server.db, {
+            bookId: book.id,
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 1 }],
+        });
+
+        const confirm = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("reader@test.dev"))
+            .send({ status: "confirmed" });
+        expect(confirm.status).toBe(403);
+
+        const cancel = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("reader@test.dev"))
+            .send({ status: "cancelled" });
+        expect(cancel.status).toBe(200);
+        expect((await findBook(book)).stock).toBe(1);
+        expect((await findOrder(order)).stockReserved).toBe(false);
+    });
+
+    test("cancelling an unpaid order closes its checkout", async () => {
+        const book = await seedBook(server.db, { stock: 1 });
+        const order = await seedOrder(server.db, { bookId: book.id, bookTitle: book.title });
+        await request(server.app).post("/create-checkout-session").set(authAs("reader@test.dev")).send({ orderId: order.id });
+
+        const cancel = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("reader@test.dev"))
+            .send({ status: "cancelled" });
+        expect(cancel.status).toBe(200);
+        expect(server.stripe.checkout.sessions.expire).toHaveBeenCalledWith("cs_test_1");
+        expect(server.stripe.sessions.get("cs_test_1").status).toBe("expired");
+        expect(server.stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    test("cancelling a paid order refunds it", async () => {
+        const book = await seedBook(server.db, { price: 20, stock: 0 });
+        await seedPayment(server.db, { transactionId: "pi_cancelled", amount: 20, bookId: book.id });
+        const order = await seedOrder(server.db, {
+            bookId: book.id,
+            paymentStatus: "paid",
+            transactionId: "pi_cancelled",
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 1 }],
+        });
+
+        const cancel = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("reader@test.dev"))
+            .send({ status: "cancelled" });
+        expect(cancel.status).toBe(200);
+        expect(cancel.body.refund).toMatchObject({ amount: 20, paymentStatus: "refunded" });
+        expect(server.stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: "pi_cancelled", amount: 2000 }));
+        expect(await findOrder(order)).toMatchObject({ status: "cancelled", paymentStatus: "refunded", stockReserved: false });
+        expect((await findBook(book)).stock).toBe(1);
+    });
+
+    test("keeps librarians away from other librarians' orders", async () => {
+        const book = await seedBook(server.db, { librarianEmail: "other@test.dev" });
+        const order = await seedOrder(server.db, { bookId: book.id });
+
+        const res = await request(server.app)
+            .patch(`/orders/${order.id}`)
+            .set(authAs("librarian@test.dev"))
+            .send({ status: "confirmed" });
+        expect(res.status).toBe(403);
+    });
+
+    test("validates the id and the status", async () => {
+        const order = await seedOrder(server.db);
+
+        expect((await request(server.app).patch("/orders/nope").set(authAs("admin@test.dev")).send({ status: "confirmed" })).status).toBe(400);
+        expect((await request(server.app).patch(`/orders/${order.id}`).set(authAs("admin@test.dev")).send({ status: "lost" })).status).toBe(400);
+        expect((await request(server.app).patch("/orders/64b7f0c2a1b2c3d4e5f60718").set(authAs("admin@test.dev")).send({ status: "confirmed" })).status).toBe(404);
+    });
+});
+
+describe("DELETE /orders/:id", () => {
+    test("is admin only and gives reserved copies back", async () => {
+        const book = await seedBook(server.db, { stock: 2 });
+        const order = await seedOrder(server.db, {
+            bookId: book.id,
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 3 }],
+        });
+
+        const denied = await request(server.app).delete(`/orders/${order.id}`).set(authAs("reader@test.dev"));
+        expect(denied.status).toBe(403);
+
+        const res = await request(server.app).delete(`/orders/${order.id}`).set(authAs("admin@test.dev"));
+        expect(res.body.deletedCount).toBe(1);
+        expect((await findBook(book)).stock).toBe(5);
+    });
+
+    test("does not put sold copies back", async () => {
+        const book = await seedBook(server.db, { stock: 0 });
+        const reservation = { bookId: book.id, stockReserved: true, reservedItems: [{ bookId: book.id, quantity: 1 }] };
+        const paid = await seedOrder(server.db, { ...reservation, paymentStatus: "paid" });
+        const delivered = await seedOrder(server.db, { ...reservation, status: "delivered" });
+
+        for (const order of [paid, delivered]) {
+            expect((await request(server.app).delete(`/orders/${order.id}`).set(authAs("admin@test.dev"))).body.deletedCount).toBe(1);
+        }
+        expect((await findBook(book)).stock).toBe(0);
+    });
+
+    test("answers 400 for malformed ids", async () => {
+        const res = await request(server.app).delete("/orders/not-an-id").set(authAs("admin@test.dev"));
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe("Invalid ID");
+    });
+});
+
+describe("reservation sweep", () => {
+    test("releases stock held by unpaid orders past their deadline", async () => {
+        const book = await seedBook(server.db, { stock: 0 });
+        const reservation = {
+            bookId: book.id,
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 1 }],
+        };
+        const expired = await seedOrder(server.db, { ...reservation, reservedUntil: new Date(Date.now() - 1000) });
+        await seedOrder(server.db, { ...reservation, reservedUntil: new Date(Date.now() + 60 * 60 * 1000) });
+
+        const released = await server.app.locals.ctx.releaseExpiredReservations();
+
+        expect(released).toBe(1);
+        expect((await findBook(book)).stock).toBe(1);
+        expect((await findOrder(expired)).stockReserved).toBe(false);
+
+        // A second sweep finds nothing left to release
+        expect(await server.app.locals.ctx.releaseExpiredReservations()).toBe(0);
+    });
+
+    test("leaves orders alone that were paid after it looked them up", async () => {
+        const book = await seedBook(server.db, { stock: 0 });
+        const order = await seedOrder(server.db, {
+            bookId: book.id,
+            paymentStatus: "paid",
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 1 }],
+            reservedUntil: new Date(Date.now() - 1000),
+        });
+        const { ordersCollection } = server.app.locals.ctx;
+        jest.spyOn(ordersCollection, "find").mockReturnValueOnce({
+            project: () => ({ toArray: async () => [{ _id: order._id }] }),
+        });
+
+        await server.app.locals.ctx.releaseExpiredReservations();
+        jest.restoreAllMocks();
+
+        expect((await findBook(book)).stock).toBe(0);
+        expect((await findOrder(order)).stockReserved).toBe(true);
+    });
+});
+
+describe("returns", () => {
+    // A paid order delivered `daysAgo` days ago
+    async function deliveredOrder(daysAgo = 1) {
+        const book = await seedBook(server.db, { price: 20, stock: 0 });
+        // One payment per transaction, as the unique index on payments requires
+        const transactionId = `pi_paid_${book.id}`;
+        await seedPayment(server.db, { transactionId, amount: 20, bookId: book.id });
+        const order = await seedOrder(server.db, {
+            bookId: book.id,
+            status: "delivered",
+            paymentStatus: "paid",
+            transactionId,
+            stockReserved: true,
+            reservedItems: [{ bookId: book.id, quantity: 1 }],
+            statusHistory: [{ status: "delivered", from: "shipped", at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000) }],
+        });
+        return { book, order };
+    }
+
+    const requestReturn = (order, who = "reader@test.dev", body = { reason: "Damaged cover" }) =>
+        request(server.app).post(`/orders/${order.id}/return-request`).set(authAs(who)).send(body);
+    const decide = (order, who, body) =>
+        request(server.app).patch(`/orders/${order.id}/return-request`).set(authAs(who)).send(body);
+
+    test("customers request a return on a delivered order", async () => {
+        const { order } = await deliveredOrder();
+
+        const res = await requestReturn(order);
+        expect(res.body.returnRequest).toMatchObject({ status: "requested", reason: "Damaged cover" });
+
+        const again = await requestReturn(order);
+        expect(again.status).toBe(409);
+    });
+
+    test("only the customer may request it, with a reason, within the return window", async () => {
+        const { order } = await deliveredOrder();
+        expect((await requestReturn(order, "someone@test.dev")).status).toBe(403);
+        expect((await requestReturn(order, "reader@test.dev", {})).status).toBe(400);
+
+        const { order: old } = await deliveredOrder(31);
+        expect((await requestReturn(old)).status).toBe(409);
+
+        const pending = await seedOrder(server.db);
+        expect((await requestReturn(pending)).status).toBe(409);
+    });
+
+    test("staff see open requests for their books", async () => {
+        const { order } = await deliveredOrder();
+        await requestReturn(order);
+
+        const own = await request(server.app).get("/return-requests").set(authAs("librarian@test.dev"));
+        expect(own.body.map(item => item._id)).toEqual([order.id]);
+
+        const other = await request(server.app).get("/return-requests").set(authAs("other@test.dev"));
+        expect(other.body).toEqual([]);
+    });
+
+    test("approving returns the order, restocks it and refunds the payment", async () => {
+        const { book, order } = await deliveredOrder();
+        await requestReturn(order);
+
+        const res = await decide(order, "librarian@test.dev", { action: "approve" });
+        expect(res.body).toMatchObject({ success: true, status: "returned", refund: { amount: 20, paymentStatus: "refunded" } });
+
+        const stored = await findOrder(order);
+        expect(stored).toMatchObject({ status: "returned", paymentStatus: "refunded" });
+        expect(stored.returnRequest).toMatchObject({ status: "approved", decidedBy: "librarian@test.dev" });
+        expect(stored.statusHistory.pop()).toMatchObject({ status: "returned", from: "delivered" });
+        expect((await findBook(book)).stock).toBe(1);
+    });
+
+    test("the return stands when Stripe refuses the refund", async () => {
+        const { order } = await deliveredOrder();
+        await requestReturn(order);
+        server.stripe.refunds.create.mockRejectedValueOnce(new Error("Stripe is down"));
+
+        const res = await decide(order, "admin@test.dev", { action: "approve" });
+        expect(res.body).toMatchObject({ status: "returned", refund: null, refundError: "Stripe is down" });
+        expect((await findOrder(order)).paymentStatus).toBe("paid");
+    });
+
+    test("rejecting keeps the order delivered", async () => {
+        const { order } = await deliveredOrder();
+        await requestReturn(order);
+
+        const res = await decide(order, "librarian@test.dev", { action: "reject", note: "Outside policy" });
+        expect(res.body).toEqual({ success: true, status: "delivered" });
+
+        const stored = await findOrder(order);
+        expect(stored.returnRequest).toMatchObject({ status: "rejected", note: "Outside policy" });
+        expect(server.stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    test("decisions need staff rights on the order and an open request", async () => {
+        const { order } = await deliveredOrder();
+        expect((await decide(order, "librarian@test.dev", { action: "approve" })).status).toBe(409);
+
+        await requestReturn(order);
+        expect((await decide(order, "other@test.dev", { action: "approve" })).status).toBe(403);
+        expect((await decide(order, "reader@test.dev", { action: "approve" })).status).toBe(403);
+        expect((await decide(order, "admin@test.dev", { action: "refund" })).status).toBe(400);
+    });
+});
@@ -0,0 +1,420 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder, seedPayment, signedEvent } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+});
+
+const reader = authAs("reader@test.dev");
+
+function deliver(type, object) {
+    const { payload, signature } = signedEvent(type, object);
+    return request(server.app)
+        .post("/stripe/webhook")
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", signature)
+        .send(payload);
+}
+
+// An order with a checkout session, as POST /create-checkout-session leaves it
+async function checkedOutOrder(bookOverrides = {}) {
+    const book = await seedBook(server.db, { price: 12.99, ...bookOverrides });
+    const order = await seedOrder(server.db, { bookId: book.id, bookTitle: book.title });
+    await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+
+    const session = server.stripe.sessions.get("cs_test_1");
+    return { book, order, session };
+}
+
+function paidSession(session, paymentIntent = "pi_test_1") {
+    return { ...session, payment_status: "paid", payment_intent: paymentIntent };
+}
+
+describe("POST /create-checkout-session", () => {
+    test("prices the order from the catalogue and links the session to it", async () => {
+        const { order, session } = await checkedOutOrder();
+
+        expect(session.line_items[0].price_data).toMatchObject({ currency: "EUR", unit_amount: 1299 });
+        expect(session.metadata).toMatchObject({ orderId: order.id, customerEmail: "reader@test.dev", bookId: order.bookId });
+        expect(session.expires_at).toBeGreaterThan(Date.now() / 1000);
+
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored).toMatchObject({ checkoutSessionId: "cs_test_1", amount: 12.99, currency: "EUR" });
+        expect(stored.lineItems).toEqual([{ bookId: order.bookId, bookTitle: order.bookTitle, quantity: 1, unitPrice: 12.99 }]);
+    });
+
+    test("refuses orders whose book was unpublished since", async () => {
+        const book = await seedBook(server.db, { status: "unpublished" });
+        const order = await seedOrder(server.db, { bookId: book.id });
+
+        const res = await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+        expect(res.status).toBe(409);
+        expect(server.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    test("reserves stock again for orders whose reservation lapsed", async () => {
+        const { book } = await checkedOutOrder({ stock: 2 });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+    });
+
+    test("only lets the customer pay for their own unpaid, open order", async () => {
+        const book = await seedBook(server.db);
+        const someoneElses = await seedOrder(server.db, { bookId: book.id, customerEmail: "someone@test.dev" });
+        const paid = await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid" });
+        const cancelled = await seedOrder(server.db, { bookId: book.id, status: "cancelled" });
+
+        const pay = orderId => request(server.app).post("/create-checkout-session").set(reader).send({ orderId });
+        expect((await pay("nope")).status).toBe(400);
+        expect((await pay("64b7f0c2a1b2c3d4e5f60718")).status).toBe(404);
+        expect((await pay(someoneElses.id)).status).toBe(403);
+        expect((await pay(paid.id)).status).toBe(409);
+        expect((await pay(cancelled.id)).status).toBe(409);
+        expect(server.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    test("refuses books without a valid price", async () => {
+        const book = await seedBook(server.db, { price: 0 });
+        const order = await seedOrder(server.db, { bookId: book.id });
+
+        const res = await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+        expect(res.status).toBe(422);
+    });
+});
+
+describe("GET /payment-success", () => {
+    test("reports the session state without writing anything", async () => {
+        const { session } = await checkedOutOrder();
+
+        const res = await request(server.app).get(`/payment-success?session_id=${session.id}`).set(reader);
+        expect(res.body).toMatchObject({ success: false, recorded: false });
+        expect(await server.db.collection("payments").countDocuments()).toBe(0);
+
+        // The old PATCH endpoint answers the same way
+        const patch = await request(server.app).patch(`/payment-success?session_id=${session.id}`).set(reader);
+        expect(patch.body).toEqual(res.body);
+    });
+
+    test("shows the payment recorded by the webhook", async () => {
+        const { session } = await checkedOutOrder();
+        server.stripe.sessions.set(session.id, paidSession(session));
+        await deliver("checkout.session.completed", paidSession(session));
+
+        const res = await request(server.app).get(`/payment-success?session_id=${session.id}`).set(reader);
+        expect(res.body).toMatchObject({ success: true, recorded: true, paymentStatus: "paid", transactionId: "pi_test_1" });
+    });
+
+    test("hides other customers' sessions", async () => {
+        const { session } = await checkedOutOrder();
+        const res = await request(server.app).get(`/payment-success?session_id=${session.id}`).set(authAs("someone@test.dev"));
+        expect(res.status).toBe(403);
+    });
+
+    test("requires a session id", async () => {
+        const res = await request(server.app).get("/payment-success").set(reader);
+        expect(res.status).toBe(400);
+    });
+});
+
+describe("GET /payments", () => {
+    test("lists the caller's own payments", async () => {
+        await server.db.collection("payments").insertOne({ customerEmail: "reader@test.dev", amount: 5, paidAt: new Date() });
+
+        const res = await request(server.app).get("/payments?email=reader@test.dev").set(reader);
+        expect(res.body).toHaveLength(1);
+
+        const denied = await request(server.app).get("/payments?email=someone@test.dev").set(reader);
+        expect(denied.status).toBe(403);
+    });
+});
+
+describe("POST /stripe/webhook", () => {
+    test("rejects deliveries with a bad signature", async () => {
+        const { payload } = signedEvent("checkout.session.completed", {});
+        const res = await request(server.app)
+            .post("/stripe/webhook")
+            .set("Content-Type", "application/json")
+            .set("Stripe-Signature", "t=1,v1=forged")
+            .send(payload);
+        expect(res.status).toBe(400);
+    });
+
+    test("acknowledges events it does not handle", async () => {
+        const res = await deliver("customer.created", { id: "cus_1" });
+        expect(res.body).toEqual({ received: true, ignored: true });
+    });
+
+    test("checkout.session.completed records the payment and marks the order paid", async () => {
+        const { order, session } = await checkedOutOrder();
+
+        const res = await deliver("checkout.session.completed", paidSession(session));
+        expect(res.body).toEqual({ received: true });
+
+        const payment = await server.db.collection("payments").findOne({});
+        expect(payment).toMatchObject({
+            orderId: order.id,
+            customerEmail: "reader@test.dev",
+            transactionId: "pi_test_1",
+            amount: 12.99,
+            paymentStatus: "paid",
+            bookTitle: order.bookTitle,
+        });
+        expect(payment.lineItems).toHaveLength(1);
+
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored).toMatchObject({ paymentStatus: "paid", transactionId: "pi_test_1" });
+    });
+
+    test("records a redelivered event only once", async () => {
+        const { session } = await checkedOutOrder();
+
+        await deliver("checkout.session.completed", paidSession(session));
+        await deliver("checkout.session.completed", paidSession(session));
+
+        expect(await server.db.collection("payments").countDocuments()).toBe(1);
+    });
+
+    test("ignores completed sessions that are not paid yet", async () => {
+        const { order, session } = await checkedOutOrder();
+
+        await deliver("checkout.session.completed", session);
+
+        expect(await server.db.collection("payments").countDocuments()).toBe(0);
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("unpaid");
+    });
+
+    test("checkout.session.async_payment_succeeded is handled like completion", async () => {
+        const { order, session } = await checkedOutOrder();
+
+        await deliver("checkout.session.async_payment_succeeded", paidSession(session));
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("paid");
+    });
+
+    test("a payment for an order cancelled meanwhile is refunded, not booked", async () => {
+        const { book, order, session } = await checkedOutOrder({ stock: 1 });
+        await request(server.app).patch(`/orders/${order.id}`).set(reader).send({ status: "cancelled" });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+
+        const res = await deliver("checkout.session.completed", paidSession(session));
+        expect(res.status).toBe(200);
+        await deliver("checkout.session.completed", paidSession(session));
+
+        expect(server.stripe.refunds.create).toHaveBeenCalledTimes(1);
+        expect(server.stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: "pi_test_1", amount: 1299 }));
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored).toMatchObject({ status: "cancelled", paymentStatus: "refunded", transactionId: "pi_test_1" });
+        expect(await server.db.collection("payments").findOne({})).toMatchObject({ paymentStatus: "refunded", refundedAmount: 12.99 });
+        expect(await server.db.collection("notifications").countDocuments({ event: "order.paid" })).toBe(0);
+    });
+
+    test("a paid order's copies count as sold, and come back when it is cancelled", async () => {
+        const { book, order, session } = await checkedOutOrder({ stock: 1 });
+        await deliver("checkout.session.completed", paidSession(session));
+
+        const paid = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(paid).toMatchObject({ paymentStatus: "paid", stockReserved: false, stockSold: true });
+        await deliver("checkout.session.expired", { ...session, status: "expired" });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(0);
+
+        await request(server.app).patch(`/orders/${order.id}`).set(reader).send({ status: "cancelled" });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).stockSold).toBe(false);
+    });
+
+    test("a new checkout closes the previous session and refunds a payment that still got through", async () => {
+        const { book, order, session: first } = await checkedOutOrder({ stock: 1 });
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+        expect(server.stripe.checkout.sessions.expire).toHaveBeenCalledWith("cs_test_1");
+        const second = server.stripe.sessions.get("cs_test_2");
+
+        await deliver("checkout.session.expired", { ...first, status: "expired" });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(0);
+
+        await deliver("checkout.session.completed", paidSession(second, "pi_second"));
+        await deliver("checkout.session.completed", paidSession(first, "pi_first"));
+        await deliver("checkout.session.completed", paidSession(first, "pi_first"));
+
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored).toMatchObject({ paymentStatus: "paid", transactionId: "pi_second" });
+        expect(server.stripe.refunds.create).toHaveBeenCalledTimes(1);
+        expect(server.stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: "pi_first", reason: "duplicate" }));
+        expect(await server.db.collection("notifications").countDocuments({ event: "order.paid" })).toBe(1);
+    });
+
+    test("checkout.session.expired puts the reserved copies back", async () => {
+        const { book, order, session } = await checkedOutOrder({ stock: 1 });
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(0);
+
+        await deliver("checkout.session.expired", { ...session, status: "expired" });
+
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(1);
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored.stockReserved).toBe(false);
+        expect(stored.lastCheckoutExpiredAt).toBeInstanceOf(Date);
+    });
+
+    test("an older checkout session expiring keeps the copies of the current one", async () => {
+        const { book, order, session } = await checkedOutOrder({ stock: 1 });
+        await request(server.app).post("/create-checkout-session").set(reader).send({ orderId: order.id });
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).checkoutSessionId).toBe("cs_test_2");
+
+        await deliver("checkout.session.expired", { ...session, status: "expired" });
+
+        expect((await server.db.collection("books").findOne({ _id: book._id })).stock).toBe(0);
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).stockReserved).toBe(true);
+    });
+
+    test("charge.refunded flags the payment and the order", async () => {
+        const { order, session } = await checkedOutOrder();
+        await deliver("checkout.session.completed", paidSession(session));
+
+        await deliver("charge.refunded", { id: "ch_1", payment_intent: "pi_test_1", refunded: false, amount_refunded: 500 });
+        expect(await server.db.collection("payments").findOne({})).toMatchObject({ paymentStatus: "partially_refunded", refundedAmount: 5 });
+
+        await deliver("charge.refunded", { id: "ch_1", payment_intent: "pi_test_1", refunded: true, amount_refunded: 1299 });
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("refunded");
+    });
+
+    test("charge.refunded events arriving out of order keep the latest total", async () => {
+        const { order, session } = await checkedOutOrder();
+        await deliver("checkout.session.completed", paidSession(session));
+
+        await deliver("charge.refunded", { id: "ch_1", payment_intent: "pi_test_1", refunded: true, amount_refunded: 1299 });
+        await deliver("charge.refunded", { id: "ch_1", payment_intent: "pi_test_1", refunded: false, amount_refunded: 500 });
+
+        expect(await server.db.collection("payments").findOne({})).toMatchObject({ paymentStatus: "refunded", refundedAmount: 12.99 });
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("refunded");
+    });
+
+    test("payment_intent.payment_failed stores the reason on the order", async () => {
+        const { order } = await checkedOutOrder();
+
+        await deliver("payment_intent.payment_failed", {
+            id: "pi_test_1",
+            metadata: { orderId: order.id },
+            last_payment_error: { message: "Your card was declined." },
+        });
+
+        const stored = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(stored.lastPaymentError).toBe("Your card was declined.");
+        expect(stored.paymentStatus).toBe("unpaid");
+    });
+
+    test("answers 500 so Stripe retries when a handler fails", async () => {
+        const { session } = await checkedOutOrder();
+        const spy = jest.spyOn(server.db.collection("payments").constructor.prototype, "updateOne")
+            .mockRejectedValueOnce(new Error("write failed"));
+
+        const res = await deliver("checkout.session.completed", paidSession(session));
+        spy.mockRestore();
+
+        expect(res.status).toBe(500);
+    });
+});
+
+describe("POST /payments/:transactionId/refunds", () => {
+    // A paid single-book order for a book owned by librarian@test.dev
+    async function paidOrder() {
+        const book = await seedBook(server.db, { price: 20 });
+        const payment = await seedPayment(server.db, {
+            transactionId: "pi_paid",
+            amount: 20,
+            bookId: book.id,
+            lineItems: [{ bookId: book.id, bookTitle: book.title, quantity: 1, unitPrice: 20 }],
+        });
+        const order = await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid", transactionId: "pi_paid" });
+        return { book, payment, order };
+    }
+
+    beforeEach(async () => {
+        await seedUser(server.db, "admin@test.dev", "admin");
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+        await seedUser(server.db, "other@test.dev", "librarian");
+    });
+
+    const refund = (who, body) => request(server.app).post("/payments/pi_paid/refunds").set(authAs(who)).send(body);
+
+    test("refunds part of a payment through Stripe and records it", async () => {
+        const { order } = await paidOrder();
+
+        const res = await refund("librarian@test.dev", { amount: 5.5, reason: "requested_by_customer" });
+        expect(res.body).toMatchObject({ refundId: "re_test_1", amount: 5.5, refundedAmount: 5.5, paymentStatus: "partially_refunded" });
+        expect(server.stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+            payment_intent: "pi_paid",
+            amount: 550,
+            reason: "requested_by_customer",
+        }));
+
+        const payment = await server.db.collection("payments").findOne({ transactionId: "pi_paid" });
+        expect(payment).toMatchObject({ refundedAmount: 5.5, paymentStatus: "partially_refunded" });
+        expect(payment.refunds).toHaveLength(1);
+        expect(payment.refunds[0]).toMatchObject({ refundId: "re_test_1", requestedBy: "librarian@test.dev", status: "succeeded" });
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("partially_refunded");
+    });
+
+    test("refunds the remainder by default and then refuses more", async () => {
+        const { order } = await paidOrder();
+        await refund("admin@test.dev", { amount: 5 });
+
+        const res = await refund("admin@test.dev", {});
+        expect(res.body).toMatchObject({ amount: 15, refundedAmount: 20, paymentStatus: "refunded" });
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("refunded");
+
+        const again = await refund("admin@test.dev", {});
+        expect(again.status).toBe(409);
+    });
+
+    test("counts refunds issued at the same time from the same payment", async () => {
+        const { payment, order } = await paidOrder();
+        const { issueRefund } = server.app.locals.ctx;
+
+        // Both start from the payment as it was before either refund
+        await issueRefund(payment, { amount: 5, requestedBy: "admin@test.dev" });
+        const second = await issueRefund(payment, { amount: 15, requestedBy: "admin@test.dev" });
+
+        expect(second).toMatchObject({ refundedAmount: 20, paymentStatus: "refunded" });
+        const stored = await server.db.collection("payments").findOne({ transactionId: "pi_paid" });
+        expect(stored).toMatchObject({ refundedAmount: 20, paymentStatus: "refunded" });
+        expect(stored.refunds).toHaveLength(2);
+        expect((await server.db.collection("orders").findOne({ _id: order._id })).paymentStatus).toBe("refunded");
+    });
+
+    test("validates the amount and reason", async () => {
+        await paidOrder();
+        expect((await refund("admin@test.dev", { amount: 25 })).status).toBe(400);
+        expect((await refund("admin@test.dev", { amount: -1 })).status).toBe(400);
+        expect((await refund("admin@test.dev", { amount: 1, reason: "changed_mind" })).status).toBe(400);
+        expect(server.stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    test("keeps librarians to payments for their own books", async () => {
+        await paidOrder();
+        expect((await refund("other@test.dev", {})).status).toBe(403);
+        expect((await refund("reader@test.dev", {})).status).toBe(403);
+    });
+
+    test("passes Stripe's refusal on as a 400", async () => {
+        await paidOrder();
+        server.stripe.refunds.create.mockRejectedValueOnce(
+            Object.assign(new Error("Charge has been disputed"), { type: "StripeInvalidRequestError" })
+        );
+
+        const res = await refund("admin@test.dev", {});
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe("Charge has been disputed");
+        expect((await server.db.collection("payments").findOne({})).refunds).toBeUndefined();
+    });
+
+    test("answers 404 for unknown payments", async () => {
+        expect((await refund("admin@test.dev", {})).status).toBe(404);
+    });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { startTestServer, authAs, seedUser, seedBook } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+});
+
+// Each app gets its own counters; env is only read while the app is built
+function limitedApp(env = {}, options = {}) {
+    const variables = { RATE_LIMIT_ENABLED: "true", ...env };
+    const previous = {};
+    for (const [name, value] of Object.entries(variables)) {
+        previous[name] = process.env[name];
+        process.env[name] = value;
+    }
+    try {
+        return createApp({ db: server.db, auth: server.auth, stripe: server.stripe, mailer: server.mailer, ...options });
+    } finally {
+        for (const [name, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+describe("rate limits", () => {
+    test("answer 429 with Retry-After once a policy is used up", async () => {
+        const app = limitedApp({ RATE_LIMIT_SIGNUP: "2/60" });
+
+        const first = await request(app).post("/users").send({ email: "a@test.dev" });
+        expect(first.headers["ratelimit-limit"]).toBe("2");
+        expect(first.headers["ratelimit-remaining"]).toBe("1");
+        await request(app).post("/users").send({ email: "b@test.dev" });
+
+        const res = await request(app).post("/users").send({ email: "c@test.dev" });
+        expect(res.status).toBe(429);
+        expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+        expect(await server.db.collection("users").countDocuments({ email: "c@test.dev" })).toBe(0);
+    });
+
+    test("count checkout per signed-in user, not per address", async () => {
+        const app = limitedApp({ RATE_LIMIT_CHECKOUT: "1/600" });
+        const book = await seedBook(server.db);
+        const order = { bookId: book.id, bookTitle: book.title, price: book.price };
+
+        expect((await request(app).post("/orders").set(authAs("one@test.dev")).send(order)).status).toBe(200);
+        expect((await request(app).post("/orders").set(authAs("one@test.dev")).send(order)).status).toBe(429);
+        expect((await request(app).post("/orders").set(authAs("two@test.dev")).send(order)).status).toBe(200);
+    });
+
+    test("skip the Stripe webhook in the global limit", async () => {
+        const app = limitedApp({ RATE_LIMIT_GLOBAL: "1/60" });
+
+        expect((await request(app).get("/ping")).status).toBe(200);
+        expect((await request(app).get("/ping")).status).toBe(429);
+        // Rejected for its missing signature, not for the limit
+        expect((await request(app).post("/stripe/webhook").send({})).status).toBe(400);
+    });
+
+    test("are not consulted while the database is not ready", async () => {
+        const app = limitedApp({ RATE_LIMIT_STORE: "mongo", RATE_LIMIT_GLOBAL: "1/60" }, { isReady: () => false });
+        const find = jest.spyOn(app.locals.ctx.rateLimitAllowListCollection, "find");
+
+        expect((await request(app).get("/books/published")).status).toBe(503);
+        expect((await request(app).get("/books/published")).status).toBe(503);
+        expect(find).not.toHaveBeenCalled();
+        expect(await server.db.collection("rate_limits").countDocuments()).toBe(0);
+    });
+
+    test("can share counters between instances through MongoDB", async () => {
+        const env = { RATE_LIMIT_STORE: "mongo", RATE_LIMIT_PUBLIC_READ: "1/60" };
+        const first = limitedApp(env);
+        const second = limitedApp(env);
+
+        expect((await request(first).get("/books/published")).status).toBe(200);
+        expect((await request(second).get("/books/published")).status).toBe(429);
+        expect(await server.db.collection("rate_limits").countDocuments()).toBeGreaterThan(0);
+    });
+
+    test("do not apply to allow-listed addresses", async () => {
+        const app = limitedApp({ RATE_LIMIT_PUBLIC_READ: "1/60" });
+        const added = await request(app)
+            .post("/rate-limits/allow-list")
+            .set(authAs("admin@test.dev"))
+            .send({ type: "ip", value: "::ffff:127.0.0.1", note: "monitoring" });
+        expect(added.status).toBe(200);
+
+        expect((await request(app).get("/books/published")).status).toBe(200);
+        expect((await request(app).get("/books/published")).status).toBe(200);
+    });
+
+    test("reject malformed overrides at startup", () => {
+        expect(() => limitedApp({ RATE_LIMIT_SIGNUP: "lots" })).toThrow("RATE_LIMIT_SIGNUP must look like <max>/<windowSeconds>");
+    });
+});
+
+describe("/rate-limits", () => {
+    test("lists the policies and allow list for admins only", async () => {
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+        expect((await request(server.app).get("/rate-limits").set(authAs("librarian@test.dev"))).status).toBe(403);
+
+        const res = await request(server.app).get("/rate-limits").set(authAs("admin@test.dev"));
+        expect(res.body.policies.checkout).toEqual({ max: 10, windowSeconds: 600, by: "uid" });
+        expect(res.body.allowList).toEqual([]);
+    });
+
+    test("validates, deduplicates and removes allow list entries", async () => {
+        const admin = authAs("admin@test.dev");
+        const add = body => request(server.app).post("/rate-limits/allow-list").set(admin).send(body);
+
+        expect((await add({ type: "ip", value: "not-an-ip" })).status).toBe(400);
+        expect((await add({ type: "email", value: "nope" })).status).toBe(400);
+
+        const added = await add({ type: "email", value: "Partner@Test.dev" });
+        expect((await add({ type: "email", value: "partner@test.dev" })).status).toBe(409);
+
+        const res = await request(server.app).delete(`/rate-limits/allow-list/${added.body.insertedId}`).set(admin);
+        expect(res.body.deletedCount).toBe(1);
+        expect(await server.db.collection("audit_log").countDocuments({ action: /^rate_limit\./ })).toBe(2);
+    });
+});
@@ -0,0 +1,273 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+    await seedUser(server.db, "librarian@test.dev", "librarian");
+    await seedUser(server.db, "other@test.dev", "librarian");
+});
+
+const reader = authAs("reader@test.dev");
+
+function review(book, overrides = {}) {
+    return { bookId: book.id, userName: "Reader", rating: 4, comment: "Great", ...overrides };
+}
+
+// A book the reader has paid for, reviewed through the API
+async function reviewedBook(overrides = {}) {
+    const book = await seedBook(server.db);
+    await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid" });
+    const { body } = await request(server.app).post("/reviews").set(reader).send(review(book, overrides));
+    return { book, reviewId: body.insertedId };
+}
+
+const findBook = book => server.db.collection("books").findOne({ _id: book._id });
+
+describe("POST /reviews", () => {
+    test("accepts a review from someone who paid for the book", async () => {
+        const { book } = await reviewedBook();
+
+        const stored = await server.db.collection("reviews").findOne({});
+        expect(stored).toMatchObject({ bookId: book.id, rating: 4, userEmail: "reader@test.dev", status: "visible" });
+    });
+
+    test("takes the author from the token, not the body", async () => {
+        const book = await seedBook(server.db);
+        await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid" });
+
+        await request(server.app).post("/reviews").set(reader).send(review(book, { userEmail: "someone@test.dev" }));
+        expect((await server.db.collection("reviews").findOne({})).userEmail).toBe("reader@test.dev");
+    });
+
+    test("counts books bought through a cart order", async () => {
+        const book = await seedBook(server.db);
+        await seedOrder(server.db, { items: [{ bookId: book.id, quantity: 1 }], paymentStatus: "paid" });
+
+        const res = await request(server.app).post("/reviews").set(reader).send(review(book));
+        expect(res.status).toBe(200);
+    });
+
+    test("refuses reviews without a paid order", async () => {
+        const book = await seedBook(server.db);
+        await seedOrder(server.db, { bookId: book.id });
+
+        const res = await request(server.app).post("/reviews").set(reader).send(review(book));
+        expect(res.status).toBe(403);
+    });
+
+    test("allows one review per book", async () => {
+        const { book } = await reviewedBook();
+        const res = await request(server.app).post("/reviews").set(reader).send(review(book));
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe("You already reviewed this book");
+    });
+
+    test("rejects ratings outside 1-5", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).post("/reviews").set(reader).send(review(book, { rating: 6 }));
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].field).toBe("rating");
+    });
+
+    test("updates the book's average rating and review count", async () => {
+        const { book } = await reviewedBook({ rating: 5 });
+        await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid", customerEmail: "second@test.dev" });
+        await request(server.app).post("/reviews").set(authAs("second@test.dev")).send(review(book, { rating: 2 }));
+
+        expect(await findBook(book)).toMatchObject({ averageRating: 3.5, reviewCount: 2 });
+    });
+});
+
+describe("GET /reviews/:bookId", () => {
+    async function seedReviews(book) {
+        await server.db.collection("reviews").insertMany([
+            { bookId: book.id, rating: 3, userEmail: "a@test.dev", helpfulCount: 5, date: new Date("2024-01-01") },
+            { bookId: book.id, rating: 5, userEmail: "b@test.dev", helpfulCount: 0, date: new Date("2024-02-01") },
+            { bookId: book.id, rating: 1, userEmail: "c@test.dev", helpfulCount: 1, date: new Date("2024-03-01"), status: "hidden" },
+        ]);
+    }
+
+    test("pages visible reviews, newest first", async () => {
+        const book = await seedBook(server.db);
+        await seedReviews(book);
+
+        const res = await request(server.app).get(`/reviews/${book.id}?limit=1`);
+        expect(res.body).toMatchObject({ total: 2, limit: 1, page: 1, totalPages: 2 });
+        expect(res.body.items.map(item => item.userEmail)).toEqual(["b@test.dev"]);
+
+        const next = await request(server.app).get(`/reviews/${book.id}?limit=1&page=2`);
+        expect(next.body.items.map(item => item.userEmail)).toEqual(["a@test.dev"]);
+    });
+
+    test("sorts by rating or helpfulness", async () => {
+        const book = await seedBook(server.db);
+        await seedReviews(book);
+
+        const lowest = await request(server.app).get(`/reviews/${book.id}?sort=lowest`);
+        expect(lowest.body.items.map(item => item.rating)).toEqual([3, 5]);
+
+        const helpful = await request(server.app).get(`/reviews/${book.id}?sort=helpful`);
+        expect(helpful.body.items.map(item => item.userEmail)).toEqual(["a@test.dev", "b@test.dev"]);
+
+        expect((await request(server.app).get(`/reviews/${book.id}?sort=random`)).status).toBe(400);
+    });
+});
+
+describe("GET /reviews/can/:bookId/:email", () => {
+    test("is true only for paying buyers who have not reviewed yet", async () => {
+        const book = await seedBook(server.db);
+        const url = `/reviews/can/${book.id}/reader@test.dev`;
+
+        expect((await request(server.app).get(url).set(reader)).body.canReview).toBe(false);
+
+        await seedOrder(server.db, { bookId: book.id, paymentStatus: "paid" });
+        expect((await request(server.app).get(url).set(reader)).body.canReview).toBe(true);
+
+        await request(server.app).post("/reviews").set(reader).send(review(book));
+        expect((await request(server.app).get(url).set(reader)).body.canReview).toBe(false);
+    });
+
+    test("only answers for the caller", async () => {
+        const book = await seedBook(server.db);
+        const res = await request(server.app).get(`/reviews/can/${book.id}/someone@test.dev`).set(reader);
+        expect(res.status).toBe(403);
+    });
+});
+
+describe("editing and deleting", () => {
+    test("authors can edit their rating and comment", async () => {
+        const { book, reviewId } = await reviewedBook({ rating: 4 });
+
+        const res = await request(server.app).patch(`/reviews/${reviewId}`).set(reader).send({ rating: 2, comment: "Meh" });
+        expect(res.status).toBe(200);
+
+        const stored = await server.db.collection("reviews").findOne({});
+        expect(stored).toMatchObject({ rating: 2, comment: "Meh" });
+        expect(stored.updatedAt).toBeInstanceOf(Date);
+        expect((await findBook(book)).averageRating).toBe(2);
+    });
+
+    test("nobody else can edit a review", async () => {
+        const { reviewId } = await reviewedBook();
+        const res = await request(server.app).patch(`/reviews/${reviewId}`).set(authAs("admin@test.dev")).send({ rating: 1 });
+        expect(res.status).toBe(403);
+    });
+
+    test("only rating and comment can change", async () => {
+        const { reviewId } = await reviewedBook();
+        const res = await request(server.app).patch(`/reviews/${reviewId}`).set(reader).send({ userName: "Someone" });
+        expect(res.status).toBe(400);
+    });
+
+    test("authors and admins can delete a review", async () => {
+        const { book, reviewId } = await reviewedBook();
+
+        const denied = await request(server.app).delete(`/reviews/${reviewId}`).set(authAs("librarian@test.dev"));
+        expect(denied.status).toBe(403);
+
+        const res = await request(server.app).delete(`/reviews/${reviewId}`).set(reader);
+        expect(res.body.deletedCount).toBe(1);
+        expect(await findBook(book)).toMatchObject({ averageRating: 0, reviewCount: 0 });
+
+        const again = await request(server.app).delete(`/reviews/${reviewId}`).set(authAs("admin@test.dev"));
+        expect(again.status).toBe(404);
+    });
+});
+
+describe("helpful votes", () => {
+    test("count each reader once and can be taken back", async () => {
+        const { reviewId } = await reviewedBook();
+        const voter = authAs("voter@test.dev");
+
+        await request(server.app).post(`/reviews/${reviewId}/helpful`).set(voter);
+        const twice = await request(server.app).post(`/reviews/${reviewId}/helpful`).set(voter);
+        expect(twice.body).toEqual({ helpfulCount: 1 });
+
+        const undone = await request(server.app).delete(`/reviews/${reviewId}/helpful`).set(voter);
+        expect(undone.body).toEqual({ helpfulCount: 0 });
+
+        const again = await request(server.app).delete(`/reviews/${reviewId}/helpful`).set(voter);
+        expect(again.body).toEqual({ helpfulCount: 0 });
+    });
+
+    test("authors cannot vote on their own review", async () => {
+        const { reviewId } = await reviewedBook();
+        const res = await request(server.app).post(`/reviews/${reviewId}/helpful`).set(reader);
+        expect(res.status).toBe(400);
+    });
+});
+
+describe("reports and moderation", () => {
+    test("a report queues the review for the owning librarian", async () => {
+        const { reviewId } = await reviewedBook();
+
+        const res = await request(server.app).post(`/reviews/${reviewId}/report`).set(authAs("voter@test.dev")).send({ reason: "Spam" });
+        expect(res.status).toBe(200);
+
+        const duplicate = await request(server.app).post(`/reviews/${reviewId}/report`).set(authAs("voter@test.dev")).send({ reason: "Spam" });
+        expect(duplicate.status).toBe(409);
+
+        const queue = await request(server.app).get("/reviews/moderation").set(authAs("librarian@test.dev"));
+        expect(queue.body.map(item => [item._id, item.reportCount])).toEqual([[reviewId, 1]]);
+
+        const otherQueue = await request(server.app).get("/reviews/moderation").set(authAs("other@test.dev"));
+        expect(otherQueue.body).toEqual([]);
+    });
+
+    test("reports need a reason", async () => {
+        const { reviewId } = await reviewedBook();
+        const res = await request(server.app).post(`/reviews/${reviewId}/report`).set(authAs("voter@test.dev")).send({});
+        expect(res.status).toBe(400);
+    });
+
+    test("hiding removes the review from the book and its rating; approving restores it", async () => {
+        const { book, reviewId } = await reviewedBook({ rating: 5 });
+        await request(server.app).post(`/reviews/${reviewId}/report`).set(authAs("voter@test.dev")).send({ reason: "Spam" });
+        const moderate = action => request(server.app)
+            .patch(`/reviews/${reviewId}/moderation`)
+            .set(authAs("librarian@test.dev"))
+            .send({ action });
+
+        expect((await moderate("hide")).body).toEqual({ success: true, status: "hidden" });
+        expect((await request(server.app).get(`/reviews/${book.id}`)).body.total).toBe(0);
+        expect(await findBook(book)).toMatchObject({ averageRating: 0, reviewCount: 0 });
+
+        const hidden = await request(server.app).get("/reviews/moderation?status=hidden").set(authAs("admin@test.dev"));
+        expect(hidden.body).toHaveLength(1);
+
+        await moderate("approve");
+        expect((await request(server.app).get(`/reviews/${book.id}`)).body.total).toBe(1);
+        expect(await findBook(book)).toMatchObject({ averageRating: 5, reviewCount: 1 });
+        expect((await request(server.app).get("/reviews/moderation").set(authAs("admin@test.dev"))).body).toEqual([]);
+    });
+
+    test("librarians cannot moderate other librarians' books", async () => {
+        const { reviewId } = await reviewedBook();
+        const res = await request(server.app)
+            .patch(`/reviews/${reviewId}/moderation`)
+            .set(authAs("other@test.dev"))
+            .send({ action: "hide" });
+        expect(res.status).toBe(403);
+    });
+
+    test("rejects unknown moderation actions and non-staff callers", async () => {
+        const { reviewId } = await reviewedBook();
+
+        const bad = await request(server.app).patch(`/reviews/${reviewId}/moderation`).set(authAs("admin@test.dev")).send({ action: "delete" });
+        expect(bad.status).toBe(400);
+
+        const reader403 = await request(server.app).patch(`/reviews/${reviewId}/moderation`).set(reader).send({ action: "hide" });
+        expect(reader403.status).toBe(403);
+    });
+});
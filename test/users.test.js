@@ -0,0 +1,354 @@
+const request = require('supertest');
+const { startTestServer, authAs, seedUser, seedBook, seedOrder } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+    await seedUser(server.db, "admin@test.dev", "admin");
+});
+
+describe("POST /users", () => {
+    test("creates a user with the default role", async () => {
+        const res = await request(server.app).post("/users").send({ name: "Reader", email: "reader@test.dev" });
+        expect(res.status).toBe(200);
+
+        const user = await server.db.collection("users").findOne({ email: "reader@test.dev" });
+        expect(user.role).toBe("user");
+        expect(user.createdAt).toBeInstanceOf(Date);
+    });
+
+    test("does not create the same user twice", async () => {
+        await request(server.app).post("/users").send({ email: "reader@test.dev" });
+        const res = await request(server.app).post("/users").send({ email: "reader@test.dev" });
+
+        expect(res.body.message).toBe("user exists");
+        expect(await server.db.collection("users").countDocuments({ email: "reader@test.dev" })).toBe(1);
+    });
+
+    test("rejects a client-chosen role", async () => {
+        const res = await request(server.app).post("/users").send({ email: "sneaky@test.dev", role: "admin" });
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([{ field: "role", message: "cannot be set by clients" }]);
+    });
+
+    test("rejects an invalid email", async () => {
+        const res = await request(server.app).post("/users").send({ email: "not-an-email" });
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].field).toBe("email");
+    });
+});
+
+describe("GET /users", () => {
+    test("lists every user for admins", async () => {
+        await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app).get("/users").set(authAs("admin@test.dev"));
+        expect(res.status).toBe(200);
+        expect(res.body.map(user => user.email).sort()).toEqual(["admin@test.dev", "reader@test.dev"]);
+    });
+});
+
+describe("GET /users/:email/role", () => {
+    test("returns the caller's role and permissions", async () => {
+        const res = await request(server.app).get("/users/admin@test.dev/role").set(authAs("admin@test.dev"));
+        expect(res.body.role).toBe("admin");
+        expect(res.body.permissions).toContain("users:manage");
+    });
+
+    test("falls back to user for unknown emails", async () => {
+        const res = await request(server.app).get("/users/ghost@test.dev/role").set(authAs("ghost@test.dev"));
+        expect(res.body).toEqual({ role: "user", permissions: [] });
+    });
+
+    test("does not reveal other users' roles", async () => {
+        expect((await request(server.app).get("/users/admin@test.dev/role")).status).toBe(401);
+        expect((await request(server.app).get("/users/admin@test.dev/role").set(authAs("reader@test.dev"))).status).toBe(403);
+    });
+});
+
+describe("PATCH /users/role/:id", () => {
+    test("lets an admin change a role", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "librarian" });
+
+        expect(res.status).toBe(200);
+        expect((await server.db.collection("users").findOne({ _id: id })).role).toBe("librarian");
+    });
+
+    test("is refused for non-admins", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("reader@test.dev"))
+            .send({ role: "admin" });
+        expect(res.status).toBe(403);
+    });
+
+    test("rejects unknown roles", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "superuser" });
+
+        expect(res.status).toBe(400);
+        expect((await server.db.collection("users").findOne({ _id: id })).role).toBe("user");
+    });
+
+    test("mirrors the new role to Firebase custom claims", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "librarian" });
+
+        expect(res.body.claimsSynced).toBe(true);
+        expect(server.auth.setCustomUserClaims).toHaveBeenCalledWith("uid-reader@test.dev", { role: "librarian" });
+    });
+
+    test("still answers when the claim sync fails", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        server.auth.setCustomUserClaims.mockRejectedValueOnce(new Error("firebase down"));
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "librarian" });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ modifiedCount: 1, claimsSynced: false });
+    });
+
+    test("refuses to demote the last active admin", async () => {
+        const admin = await server.db.collection("users").findOne({ email: "admin@test.dev" });
+        const res = await request(server.app)
+            .patch(`/users/role/${admin._id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "user" });
+
+        expect(res.status).toBe(409);
+        expect((await server.db.collection("users").findOne({ _id: admin._id })).role).toBe("admin");
+    });
+
+    test("undoes a demotion that raced another one and left no admin", async () => {
+        const admin = await server.db.collection("users").findOne({ email: "admin@test.dev" });
+        // The check before the write still counts the admin demoted at the same time
+        jest.spyOn(server.app.locals.ctx.usersCollection, "countDocuments").mockResolvedValueOnce(2);
+
+        const res = await request(server.app)
+            .patch(`/users/role/${admin._id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "user" });
+        jest.restoreAllMocks();
+
+        expect(res.status).toBe(409);
+        expect((await server.db.collection("users").findOne({ _id: admin._id })).role).toBe("admin");
+        const actions = (await server.db.collection("audit_log").find({ action: "user.role_changed" }).toArray())
+            .map(entry => entry.changes.role);
+        expect(actions).toEqual([{ before: "admin", after: "user" }, { before: "user", after: "admin" }]);
+    });
+
+    test("allows demoting an admin while another one is active", async () => {
+        const id = await seedUser(server.db, "second@test.dev", "admin");
+        const res = await request(server.app)
+            .patch(`/users/role/${id}`)
+            .set(authAs("admin@test.dev"))
+            .send({ role: "user" });
+        expect(res.status).toBe(200);
+    });
+});
+
+describe("DELETE /users/:id", () => {
+    test("deactivates the user and disables the Firebase login", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const res = await request(server.app).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+
+        expect(res.body.modifiedCount).toBe(1);
+        const user = await server.db.collection("users").findOne({ _id: id });
+        expect(user).toMatchObject({ email: "reader@test.dev", status: "deactivated", deactivatedBy: "admin@test.dev" });
+        expect(server.auth.updateUser).toHaveBeenCalledWith("uid-reader@test.dev", { disabled: true });
+        expect(server.auth.revokeRefreshTokens).toHaveBeenCalledWith("uid-reader@test.dev");
+    });
+
+    test("leaves the user active when Firebase fails", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        server.auth.updateUser.mockRejectedValueOnce(new Error("firebase down"));
+        const res = await request(server.app).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+
+        expect(res.status).toBe(500);
+        expect((await server.db.collection("users").findOne({ _id: id })).status).toBeUndefined();
+    });
+
+    test("refuses to deactivate the last active admin", async () => {
+        const admin = await server.db.collection("users").findOne({ email: "admin@test.dev" });
+        const res = await request(server.app).delete(`/users/${admin._id}`).set(authAs("admin@test.dev"));
+        expect(res.status).toBe(409);
+    });
+
+    test("ends the sessions of deactivated users at once", async () => {
+        const id = await seedUser(server.db, "second@test.dev", "admin");
+        await request(server.app).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+
+        const res = await request(server.app).get("/users").set(authAs("second@test.dev"));
+        expect(res.status).toBe(401);
+        expect(res.body.message).toMatch(/sign in again/);
+    });
+
+    test("takes staff rights away from deactivated admins", async () => {
+        const id = await seedUser(server.db, "second@test.dev", "admin");
+        await request(server.app).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+
+        // Even with a token that was not revoked, e.g. if Firebase could not be reached
+        server.auth.revoked.clear();
+        const res = await request(server.app).get("/users").set(authAs("second@test.dev"));
+        expect(res.status).toBe(403);
+    });
+
+    test("undoes a deactivation that raced another one and left no admin", async () => {
+        const admin = await server.db.collection("users").findOne({ email: "admin@test.dev" });
+        // The check before the write still counts the admin deactivated at the same time
+        jest.spyOn(server.app.locals.ctx.usersCollection, "countDocuments").mockResolvedValueOnce(2);
+
+        const res = await request(server.app).delete(`/users/${admin._id}`).set(authAs("admin@test.dev"));
+        jest.restoreAllMocks();
+
+        expect(res.status).toBe(409);
+        expect((await server.db.collection("users").findOne({ _id: admin._id })).status).toBe("active");
+        expect(server.auth.updateUser).toHaveBeenLastCalledWith("uid-admin@test.dev", { disabled: false });
+    });
+
+    test("can be undone by reactivating", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        await request(server.app).delete(`/users/${id}`).set(authAs("admin@test.dev"));
+        const res = await request(server.app).post(`/users/${id}/reactivate`).set(authAs("admin@test.dev"));
+
+        expect(res.body.modifiedCount).toBe(1);
+        const user = await server.db.collection("users").findOne({ _id: id });
+        expect(user.status).toBe("active");
+        expect(user.deactivatedAt).toBeUndefined();
+        expect(server.auth.updateUser).toHaveBeenLastCalledWith("uid-reader@test.dev", { disabled: false });
+    });
+});
+
+describe("POST /users/:id/erase", () => {
+    test("anonymises the user's personal data everywhere", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const book = await seedBook(server.db);
+        const order = await seedOrder(server.db, { bookId: book.id, customerName: "Reader", phone: "123", address: "Main St 1" });
+        await server.db.collection("reviews").insertOne({ bookId: book.id, userEmail: "reader@test.dev", userName: "Reader", rating: 5 });
+        await server.db.collection("wishlist").insertOne({ bookId: book.id, customerEmail: "reader@test.dev" });
+
+        const res = await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"));
+        expect(res.status).toBe(200);
+
+        const placeholder = `erased-${id}@erased.invalid`;
+        const user = await server.db.collection("users").findOne({ _id: id });
+        expect(user).toMatchObject({ name: "Deleted user", email: placeholder, status: "erased" });
+
+        const erasedOrder = await server.db.collection("orders").findOne({ _id: order._id });
+        expect(erasedOrder.customerEmail).toBe(placeholder);
+        expect(erasedOrder).not.toHaveProperty("phone");
+        expect(erasedOrder).not.toHaveProperty("address");
+
+        const review = await server.db.collection("reviews").findOne({ bookId: book.id });
+        expect(review).toMatchObject({ userEmail: placeholder, userName: "Deleted user", rating: 5 });
+        expect(await server.db.collection("wishlist").countDocuments()).toBe(0);
+        expect(server.auth.deleteUser).toHaveBeenCalledWith("uid-reader@test.dev");
+
+        const [entry] = await server.db.collection("audit_log").find({ action: "user.erased" }).toArray();
+        expect(entry.changes).toEqual({});
+    });
+
+    test("keeps an erased librarian's books without their email", async () => {
+        const id = await seedUser(server.db, "librarian@test.dev", "librarian");
+        const book = await seedBook(server.db, { librarianEmail: "librarian@test.dev" });
+        await server.db.collection("coupons").insertOne({ code: "SHOP", type: "fixed", value: 2, librarianEmails: ["librarian@test.dev", "other@test.dev"] });
+
+        expect((await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"))).status).toBe(200);
+
+        const placeholder = `erased-${id}@erased.invalid`;
+        expect((await server.db.collection("books").findOne({ _id: book._id })).librarianEmail).toBe(placeholder);
+        expect((await server.db.collection("coupons").findOne({})).librarianEmails).toEqual([placeholder, "other@test.dev"]);
+
+        // Sales of the book no longer queue emails to anyone
+        await server.app.locals.ctx.notifySale({ _id: book._id, bookId: book.id, customerEmail: "reader@test.dev" });
+        expect(await server.db.collection("notifications").countDocuments({ to: placeholder })).toBe(0);
+    });
+
+    test("anonymises the user in the audit log", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const order = await seedOrder(server.db, { customerName: "Reader", phone: "123", address: "Main St 1" });
+        await request(server.app).delete(`/orders/${order._id}`).set(authAs("admin@test.dev"));
+        await server.db.collection("audit_log").insertOne({
+            action: "book.updated",
+            actor: { uid: "uid-reader@test.dev", email: "reader@test.dev", role: "librarian" },
+            target: { type: "books", id: "64b7f0c2a1b2c3d4e5f60718" },
+            changes: { price: { before: 10, after: 12 } },
+            ip: "10.0.0.1",
+            userAgent: "test",
+            at: new Date(),
+        });
+
+        expect((await request(server.app).post(`/users/${id}/erase`).set(authAs("reader@test.dev"))).status).toBe(200);
+
+        const placeholder = `erased-${id}@erased.invalid`;
+        const log = server.db.collection("audit_log");
+        const deleted = await log.findOne({ action: "order.deleted" });
+        expect(deleted.actor.email).toBe("admin@test.dev");
+        expect(deleted.changes.customerEmail.before).toBe(placeholder);
+        expect(deleted.changes).not.toHaveProperty("customerName");
+        expect(deleted.changes).not.toHaveProperty("phone");
+        expect(deleted.changes).not.toHaveProperty("address");
+
+        const edit = await log.findOne({ action: "book.updated" });
+        expect(edit).toMatchObject({ actor: { uid: null, email: placeholder, role: "librarian" }, ip: null, userAgent: null });
+        expect(edit.changes).toEqual({ price: { before: 10, after: 12 } });
+
+        const erased = await log.findOne({ action: "user.erased" });
+        expect(erased.actor).toMatchObject({ uid: null, email: null });
+        expect(await log.countDocuments({ "actor.email": "reader@test.dev" })).toBe(0);
+    });
+
+    test("lets users erase themselves but not others", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        const otherId = await seedUser(server.db, "other@test.dev");
+
+        expect((await request(server.app).post(`/users/${otherId}/erase`).set(authAs("reader@test.dev"))).status).toBe(403);
+        expect((await request(server.app).post(`/users/${id}/erase`).set(authAs("reader@test.dev"))).status).toBe(200);
+        expect((await server.db.collection("users").findOne({ _id: id })).status).toBe("erased");
+    });
+
+    test("can be run again after failing halfway", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        await server.db.collection("reviews").insertOne({ bookId: "64b7f0c2a1b2c3d4e5f60718", userEmail: "reader@test.dev", rating: 4 });
+        const spy = jest.spyOn(server.app.locals.ctx.reviewsCollection, "updateMany")
+            .mockRejectedValueOnce(new Error("connection reset"));
+
+        expect((await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"))).status).toBe(500);
+        spy.mockRestore();
+        const user = await server.db.collection("users").findOne({ _id: id });
+        expect(user.email).toBe("reader@test.dev");
+        expect(user.status).toBeUndefined();
+
+        expect((await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"))).status).toBe(200);
+        const review = await server.db.collection("reviews").findOne({ rating: 4 });
+        expect(review.userEmail).toBe(`erased-${id}@erased.invalid`);
+    });
+
+    test("cannot be repeated", async () => {
+        const id = await seedUser(server.db, "reader@test.dev");
+        await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"));
+        const res = await request(server.app).post(`/users/${id}/erase`).set(authAs("admin@test.dev"));
+        expect(res.status).toBe(409);
+    });
+});
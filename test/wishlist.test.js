@@ -0,0 +1,192 @@
+const request = require('supertest');
+const wishlistMigration = require('../migrations/001-wishlist-customer-email');
+const { startTestServer, authAs, seedUser, seedBook } = require('./helpers');
+
+let server;
+
+beforeAll(async () => {
+    server = await startTestServer();
+});
+
+afterAll(async () => {
+    await server?.stop();
+});
+
+beforeEach(async () => {
+    await server.reset();
+});
+
+const reader = authAs("reader@test.dev");
+
+function addToWishlist(auth, body) {
+    return request(server.app).post("/wishlist").set(auth).send(body);
+}
+
+describe("wishlist", () => {
+    test("takes the customer from the token, not the body", async () => {
+        const book = await seedBook(server.db);
+        const res = await addToWishlist(reader, { bookId: book.id, bookTitle: book.title, userEmail: "someone@test.dev" });
+        expect(res.status).toBe(200);
+
+        const item = await server.db.collection("wishlist").findOne({});
+        expect(item.customerEmail).toBe("reader@test.dev");
+        expect(item.userEmail).toBeUndefined();
+        expect(item.createdAt).toBeInstanceOf(Date);
+        expect(item).toMatchObject({ priceDropAlert: false, availabilityAlert: false });
+    });
+
+    test("rejects items without a valid book id", async () => {
+        const res = await addToWishlist(reader, { bookId: "nope" });
+        expect(res.status).toBe(400);
+    });
+
+    test("answers 404 for a book that does not exist", async () => {
+        const res = await addToWishlist(reader, { bookId: "64b7f0c2a1b2c3d4e5f60718" });
+        expect(res.status).toBe(404);
+    });
+
+    test("keeps one item per customer and book", async () => {
+        const book = await seedBook(server.db);
+        const first = await addToWishlist(reader, { bookId: book.id });
+        const second = await addToWishlist(reader, { bookId: book.id, priceDropAlert: true });
+
+        expect(first.body.duplicate).toBe(false);
+        expect(second.body).toMatchObject({ duplicate: true, insertedId: first.body.insertedId });
+
+        const items = await server.db.collection("wishlist").find({}).toArray();
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ priceDropAlert: true, availabilityAlert: false });
+
+        await addToWishlist(authAs("other@test.dev"), { bookId: book.id });
+        expect(await server.db.collection("wishlist").countDocuments()).toBe(2);
+    });
+
+    test("lists only the caller's own wishlist", async () => {
+        const book = await seedBook(server.db);
+        await addToWishlist(reader, { bookId: book.id });
+
+        const res = await request(server.app).get("/wishlist/reader@test.dev").set(reader);
+        expect(res.body).toHaveLength(1);
+
+        const denied = await request(server.app).get("/wishlist/someone@test.dev").set(reader);
+        expect(denied.status).toBe(403);
+    });
+
+    test("removes only the caller's own item", async () => {
+        const book = await seedBook(server.db);
+        const { body } = await addToWishlist(reader, { bookId: book.id });
+
+        const denied = await request(server.app).delete(`/wishlist/${body.insertedId}`).set(authAs("other@test.dev"));
+        expect(denied.status).toBe(404);
+
+        const res = await request(server.app).delete(`/wishlist/${body.insertedId}`).set(reader);
+        expect(res.body.deletedCount).toBe(1);
+        expect((await request(server.app).delete("/wishlist/nope").set(reader)).status).toBe(400);
+    });
+
+    test("toggles alerts on the caller's own item", async () => {
+        const book = await seedBook(server.db);
+        const { body } = await addToWishlist(reader, { bookId: book.id });
+
+        const res = await request(server.app)
+            .patch(`/wishlist/${body.insertedId}`)
+            .set(reader)
+            .send({ availabilityAlert: true });
+        expect(res.status).toBe(200);
+        expect(await server.db.collection("wishlist").findOne({})).toMatchObject({ availabilityAlert: true, priceDropAlert: false });
+
+        const invalid = await request(server.app).patch(`/wishlist/${body.insertedId}`).set(reader).send({ priceDropAlert: "yes" });
+        expect(invalid.status).toBe(400);
+        const empty = await request(server.app).patch(`/wishlist/${body.insertedId}`).set(reader).send({});
+        expect(empty.status).toBe(400);
+        const other = await request(server.app)
+            .patch(`/wishlist/${body.insertedId}`)
+            .set(authAs("other@test.dev"))
+            .send({ priceDropAlert: true });
+        expect(other.status).toBe(404);
+    });
+
+    test("merges legacy and duplicate items in their migration", async () => {
+        const wishlist = server.db.collection("wishlist");
+        await wishlist.insertMany([
+            { bookId: "64b7f0c2a1b2c3d4e5f60718", userEmail: "reader@test.dev", createdAt: new Date() },
+            { bookId: "64b7f0c2a1b2c3d4e5f60718", customerEmail: "reader@test.dev", createdAt: new Date() },
+            { bookId: "64b7f0c2a1b2c3d4e5f60719", customerEmail: "reader@test.dev", createdAt: new Date() },
+        ]);
+
+        await wishlistMigration.up(server.db);
+
+        const items = await wishlist.find({}).sort({ bookId: 1 }).toArray();
+        expect(items.map(item => [item.customerEmail, item.bookId, item.userEmail])).toEqual([
+            ["reader@test.dev", "64b7f0c2a1b2c3d4e5f60718", undefined],
+            ["reader@test.dev", "64b7f0c2a1b2c3d4e5f60719", undefined],
+        ]);
+    });
+});
+
+describe("wishlist alerts", () => {
+    const librarian = authAs("librarian@test.dev");
+
+    beforeEach(async () => {
+        await seedUser(server.db, "librarian@test.dev", "librarian");
+    });
+
+    test("emails opted-in customers when a librarian lowers the price", async () => {
+        const book = await seedBook(server.db, { price: 20 });
+        await addToWishlist(reader, { bookId: book.id, priceDropAlert: true });
+        await addToWishlist(authAs("quiet@test.dev"), { bookId: book.id });
+
+        const res = await request(server.app).put(`/books/${book.id}`).set(librarian).send({ price: 15 });
+        expect(res.status).toBe(200);
+
+        expect(server.mailer.sent.map(message => message.to)).toEqual(["reader@test.dev"]);
+        expect(server.mailer.sent[0].text).toContain("15.00");
+        expect((await server.db.collection("wishlist").findOne({ customerEmail: "reader@test.dev" })).lastAlertAt).toBeInstanceOf(Date);
+    });
+
+    test("does not email when the price goes up", async () => {
+        const book = await seedBook(server.db, { price: 20 });
+        await addToWishlist(reader, { bookId: book.id, priceDropAlert: true });
+
+        await request(server.app).put(`/books/${book.id}`).set(librarian).send({ price: 25 });
+        expect(server.mailer.sent).toEqual([]);
+    });
+
+    test("does not email about books that are not published", async () => {
+        const draft = await seedBook(server.db, { price: 20, status: "unpublished" });
+        const book = await seedBook(server.db, { price: 20 });
+        await addToWishlist(reader, { bookId: draft.id, priceDropAlert: true });
+        await addToWishlist(reader, { bookId: book.id, priceDropAlert: true });
+
+        expect((await request(server.app).put(`/books/${draft.id}`).set(librarian).send({ price: 15 })).status).toBe(200);
+        const unpublished = await request(server.app).put(`/books/${book.id}`).set(librarian).send({ price: 15, status: "unpublished" });
+        expect(unpublished.status).toBe(200);
+        expect(server.mailer.sent).toEqual([]);
+    });
+
+    test("emails when a book is published or back in stock", async () => {
+        const draft = await seedBook(server.db, { status: "unpublished" });
+        const soldOut = await seedBook(server.db, { title: "Refactoring", stock: 0 });
+        await addToWishlist(reader, { bookId: draft.id, availabilityAlert: true });
+        await addToWishlist(reader, { bookId: soldOut.id, availabilityAlert: true });
+
+        await request(server.app).put(`/books/${draft.id}`).set(librarian).send({ status: "published" });
+        await request(server.app).put(`/books/${soldOut.id}`).set(librarian).send({ stock: 3 });
+
+        expect(server.mailer.sent).toHaveLength(2);
+        expect(server.mailer.sent[1].text).toContain("Refactoring");
+    });
+
+    test("respects the wishlist notification preference", async () => {
+        await seedUser(server.db, "reader@test.dev");
+        await server.db.collection("users").updateOne(
+            { email: "reader@test.dev" },
+            { $set: { "notificationPreferences.wishlist": false } }
+        );
+        const book = await seedBook(server.db, { price: 20 });
+        await addToWishlist(reader, { bookId: book.id, priceDropAlert: true });
+
+        await request(server.app).put(`/books/${book.id}`).set(librarian).send({ price: 10 });
+        expect(server.mailer.sent).toEqual([]);
+    });
+});
@@ -0,0 +1,320 @@
+const { ROLES } = require('./lib/permissions');
+
+// ======================================================
+// REQUEST SCHEMAS
+// ======================================================
+// Each schema lists the fields a client may send. Fields marked `server`
+// are written by the API itself: they are rejected in request bodies but
+// still described in the MongoDB $jsonSchema validator for the collection.
+// Fields that are not listed at all are stripped from request bodies.
+
+const EMAIL_PATTERN = "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$";
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+// Absolute http(s) URLs, or paths on this server such as the default "/assets/..." cover URLs
+const URL_PATTERN = "^(https?://|/(?!/))";
+
+const schemas = {
+    user: {
+        collection: "users",
+        fields: {
+            name: { type: "string", maxLength: 120 },
+            email: { type: "string", format: "email", required: true },
+            photoURL: { type: "string", format: "url" },
+            role: { type: "string", enum: ROLES, server: true },
+            status: { type: "string", enum: ["active", "deactivated", "erased"], server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    book: {
+        collection: "books",
+        fields: {
+            title: { type: "string", required: true, maxLength: 300 },
+            author: { type: "string", required: true, maxLength: 200 },
+            description: { type: "string", maxLength: 5000 },
+            image: { type: "string", format: "url" },
+            price: { type: "number", required: true, min: 0 },
+            stock: { type: "integer", min: 0 },
+            status: { type: "string", enum: ["published", "unpublished"] },
+            category: { type: "string", maxLength: 100 },
+            language: { type: "string", maxLength: 50 },
+            isbn: { type: "string", maxLength: 20 },
+            librarianEmail: { type: "string", format: "email", server: true },
+            averageRating: { type: "number", min: 0, max: 5, server: true },
+            reviewCount: { type: "integer", min: 0, server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    order: {
+        collection: "orders",
+        // Cart orders store an items array instead of a single bookId
+        storedRequired: ["customerEmail", "status", "paymentStatus"],
+        fields: {
+            bookId: { type: "objectId", required: true },
+            bookTitle: { type: "string", maxLength: 300 },
+            quantity: { type: "integer", min: 1, max: 99 },
+            customerName: { type: "string", maxLength: 120 },
+            phone: { type: "string", maxLength: 30 },
+            address: { type: "string", maxLength: 500 },
+            // Applied at order time and never stored as such; see services/coupons.js
+            couponCode: { type: "string", maxLength: 40 },
+            customerEmail: { type: "string", format: "email", server: true },
+            status: {
+                type: "string",
+                enum: ["pending", "confirmed", "shipped", "delivered", "cancelled", "returned"],
+                server: true,
+            },
+            paymentStatus: { type: "string", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    coupon: {
+        collection: "coupons",
+        fields: {
+            code: { type: "string", required: true, maxLength: 40 },
+            type: { type: "string", required: true, enum: ["percentage", "fixed"] },
+            // Percent off for "percentage", EUR off for "fixed"
+            value: { type: "number", required: true, min: 0.01 },
+            expiresAt: { type: "date" },
+            maxRedemptions: { type: "integer", min: 1 },
+            maxRedemptionsPerCustomer: { type: "integer", min: 1 },
+            bookIds: { type: "array", items: { type: "objectId" }, maxItems: 500 },
+            categories: { type: "array", items: { type: "string", maxLength: 100 }, maxItems: 100 },
+            librarianEmails: { type: "array", items: { type: "string", format: "email" }, maxItems: 100 },
+            active: { type: "boolean" },
+            redemptionCount: { type: "integer", min: 0, server: true },
+            customers: { type: "array", server: true },
+            createdAt: { type: "date", server: true },
+            updatedAt: { type: "date", server: true },
+        },
+    },
+
+    // Body of PATCH /users/notification-preferences; stored on the user document
+    notificationPreferences: {
+        fields: {
+            orders: { type: "boolean" },
+            payments: { type: "boolean" },
+            sales: { type: "boolean" },
+            account: { type: "boolean" },
+            wishlist: { type: "boolean" },
+        },
+    },
+
+    wishlistItem: {
+        collection: "wishlist",
+        fields: {
+            bookId: { type: "objectId", required: true },
+            bookTitle: { type: "string", maxLength: 300 },
+            image: { type: "string", format: "url" },
+            author: { type: "string", maxLength: 200 },
+            price: { type: "number", min: 0 },
+            priceDropAlert: { type: "boolean" },
+            availabilityAlert: { type: "boolean" },
+            // Legacy clients still send this; the route always uses the token's email
+            userEmail: { type: "string", format: "email" },
+            customerEmail: { type: "string", format: "email", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    review: {
+        collection: "reviews",
+        fields: {
+            bookId: { type: "objectId", required: true },
+            rating: { type: "integer", required: true, min: 1, max: 5 },
+            comment: { type: "string", maxLength: 2000 },
+            // Legacy clients still send this; the route always uses the token's email
+            userEmail: { type: "string", format: "email" },
+            userName: { type: "string", maxLength: 120 },
+            userPhoto: { type: "string", format: "url" },
+            status: { type: "string", enum: ["visible", "hidden"], server: true },
+            moderationStatus: { type: "string", enum: ["pending", "approved", "hidden"], server: true },
+            helpfulCount: { type: "integer", min: 0, server: true },
+            reportCount: { type: "integer", min: 0, server: true },
+            date: { type: "date", server: true },
+            updatedAt: { type: "date", server: true },
+        },
+    },
+
+    rateLimitAllowEntry: {
+        collection: "rate_limit_allowlist",
+        fields: {
+            type: { type: "string", required: true, enum: ["ip", "email"] },
+            value: { type: "string", required: true, maxLength: 254 },
+            note: { type: "string", maxLength: 200 },
+            createdBy: { type: "string", format: "email", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+};
+
+// Numbers from HTML forms often arrive as strings; accept those when they parse cleanly
+function coerceNumber(value) {
+    if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+    return value;
+}
+
+function checkField(rule, value) {
+    switch (rule.type) {
+        case "string":
+        case "objectId": {
+            if (typeof value !== "string") return { error: "must be a string" };
+            const trimmed = value.trim();
+            if (rule.required && !trimmed) return { error: "is required" };
+            if (rule.type === "objectId" && !new RegExp(OBJECT_ID_PATTERN).test(trimmed))
+                return { error: "must be a valid id" };
+            if (rule.maxLength && trimmed.length > rule.maxLength)
+                return { error: `must be at most ${rule.maxLength} characters` };
+            if (rule.format === "email" && !new RegExp(EMAIL_PATTERN).test(trimmed))
+                return { error: "must be a valid email address" };
+            if (rule.format === "url" && !new RegExp(URL_PATTERN).test(trimmed))
+                return { error: "must be an http(s) URL or a path starting with /" };
+            if (rule.enum && !rule.enum.includes(trimmed))
+                return { error: `must be one of ${rule.enum.join(", ")}` };
+            return { value: trimmed };
+        }
+        case "number":
+        case "integer": {
+            const number = coerceNumber(value);
+            if (typeof number !== "number" || !Number.isFinite(number)) return { error: "must be a number" };
+            if (rule.type === "integer" && !Number.isInteger(number)) return { error: "must be a whole number" };
+            if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value: number };
+        }
+        case "boolean":
+            if (typeof value !== "boolean") return { error: "must be true or false" };
+            return { value };
+        case "date": {
+            const date = typeof value === "string" || typeof value === "number" ? new Date(value) : null;
+            if (!date || Number.isNaN(date.getTime())) return { error: "must be a valid date" };
+            return { value: date };
+        }
+        case "array": {
+            if (!Array.isArray(value)) return { error: "must be a list" };
+            if (rule.maxItems && value.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} entries` };
+            const items = [];
+            for (const [index, item] of value.entries()) {
+                const result = checkField(rule.items, item);
+                if (result.error) return { error: `entry ${index + 1} ${result.error}` };
+                items.push(result.value);
+            }
+            return { value: [...new Set(items)] };
+        }
+        default:
+            return { error: "cannot be set" };
+    }
+}
+
+// Returns { value, errors }. With `partial` (updates) required fields may be omitted.
+function validate(schema, body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { value, errors: [{ field: null, message: "Request body must be a JSON object" }] };
+    }
+
+    for (const field of Object.keys(body)) {
+        if (field === "_id" || schema.fields[field]?.server)
+            errors.push({ field, message: "cannot be set by clients" });
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        if (rule.server) continue;
+
+        const raw = body[field];
+        if (raw === undefined || raw === null) {
+            if (rule.required && !partial) errors.push({ field, message: "is required" });
+            continue;
+        }
+
+        const result = checkField(rule, raw);
+        if (result.error) errors.push({ field, message: result.error });
+        else value[field] = result.value;
+    }
+
+    return { value, errors };
+}
+
+// Replaces req.body with the cleaned value, or answers 400 with field-level errors
+function validateBody(schema, options = {}) {
+    return (req, res, next) => {
+        const { value, errors } = validate(schema, req.body, options);
+        if (errors.length) return res.status(400).send({ message: "Invalid request body", errors });
+        if (options.partial && !Object.keys(value).length)
+            return res.status(400).send({ message: "Invalid request body", errors: [{ field: null, message: "Nothing to update" }] });
+
+        req.body = value;
+        next();
+    };
+}
+
+const BSON_TYPES = {
+    string: "string",
+    objectId: "string",
+    number: ["double", "int", "long", "decimal"],
+    integer: ["int", "long"],
+    boolean: "bool",
+    date: "date",
+    array: "array",
+};
+
+function toBsonProperty(rule) {
+    const property = { bsonType: BSON_TYPES[rule.type] };
+    if (rule.enum) property.enum = rule.enum;
+    if (rule.maxLength) property.maxLength = rule.maxLength;
+    if (rule.min !== undefined) property.minimum = rule.min;
+    if (rule.max !== undefined) property.maximum = rule.max;
+    if (rule.type === "objectId") property.pattern = OBJECT_ID_PATTERN;
+    if (rule.format === "email") property.pattern = EMAIL_PATTERN;
+    if (rule.format === "url") property.pattern = URL_PATTERN;
+    if (rule.items) property.items = toBsonProperty(rule.items);
+    if (rule.maxItems) property.maxItems = rule.maxItems;
+    return property;
+}
+
+function toJsonSchema(schema) {
+    const properties = {};
+    const required = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        properties[field] = toBsonProperty(rule);
+        if (rule.required) required.push(field);
+    }
+    const storedRequired = schema.storedRequired || required;
+
+    // Stored documents carry more fields than clients may send (history, payment data...)
+    const jsonSchema = { bsonType: "object", properties };
+    if (storedRequired.length) jsonSchema.required = storedRequired;
+    return jsonSchema;
+}
+
+// "moderate" only checks inserts and updates to documents that are already
+// valid, so legacy documents keep working until they are cleaned up.
+async function applyCollectionValidators(db) {
+    for (const schema of Object.values(schemas)) {
+        if (!schema.collection) continue;
+        const validator = { $jsonSchema: toJsonSchema(schema) };
+        const exists = await db.listCollections({ name: schema.collection }, { nameOnly: true }).hasNext();
+
+        if (exists) {
+            await db.command({
+                collMod: schema.collection,
+                validator,
+                validationLevel: "moderate",
+                validationAction: "error",
+            });
+        } else {
+            await db.createCollection(schema.collection, {
+                validator,
+                validationLevel: "moderate",
+                validationAction: "error",
+            });
+        }
+    }
+}
+
+module.exports = { EMAIL_PATTERN, schemas, validate, validateBody, toJsonSchema, applyCollectionValidators };